@@ -0,0 +1,6301 @@
+/* Lagerverwaltung – App Logic (ohne externe Abhängigkeiten) */
+
+/* ---------- Small Utilities ---------- */
+const U = (() => {
+  const $$ = (sel, ctx = document) => Array.from(ctx.querySelectorAll(sel));
+  const $ = (sel, ctx = document) => ctx.querySelector(sel);
+  const todayStr = () => new Date().toISOString().slice(0, 10);
+  const sanitize = (s) => (s ?? "").replace(/[<>]/g, "");
+  const normLs = (s) => sanitize(String(s)).replace(/[\s._-]+/g, "").toUpperCase();
+  const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+  const uuid = () =>
+    (crypto.randomUUID ? crypto.randomUUID() :
+      'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, c => {
+        const r = crypto.getRandomValues(new Uint8Array(1))[0] & 15;
+        const v = c === 'x' ? r : (r & 0x3) | 0x8;
+        return v.toString(16);
+      }));
+
+  async function sha256(buf) {
+    const ab = buf instanceof ArrayBuffer ? buf : await buf.arrayBuffer();
+    const digest = await crypto.subtle.digest("SHA-256", ab);
+    return [...new Uint8Array(digest)].map(b => b.toString(16).padStart(2, "0")).join("");
+  }
+
+  function download(name, mime, data) {
+    const blob = data instanceof Blob ? data : new Blob([data], { type: mime });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement("a");
+    a.href = url; a.download = name;
+    document.body.appendChild(a); a.click(); a.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 2000);
+  }
+
+  /* Opens the picker of a file input. Resolves with the chosen files, [] when it is closed without a choice:
+     by the "cancel" event, or on browsers without it by the window getting focus back (change, when it
+     comes, arrives shortly after that focus). */
+  function pickFiles(input) {
+    return new Promise((resolve) => {
+      let timer = null;
+      const finish = () => {
+        clearTimeout(timer);
+        window.removeEventListener("focus", onFocus);
+        input.onchange = input.oncancel = null;
+        resolve([...input.files]);
+      };
+      const onFocus = () => { timer = setTimeout(finish, 1000); };
+      input.value = "";
+      input.onchange = finish;
+      if ("oncancel" in input) input.oncancel = finish;
+      else window.addEventListener("focus", onFocus);
+      input.click();
+    });
+  }
+
+  function csvEscape(v) {
+    const s = String(v ?? "");
+    return /[",;\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+  }
+
+  const isDateStr = (s) => /^\d{4}-\d{2}-\d{2}$/.test(s);
+  // for stored text that ends up in an HTML template (synced from other devices, so never trusted)
+  const esc = (s) => String(s ?? "").replace(/[&<>"']/g, c => `&#${c.charCodeAt(0)};`);
+  const isColor = (s) => /^#[0-9a-f]{3,8}$/i.test(String(s));
+
+  return { $, $$, todayStr, sanitize, normLs, sleep, uuid, sha256, download, pickFiles, csvEscape, isDateStr, esc, isColor };
+})();
+
+/* ---------- IndexedDB Wrapper ---------- */
+const DB = (() => {
+  const DB_NAME = "lagerverwaltung";
+  const DB_VER = 13;
+  // settings that belong to this device only: never exported, never overwritten by a restore
+  const DEVICE_SETTINGS = ["sync_token", "sync_cursor", "po_counter"];
+  // updated_at of seeded defaults: older than anything an admin saved on any device
+  const SEED_STAMP = new Date(0).toISOString();
+  // Stores whose changes are queued in the outbox and pushed by Sync
+  const SYNC_STORES = ["inbound_docs", "inbound_images", "logs", "dnd_items", "purchase_orders", "journal", "zones", "bins", "home_bins", "articles", "users", "suppliers", "doc_states", "drawings"];
+  const outboxListeners = [];
+  let dbp;
+
+  function open() {
+    if (dbp) return dbp;
+    dbp = new Promise((resolve, reject) => {
+      const req = indexedDB.open(DB_NAME, DB_VER);
+      req.onupgradeneeded = (e) => {
+        const db = req.result;
+
+        // inbound docs
+        if (!db.objectStoreNames.contains("inbound_docs")) {
+          const os = db.createObjectStore("inbound_docs", { keyPath: "id" });
+          os.createIndex("by_status", "status", { unique: false });
+          os.createIndex("by_date", "date_doc", { unique: false });
+          os.createIndex("by_lsnorm", "ls_nr_normalized", { unique: false });
+          os.createIndex("by_supplier", "supplier", { unique: false });
+        }
+
+        // images
+        if (!db.objectStoreNames.contains("inbound_images")) {
+          const os = db.createObjectStore("inbound_images", { keyPath: "id" });
+          os.createIndex("by_inbound", "inbound_id", { unique: false });
+          os.createIndex("by_inbound_page", ["inbound_id", "page_no"], { unique: true });
+          os.createIndex("by_sha", "sha256", { unique: false });
+        }
+
+        // dnd items
+        if (!db.objectStoreNames.contains("dnd_items")) {
+          const os = db.createObjectStore("dnd_items", { keyPath: "id" });
+          os.createIndex("by_zone", "zone", { unique: false });
+        }
+
+        // cart
+        if (!db.objectStoreNames.contains("cart")) {
+          db.createObjectStore("cart", { keyPath: "id" });
+        }
+
+        // logs
+        if (!db.objectStoreNames.contains("logs")) {
+          const os = db.createObjectStore("logs", { keyPath: "id" });
+          os.createIndex("by_inbound", "inbound_id", { unique: false });
+        }
+
+        // settings
+        if (!db.objectStoreNames.contains("settings")) {
+          db.createObjectStore("settings", { keyPath: "key" });
+        }
+
+        // purchase orders (from the cart, one per supplier)
+        if (!db.objectStoreNames.contains("purchase_orders")) {
+          const os = db.createObjectStore("purchase_orders", { keyPath: "id" });
+          os.createIndex("by_supplier", "supplier", { unique: false });
+          os.createIndex("by_status", "status", { unique: false });
+        }
+
+        // movement journal (board changes with before/after snapshots, for history and undo)
+        if (!db.objectStoreNames.contains("journal")) {
+          const os = db.createObjectStore("journal", { keyPath: "id" });
+          os.createIndex("by_item", "item_ids", { unique: false, multiEntry: true });
+          os.createIndex("by_user", "user", { unique: false });
+        }
+
+        // zones / flow stages of the board (id stays fixed, name and order are editable)
+        if (!db.objectStoreNames.contains("zones")) {
+          db.createObjectStore("zones", { keyPath: "id" });
+        }
+
+        // storage locations (Lagerplätze) with parsed codes
+        if (!db.objectStoreNames.contains("bins")) {
+          const os = db.createObjectStore("bins", { keyPath: "id" });
+          os.createIndex("by_code", "code", { unique: false });
+        }
+        const items = req.transaction.objectStore("dnd_items");
+        if (!items.indexNames.contains("by_bin")) {
+          items.createIndex("by_bin", "bin_id", { unique: false });
+        }
+
+        // home bin per article (id = article name)
+        if (!db.objectStoreNames.contains("home_bins")) {
+          db.createObjectStore("home_bins", { keyPath: "id" });
+        }
+
+        // article catalog
+        if (!db.objectStoreNames.contains("articles")) {
+          const os = db.createObjectStore("articles", { keyPath: "id" });
+          os.createIndex("by_art_no", "art_no", { unique: false });
+        }
+
+        // named users with role (lager/einkauf/admin)
+        if (!db.objectStoreNames.contains("users")) {
+          db.createObjectStore("users", { keyPath: "id" });
+        }
+
+        // supplier directory (canonical name, aliases, LS-Nr format)
+        if (!db.objectStoreNames.contains("suppliers")) {
+          db.createObjectStore("suppliers", { keyPath: "id" });
+        }
+
+        // status lifecycle of delivery notes (states with their allowed transitions)
+        if (!db.objectStoreNames.contains("doc_states")) {
+          db.createObjectStore("doc_states", { keyPath: "id" });
+        }
+
+        // drawings (PDF/PNG) of the articles, printed for the delivery notes
+        if (!db.objectStoreNames.contains("drawings")) {
+          const os = db.createObjectStore("drawings", { keyPath: "id" });
+          os.createIndex("by_article", "article_id", { unique: false });
+        }
+
+        // parts of a partial delivery (Teillieferung) share a group_id
+        const inbound = req.transaction.objectStore("inbound_docs");
+        if (!inbound.indexNames.contains("by_group")) {
+          inbound.createIndex("by_group", "group_id", { unique: false });
+        }
+
+        // outbox (pending uploads, one entry per changed record)
+        if (!db.objectStoreNames.contains("outbox")) {
+          const os = db.createObjectStore("outbox", { keyPath: "id" });
+          os.createIndex("by_inbound", "inbound_id", { unique: false });
+        }
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+    return dbp;
+  }
+
+  async function tx(mode, ...stores) {
+    const db = await open();
+    return db.transaction(stores, mode);
+  }
+
+  function req(r) {
+    return new Promise((resolve, reject) => {
+      r.onsuccess = () => resolve(r.result);
+      r.onerror = () => reject(r.error);
+    });
+  }
+  function done(t) {
+    return new Promise((resolve, reject) => {
+      t.oncomplete = () => resolve();
+      t.onerror = () => reject(t.error);
+      t.onabort = () => reject(t.error);
+    });
+  }
+
+  function outboxEntry(store, op, key, record) {
+    return {
+      id: `${store}:${key}`, store, key, op,
+      inbound_id: store === "inbound_docs" ? key : (record?.inbound_id ?? null),
+      queued_at: new Date().toISOString(),
+      attempts: 0, next_at: 0, status: "pending", last_error: null
+    };
+  }
+
+  /* Writes to synced stores go through here so the outbox entry lands in the same transaction */
+  async function write(store, op, value) {
+    const t = await tx("readwrite", store, "outbox");
+    const os = t.objectStore(store);
+    const key = op === "delete" ? value : value[os.keyPath];
+    const record = op === "delete" ? await req(os.get(key)) : value;
+    if (op === "delete") os.delete(key);
+    else os[op](value);
+    t.objectStore("outbox").put(outboxEntry(store, op, key, record));
+    await done(t);
+    outboxListeners.forEach(fn => fn());
+    return value;
+  }
+
+  /* Inbound Docs */
+  async function addInboundDoc(doc) {
+    return write("inbound_docs", "add", doc);
+  }
+  async function listInboundAll() {
+    const t = await tx("readonly", "inbound_docs");
+    return (await req(t.objectStore("inbound_docs").getAll())) || [];
+  }
+  async function putInboundDoc(doc) {
+    return write("inbound_docs", "put", doc);
+  }
+  async function getInboundById(id) {
+    const t = await tx("readonly", "inbound_docs");
+    return req(t.objectStore("inbound_docs").get(id));
+  }
+  async function findInboundByLs(lsnorm) {
+    const t = await tx("readonly", "inbound_docs");
+    const idx = t.objectStore("inbound_docs").index("by_lsnorm");
+    const out = [];
+    await iterIndex(idx, IDBKeyRange.only(lsnorm), (v) => out.push(v));
+    return out;
+  }
+  async function listInboundByStatus(status) {
+    const t = await tx("readonly", "inbound_docs");
+    const idx = t.objectStore("inbound_docs").index("by_status");
+    const out = [];
+    await iterIndex(idx, IDBKeyRange.only(status), (v) => out.push(v));
+    out.sort((a, b) => (a.created_at || "").localeCompare(b.created_at || ""));
+    return out;
+  }
+  async function listInboundByDate(dateStr) {
+    const t = await tx("readonly", "inbound_docs");
+    const idx = t.objectStore("inbound_docs").index("by_date");
+    const out = [];
+    await iterIndex(idx, IDBKeyRange.only(dateStr), (v) => out.push(v));
+    out.sort((a, b) => a.ls_nr.localeCompare(b.ls_nr));
+    return out;
+  }
+  // parts of one partial delivery
+  async function listInboundByGroup(groupId) {
+    const t = await tx("readonly", "inbound_docs");
+    const idx = t.objectStore("inbound_docs").index("by_group");
+    const out = [];
+    await iterIndex(idx, IDBKeyRange.only(groupId), (v) => out.push(v));
+    return out;
+  }
+  // from/to inclusive, either may be empty
+  async function listInboundByDateRange(from, to) {
+    const t = await tx("readonly", "inbound_docs");
+    const idx = t.objectStore("inbound_docs").index("by_date");
+    const range = from && to ? IDBKeyRange.bound(from, to) : from ? IDBKeyRange.lowerBound(from) : to ? IDBKeyRange.upperBound(to) : null;
+    const out = [];
+    await iterIndex(idx, range, (v) => out.push(v));
+    return out;
+  }
+
+  /* Images */
+  async function addImage(img) {
+    return write("inbound_images", "add", { ...img, synced: false });
+  }
+  async function putImage(img) {
+    img.synced = false;
+    img.updated_at = new Date().toISOString();
+    await write("inbound_images", "put", img);
+  }
+  // kind "" = pages of the delivery note, "damage" = damage photos (numbered in damage_no)
+  async function listImages(inbound_id, kind = "") {
+    const t = await tx("readonly", "inbound_images");
+    const idx = t.objectStore("inbound_images").index("by_inbound");
+    const out = [];
+    await iterIndex(idx, IDBKeyRange.only(inbound_id), (v) => { if ((v.kind || "") === kind) out.push(v); });
+    const no = (v) => v.page_no ?? v.damage_no;
+    out.sort((a, b) => no(a) - no(b));
+    return out;
+  }
+  // counted on the indexes, no record is read: pages are exactly the entries of by_inbound_page
+  // (damage photos have no page_no), damage photos the rest of by_inbound
+  async function countImages(inbound_id, kind = "") {
+    const t = await tx("readonly", "inbound_images");
+    const store = t.objectStore("inbound_images");
+    const [pages, all] = await Promise.all([
+      req(store.index("by_inbound_page").count(IDBKeyRange.bound([inbound_id, -Infinity], [inbound_id, Infinity]))),
+      req(store.index("by_inbound").count(IDBKeyRange.only(inbound_id)))
+    ]);
+    return kind ? all - pages : pages;
+  }
+  async function deleteImage(id) {
+    await write("inbound_images", "delete", id);
+  }
+  async function findImagesBySha(sha256) {
+    const t = await tx("readonly", "inbound_images");
+    const out = [];
+    await iterIndex(t.objectStore("inbound_images").index("by_sha"), IDBKeyRange.only(sha256), (v) => { if (!v.kind) out.push(v); });
+    return out;
+  }
+  // fingerprints of all stored pages, for the near-duplicate check (images without one are skipped)
+  async function listImageFingerprints() {
+    const t = await tx("readonly", "inbound_images");
+    const out = [];
+    await iterIndex(t.objectStore("inbound_images"), null, (v) => {
+      if (v.phash && !v.kind) out.push({ id: v.id, inbound_id: v.inbound_id, page_no: v.page_no, phash: v.phash });
+    });
+    return out;
+  }
+
+  /* DnD Items */
+  async function listItemsByZone(zone) {
+    const t = await tx("readonly", "dnd_items");
+    const idx = t.objectStore("dnd_items").index("by_zone");
+    const out = [];
+    await iterIndex(idx, IDBKeyRange.only(zone), (v) => out.push(v));
+    return out;
+  }
+  async function putItem(it) {
+    it.updated_at = new Date().toISOString();
+    await write("dnd_items", "put", it);
+  }
+  async function getItem(id) {
+    const t = await tx("readonly", "dnd_items");
+    return req(t.objectStore("dnd_items").get(id));
+  }
+  async function deleteItem(id) {
+    await write("dnd_items", "delete", id);
+  }
+
+  async function listItemsAll() {
+    const t = await tx("readonly", "dnd_items");
+    return (await req(t.objectStore("dnd_items").getAll())) || [];
+  }
+  async function listItemsByBin(bin_id) {
+    const t = await tx("readonly", "dnd_items");
+    const out = [];
+    await iterIndex(t.objectStore("dnd_items").index("by_bin"), IDBKeyRange.only(bin_id), (v) => out.push(v));
+    return out;
+  }
+
+  /* Bins */
+  async function listBins() {
+    const t = await tx("readonly", "bins");
+    return (await req(t.objectStore("bins").getAll())) || [];
+  }
+  async function putBin(b, stamp = new Date().toISOString()) {
+    b.updated_at = stamp;
+    await write("bins", "put", b);
+  }
+
+  async function listHomeBins() {
+    const t = await tx("readonly", "home_bins");
+    return (await req(t.objectStore("home_bins").getAll())) || [];
+  }
+  async function putHomeBin(h) {
+    h.updated_at = new Date().toISOString();
+    await write("home_bins", h.bin_id ? "put" : "delete", h.bin_id ? h : h.id);
+  }
+
+  /* Articles */
+  async function listArticles() {
+    const t = await tx("readonly", "articles");
+    return (await req(t.objectStore("articles").getAll())) || [];
+  }
+  async function putArticle(a, stamp = new Date().toISOString()) {
+    a.updated_at = stamp;
+    await write("articles", "put", a);
+  }
+
+  /* Users */
+  async function listUsers() {
+    const t = await tx("readonly", "users");
+    return (await req(t.objectStore("users").getAll())) || [];
+  }
+  async function putUser(u) {
+    u.updated_at = new Date().toISOString();
+    await write("users", "put", u);
+  }
+
+  /* Suppliers */
+  async function listSuppliers() {
+    const t = await tx("readonly", "suppliers");
+    return (await req(t.objectStore("suppliers").getAll())) || [];
+  }
+  async function putSupplier(sup) {
+    sup.updated_at = new Date().toISOString();
+    await write("suppliers", "put", sup);
+  }
+
+  /* Zones */
+  async function listZones() {
+    const t = await tx("readonly", "zones");
+    return (await req(t.objectStore("zones").getAll())) || [];
+  }
+  // stamp: defaults and migrations pass SEED_STAMP or the record's own, so they never beat a real edit when synced
+  async function putZone(z, stamp = new Date().toISOString()) {
+    z.updated_at = stamp;
+    await write("zones", "put", z);
+  }
+
+  /* Delivery note states */
+  async function listDocStates() {
+    const t = await tx("readonly", "doc_states");
+    return (await req(t.objectStore("doc_states").getAll())) || [];
+  }
+  async function putDocState(st, stamp = new Date().toISOString()) {
+    st.updated_at = stamp;
+    await write("doc_states", "put", st);
+  }
+
+  /* Drawings */
+  async function listDrawings() {
+    const t = await tx("readonly", "drawings");
+    return (await req(t.objectStore("drawings").getAll())) || [];
+  }
+  async function putDrawing(d) {
+    d.updated_at = new Date().toISOString();
+    await write("drawings", "put", d);
+  }
+  async function deleteDrawing(id) {
+    await write("drawings", "delete", id);
+  }
+
+  /* Journal: board changes land together with their entry in one transaction.
+     changes: [{ id, before, after }], after null = delete. Returns the stored entry. */
+  async function journalApply(entry, changes, undoneEntry = null) {
+    const now = new Date().toISOString();
+    const t = await tx("readwrite", "dnd_items", "journal", "outbox");
+    const items = t.objectStore("dnd_items");
+    const ob = t.objectStore("outbox");
+    const stored = changes.map(c => ({ id: c.id, before: c.before, after: c.after ? { ...c.after, updated_at: now } : null }));
+    for (const c of stored) {
+      if (c.after) items.put(c.after);
+      else items.delete(c.id);
+      ob.put(outboxEntry("dnd_items", c.after ? "put" : "delete", c.id, c.after));
+    }
+    const rec = { id: U.uuid(), ts: now, ...entry, item_ids: stored.map(c => c.id), changes: stored, updated_at: now };
+    t.objectStore("journal").put(rec);
+    ob.put(outboxEntry("journal", "put", rec.id, rec));
+    if (undoneEntry) {
+      const u = { ...undoneEntry, undone_at: now, undone_by: entry.user, updated_at: now };
+      t.objectStore("journal").put(u);
+      ob.put(outboxEntry("journal", "put", u.id, u));
+    }
+    await done(t);
+    outboxListeners.forEach(fn => fn());
+    return rec;
+  }
+  async function listJournalByItem(id) {
+    const t = await tx("readonly", "journal");
+    const out = [];
+    await iterIndex(t.objectStore("journal").index("by_item"), IDBKeyRange.only(id), (v) => out.push(v));
+    out.sort((a, b) => b.ts.localeCompare(a.ts));
+    return out;
+  }
+  async function listJournalByUser(user) {
+    const t = await tx("readonly", "journal");
+    const out = [];
+    await iterIndex(t.objectStore("journal").index("by_user"), IDBKeyRange.only(user), (v) => out.push(v));
+    out.sort((a, b) => b.ts.localeCompare(a.ts));
+    return out;
+  }
+
+  /* Cart */
+  async function getCartAll() {
+    const t = await tx("readonly", "cart");
+    return new Promise((resolve, reject) => {
+      const req = t.objectStore("cart").getAll();
+      req.onsuccess = () => resolve(req.result || []);
+      req.onerror = () => reject(req.error);
+    });
+  }
+  async function putCart(item) {
+    const t = await tx("readwrite", "cart");
+    await t.objectStore("cart").put(item);
+  }
+  async function delCart(id) {
+    const t = await tx("readwrite", "cart");
+    await t.objectStore("cart").delete(id);
+  }
+  async function clearCart() {
+    const t = await tx("readwrite", "cart");
+    await t.objectStore("cart").clear();
+  }
+
+  /* Purchase Orders */
+  async function putOrder(po) {
+    po.updated_at = new Date().toISOString();
+    await write("purchase_orders", "put", po);
+    return po;
+  }
+  async function getOrder(id) {
+    const t = await tx("readonly", "purchase_orders");
+    return req(t.objectStore("purchase_orders").get(id));
+  }
+  async function listOrders() {
+    const t = await tx("readonly", "purchase_orders");
+    const out = (await req(t.objectStore("purchase_orders").getAll())) || [];
+    out.sort((a, b) => (b.created_at || "").localeCompare(a.created_at || ""));
+    return out;
+  }
+  async function listOrdersBySupplier(supplier) {
+    const t = await tx("readonly", "purchase_orders");
+    const idx = t.objectStore("purchase_orders").index("by_supplier");
+    const out = [];
+    await iterIndex(idx, IDBKeyRange.only(supplier), (v) => out.push(v));
+    return out;
+  }
+  async function listInboundBySupplier(supplier) {
+    const t = await tx("readonly", "inbound_docs");
+    const idx = t.objectStore("inbound_docs").index("by_supplier");
+    const out = [];
+    await iterIndex(idx, IDBKeyRange.only(supplier), (v) => out.push(v));
+    out.sort((a, b) => (b.date_doc || "").localeCompare(a.date_doc || ""));
+    return out;
+  }
+  // distinct supplier names, straight from the index keys
+  async function listInboundSuppliers() {
+    const t = await tx("readonly", "inbound_docs");
+    const idx = t.objectStore("inbound_docs").index("by_supplier");
+    const out = [];
+    return new Promise((resolve, reject) => {
+      const r = idx.openKeyCursor(null, "nextunique");
+      r.onsuccess = () => {
+        const cur = r.result;
+        if (cur) { out.push(cur.key); cur.continue(); }
+        else resolve(out);
+      };
+      r.onerror = () => reject(r.error);
+    });
+  }
+
+  /* Logs */
+  async function addLog(log) {
+    await write("logs", "add", { id: U.uuid(), user_name: App.userName(), ...log, ts: new Date().toISOString() });
+  }
+
+  async function listLogs() {
+    const t = await tx("readonly", "logs");
+    const out = (await req(t.objectStore("logs").getAll())) || [];
+    out.sort((a, b) => (b.ts || "").localeCompare(a.ts || ""));
+    return out;
+  }
+  async function listLogsByInbound(inbound_id) {
+    const t = await tx("readonly", "logs");
+    const idx = t.objectStore("logs").index("by_inbound");
+    const out = [];
+    await iterIndex(idx, IDBKeyRange.only(inbound_id), (v) => out.push(v));
+    out.sort((a, b) => (b.ts || "").localeCompare(a.ts || ""));
+    return out;
+  }
+
+  /* Settings */
+  async function setSetting(key, value) {
+    const t = await tx("readwrite", "settings");
+    await t.objectStore("settings").put({ key, value });
+  }
+  async function getSetting(key, defVal = null) {
+    const t = await tx("readonly", "settings");
+    const v = await req(t.objectStore("settings").get(key));
+    return v ? v.value : defVal;
+  }
+
+  /* Outbox / Sync */
+  function onOutboxChange(fn) { outboxListeners.push(fn); }
+  async function listOutbox() {
+    const t = await tx("readonly", "outbox");
+    return (await req(t.objectStore("outbox").getAll())) || [];
+  }
+  async function countOutbox() {
+    const all = await listOutbox();
+    const failed = all.filter(e => e.status === "failed").length;
+    return { pending: all.length - failed, failed };
+  }
+  async function outboxByInbound() {
+    // inbound_id -> "failed" | "pending"
+    const map = new Map();
+    for (const e of await listOutbox()) {
+      if (!e.inbound_id) continue;
+      if (e.status === "failed" || !map.has(e.inbound_id)) map.set(e.inbound_id, e.status);
+    }
+    return map;
+  }
+  async function getRecord(store, key) {
+    const t = await tx("readonly", store);
+    return req(t.objectStore(store).get(key));
+  }
+  async function ackOutbox(entries) {
+    if (!entries.length) return;
+    const t = await tx("readwrite", "outbox", "inbound_images");
+    const ob = t.objectStore("outbox");
+    const imgs = t.objectStore("inbound_images");
+    for (const e of entries) {
+      const cur = await req(ob.get(e.id));
+      // changed again while the upload was in flight -> keep the newer entry
+      if (!cur || cur.queued_at !== e.queued_at) continue;
+      ob.delete(e.id);
+      if (e.store === "inbound_images" && e.op !== "delete") {
+        const img = await req(imgs.get(e.key));
+        if (img) { img.synced = true; imgs.put(img); }
+      }
+    }
+    await done(t);
+    outboxListeners.forEach(fn => fn());
+  }
+  async function deferOutbox(entry, error, nextAt, failed) {
+    const t = await tx("readwrite", "outbox");
+    const ob = t.objectStore("outbox");
+    const cur = await req(ob.get(entry.id));
+    if (cur && cur.queued_at === entry.queued_at) {
+      cur.attempts += 1;
+      cur.next_at = nextAt;
+      cur.status = failed ? "failed" : "pending";
+      cur.last_error = String(error || "");
+      ob.put(cur);
+    }
+    await done(t);
+    outboxListeners.forEach(fn => fn());
+  }
+  async function requeueFailed() {
+    const t = await tx("readwrite", "outbox");
+    const ob = t.objectStore("outbox");
+    for (const e of (await req(ob.getAll())) || []) {
+      if (e.status !== "failed") continue;
+      ob.put({ ...e, status: "pending", attempts: 0, next_at: 0 });
+    }
+    await done(t);
+    outboxListeners.forEach(fn => fn());
+  }
+  /* Apply a change pulled from the server without queueing it again.
+     Local records with a pending upload or a newer timestamp win. */
+  async function applyRemote(store, op, key, record) {
+    if (!SYNC_STORES.includes(store)) return false;
+    const t = await tx("readwrite", store, "outbox");
+    const os = t.objectStore(store);
+    if (await req(t.objectStore("outbox").get(`${store}:${key}`))) return false;
+    const local = await req(os.get(key));
+    const stamp = (r) => r ? (r.updated_at || r.created_at || r.ts || "") : "";
+    if (op === "delete") {
+      if (!local) return false;
+      os.delete(key);
+    } else {
+      if (local && stamp(local) > stamp(record)) return false;
+      os.put(record);
+    }
+    await done(t);
+    return true;
+  }
+
+  /* Backup / Restore: every store except the outbox */
+  async function backupStores() {
+    const db = await open();
+    return [...db.objectStoreNames].filter(n => n !== "outbox");
+  }
+  async function dumpStore(store) {
+    const t = await tx("readonly", store);
+    return (await req(t.objectStore(store).getAll())) || [];
+  }
+  async function countStore(store) {
+    const t = await tx("readonly", store);
+    return req(t.objectStore(store).count());
+  }
+  /* data: { store: [records] }. "replace" empties the stores (and the outbox) first,
+     "merge" keeps the local record unless the imported one is newer (updated_at/created_at/ts).
+     Records written to synced stores are queued so the server catches up. */
+  async function restore(data, mode) {
+    const stores = Object.keys(data);
+    const t = await tx("readwrite", ...stores, "outbox");
+    const ob = t.objectStore("outbox");
+    const stamp = (r) => r ? (r.updated_at || r.created_at || r.ts || "") : "";
+    const stats = { written: 0, kept: 0 };
+    if (mode === "replace") {
+      ob.clear();
+      for (const store of stores) {
+        const os = t.objectStore(store);
+        if (store !== "settings") { os.clear(); continue; }
+        for (const key of await req(os.getAllKeys())) if (!DEVICE_SETTINGS.includes(key)) os.delete(key);
+      }
+    }
+    for (const store of stores) {
+      const os = t.objectStore(store);
+      for (const rec of data[store]) {
+        const key = rec[os.keyPath];
+        if (store === "settings" && DEVICE_SETTINGS.includes(key)) continue;
+        if (mode === "merge") {
+          const local = await req(os.get(key));
+          // settings carry no timestamps: the device's own values win
+          if (local && (store === "settings" || stamp(local) >= stamp(rec))) { stats.kept++; continue; }
+        }
+        os.put(rec);
+        if (SYNC_STORES.includes(store)) ob.put(outboxEntry(store, "put", key, rec));
+        stats.written++;
+      }
+    }
+    await done(t);
+    outboxListeners.forEach(fn => fn());
+    return stats;
+  }
+
+  async function iterIndex(index, range, onval) {
+    return new Promise((resolve, reject) => {
+      const req = index.openCursor(range);
+      req.onsuccess = () => {
+        const cur = req.result;
+        if (cur) { onval(cur.value); cur.continue(); }
+        else resolve();
+      };
+      req.onerror = () => reject(req.error);
+    });
+  }
+
+  return {
+    addInboundDoc, putInboundDoc, getInboundById, listInboundAll,
+    findInboundByLs, listInboundByStatus, listInboundByDate, listInboundByDateRange, listInboundByGroup,
+    addImage, putImage, listImages, countImages, deleteImage, findImagesBySha, listImageFingerprints,
+    listItemsByZone, putItem, getItem, deleteItem,
+    listItemsAll, listItemsByBin, listBins, putBin, listHomeBins, putHomeBin, listArticles, putArticle,
+    listUsers, putUser, listSuppliers, putSupplier,
+    journalApply, listJournalByItem, listJournalByUser, listZones, putZone, listDocStates, putDocState,
+    listDrawings, putDrawing, deleteDrawing,
+    getCartAll, putCart, delCart, clearCart,
+    putOrder, getOrder, listOrders, listOrdersBySupplier, listInboundBySupplier, listInboundSuppliers,
+    addLog, listLogs, listLogsByInbound, setSetting, getSetting,
+    SYNC_STORES, DEVICE_SETTINGS, SEED_STAMP, onOutboxChange, listOutbox, countOutbox, outboxByInbound, getRecord,
+    ackOutbox, deferOutbox, requeueFailed, applyRemote,
+    backupStores, dumpStore, countStore, restore
+  };
+})();
+
+/* ---------- Sync (Outbox → Server, Server → Device) ---------- */
+const Sync = (() => {
+  const CHUNK = 25;           // records per /push request
+  const PULL_LIMIT = 200;     // changes per /pull request
+  const MAX_ATTEMPTS = 8;     // afterwards the entry is marked failed
+  const TICK_MS = 30000;
+  const BLOB_STORES = ["inbound_images", "drawings"]; // file travels via /blobs, the record without it
+  const device_key = "lv_device_id";
+  const listeners = [];
+  let running = null;
+  let lastError = null;
+  let lastRun = null;
+
+  function deviceId() {
+    let id = localStorage.getItem(device_key);
+    if (!id) { id = U.uuid(); localStorage.setItem(device_key, id); }
+    return id;
+  }
+
+  async function config() {
+    const endpoint = String(await DB.getSetting("sync_endpoint", "") || "").trim().replace(/\/+$/, "");
+    const token = String(await DB.getSetting("sync_token", "") || "");
+    return { endpoint, token };
+  }
+
+  // 5 s, 10 s, 20 s … capped at 10 min, ±25 % jitter
+  function backoff(attempts) {
+    const base = Math.min(10 * 60000, 5000 * 2 ** attempts);
+    return Math.round(base * (0.75 + Math.random() * 0.5));
+  }
+
+  async function http(cfg, method, path, body, type) {
+    const headers = {};
+    if (cfg.token) headers.Authorization = `Bearer ${cfg.token}`;
+    if (type) headers["Content-Type"] = type;
+    const res = await fetch(cfg.endpoint + path, { method, headers, body, cache: "no-store" });
+    if (!res.ok && res.status !== 404) {
+      const err = new Error(`Server antwortet mit HTTP ${res.status}`);
+      err.status = res.status;
+      throw err;
+    }
+    return res;
+  }
+
+  function strip(store, record) {
+    if (!record || !BLOB_STORES.includes(store)) return record;
+    const { blob, synced, ...meta } = record;
+    return meta;
+  }
+
+  async function uploadBlob(cfg, img) {
+    const path = `/blobs/${img.sha256}`;
+    const head = await http(cfg, "HEAD", path);
+    if (head.status !== 404) return;
+    await http(cfg, "PUT", path, img.blob, img.mime_type || "application/octet-stream");
+  }
+
+  async function push(cfg) {
+    const now = Date.now();
+    const due = (await DB.listOutbox())
+      .filter(e => e.status === "pending" && e.next_at <= now)
+      .sort((a, b) => a.queued_at.localeCompare(b.queued_at));
+
+    for (let i = 0; i < due.length; i += CHUNK) {
+      const chunk = due.slice(i, i + CHUNK);
+      let results;
+      try {
+        const changes = [];
+        for (const e of chunk) {
+          const record = e.op === "delete" ? null : await DB.getRecord(e.store, e.key);
+          if (BLOB_STORES.includes(e.store) && record?.blob) await uploadBlob(cfg, record);
+          changes.push({ id: e.id, store: e.store, key: e.key, op: record ? "put" : "delete", record: strip(e.store, record) });
+        }
+        const res = await http(cfg, "POST", "/push", JSON.stringify({ device: deviceId(), changes }), "application/json");
+        if (res.status === 404) throw new Error("Sync-Endpunkt nicht gefunden (404)");
+        results = new Map(((await res.json()).results || []).map(r => [r.id, r]));
+      } catch (err) {
+        // transport or server error: retry the whole chunk later, keep order by stopping here
+        for (const e of chunk) {
+          const attempts = e.attempts + 1;
+          await DB.deferOutbox(e, err.message, Date.now() + backoff(attempts), attempts >= MAX_ATTEMPTS);
+        }
+        throw err;
+      }
+      const ok = [];
+      for (const e of chunk) {
+        const r = results.get(e.id);
+        if (r?.ok) ok.push(e);
+        else if (r) await DB.deferOutbox(e, r.error || "abgelehnt", 0, true);
+        else await DB.deferOutbox(e, "keine Bestätigung", Date.now() + backoff(e.attempts + 1), e.attempts + 1 >= MAX_ATTEMPTS);
+      }
+      await DB.ackOutbox(ok);
+    }
+  }
+
+  async function fetchBlob(cfg, sha) {
+    const res = await http(cfg, "GET", `/blobs/${sha}`);
+    if (res.status === 404) return null;
+    const blob = await res.blob();
+    return (await U.sha256(blob)) === sha ? blob : null;
+  }
+
+  async function pull(cfg) {
+    let cursor = await DB.getSetting("sync_cursor", 0);
+    let applied = 0;
+    for (;;) {
+      const q = `?since=${encodeURIComponent(cursor)}&device=${encodeURIComponent(deviceId())}&limit=${PULL_LIMIT}`;
+      const res = await http(cfg, "GET", `/pull${q}`);
+      if (res.status === 404) throw new Error("Sync-Endpunkt nicht gefunden (404)");
+      const { changes = [], cursor: next = cursor, more = false } = await res.json();
+      for (const c of changes) {
+        let record = c.record;
+        if (BLOB_STORES.includes(c.store) && c.op === "put") {
+          const local = await DB.getRecord(c.store, c.key);
+          const blob = local?.sha256 === record.sha256 && local.blob ? local.blob : await fetchBlob(cfg, record.sha256);
+          if (!blob) {
+            // record without its file is useless: keep the cursor in front of it, the next run asks again
+            await DB.setSetting("sync_cursor", cursor);
+            const err = new Error(`Datei ${String(record.sha256).slice(0, 12)}… noch nicht abrufbar – wird erneut versucht`);
+            err.pulled = applied;
+            throw err;
+          }
+          // the server hands out octet-stream; drawings need their type back to open and print
+          record = { ...record, blob: new Blob([blob], { type: record.mime_type || "" }), synced: true };
+        }
+        try {
+          if (await DB.applyRemote(c.store, c.op, c.key, record)) applied++;
+        } catch (err) {
+          console.warn("Sync: Änderung nicht übernommen", c.store, c.key, err);
+        }
+        if (c.seq != null) cursor = c.seq;
+      }
+      cursor = next;
+      await DB.setSetting("sync_cursor", cursor);
+      if (!more || !changes.length) break;
+    }
+    return applied;
+  }
+
+  function notify(pulled) {
+    listeners.forEach(fn => fn({ pulled }));
+  }
+
+  /* Resolves true when push and pull went through completely */
+  async function run() {
+    if (running) return running;
+    running = (async () => {
+      const cfg = await config();
+      if (!cfg.endpoint || !navigator.onLine) return false;
+      let pulled = 0;
+      try {
+        await push(cfg);
+        pulled = await pull(cfg);
+        lastError = null;
+      } catch (err) {
+        lastError = err.message;
+        pulled = err.pulled || 0; // a pull stopped at a missing file has still applied what came before
+      }
+      lastRun = new Date().toISOString();
+      notify(pulled);
+      return !lastError;
+    })().finally(() => { running = null; });
+    return running;
+  }
+
+  async function retryFailed() {
+    await DB.requeueFailed();
+    return run();
+  }
+
+  function status() {
+    return { lastError, lastRun, busy: !!running };
+  }
+
+  function onChange(fn) { listeners.push(fn); }
+
+  let debounce = null;
+  function schedule(ms = 2000) {
+    clearTimeout(debounce);
+    debounce = setTimeout(run, ms);
+  }
+
+  function init() {
+    DB.onOutboxChange(() => { notify(0); schedule(); });
+    setInterval(run, TICK_MS);
+    run();
+  }
+
+  return { init, run, retryFailed, status, onChange, deviceId };
+})();
+
+/* ---------- Camera & Image Tools ---------- */
+const Camera = (() => {
+  const SIMILAR = 0.08; // fingerprint distance below which two pages count as the same sheet
+  const state = {
+    inboundId: null,
+    stream: null,
+    captures: [] // {blob, w, h, sha256}
+  };
+  const el = {
+    dlg: document.getElementById("dlgCamera"),
+    video: document.getElementById("video"),
+    canvas: document.getElementById("canvas"),
+    img: document.getElementById("photoPreview"),
+    list: document.getElementById("captureList"),
+    fileInput: document.getElementById("fileInput"),
+    btnTake: document.getElementById("btnTake"),
+    btnRotate: document.getElementById("btnRotate"),
+    btnRetake: document.getElementById("btnRetake"),
+    btnDeleteLast: document.getElementById("btnDeleteLast"),
+    btnDone: document.getElementById("btnDone"),
+    actions: document.getElementById("cameraActions"),
+    adjust: document.getElementById("cameraAdjust"),
+    adjustHint: document.getElementById("adjustHint"),
+    chkDocFilter: document.getElementById("chkDocFilter"),
+    btnCropOk: document.getElementById("btnCropOk"),
+    btnCropFull: document.getElementById("btnCropFull"),
+    btnCropCancel: document.getElementById("btnCropCancel"),
+  };
+
+  function reset() {
+    state.captures = [];
+    renderThumbs();
+    el.img.classList.add("hidden");
+    el.canvas.classList.add("hidden");
+  }
+
+  async function open(inboundId) {
+    state.inboundId = inboundId;
+    reset();
+    try {
+      if (navigator.mediaDevices?.getUserMedia) {
+        state.stream = await navigator.mediaDevices.getUserMedia({ video: { facingMode: "environment" }, audio: false });
+        el.video.srcObject = state.stream;
+        el.video.classList.remove("hidden");
+      } else {
+        // fallback
+        el.video.classList.add("hidden");
+        el.fileInput.classList.remove("hidden");
+      }
+    } catch {
+      el.video.classList.add("hidden");
+      el.fileInput.classList.remove("hidden");
+    }
+    el.dlg.showModal();
+  }
+
+  async function stop() {
+    if (state.stream) {
+      state.stream.getTracks().forEach(t => t.stop());
+      state.stream = null;
+    }
+  }
+
+  function renderThumbs() {
+    el.list.innerHTML = "";
+    state.captures.forEach((c, i) => {
+      const url = URL.createObjectURL(c.blob);
+      const item = document.createElement("div");
+      item.className = "thumb";
+      item.innerHTML = `<img alt="Seite ${i + 1}" src="${url}"><span>${i + 1}</span>`;
+      el.list.appendChild(item);
+      setTimeout(() => URL.revokeObjectURL(url), 2000);
+    });
+  }
+
+  function rotateLast() {
+    if (!state.captures.length) return;
+    const last = state.captures[state.captures.length - 1];
+    return rotateBlob(last.blob, 90).then(async (rotBlob) => {
+      const sha = await U.sha256(rotBlob);
+      const phash = DocScan.fingerprint(await createImageBitmap(rotBlob));
+      state.captures[state.captures.length - 1] = { ...last, blob: rotBlob, w: last.h, h: last.w, sha256: sha, phash };
+      renderThumbs();
+    });
+  }
+
+  function deleteLast() {
+    state.captures.pop();
+    renderThumbs();
+  }
+
+  async function take() {
+    if (state.stream) {
+      const v = el.video;
+      await addPage(toFrame(v, v.videoWidth, v.videoHeight));
+    } else {
+      el.fileInput.click();
+    }
+  }
+
+  async function onFilePicked(file) {
+    if (!file) return;
+    // Try EXIF-aware decode
+    let bmp;
+    try {
+      bmp = await createImageBitmap(file, { imageOrientation: "from-image" });
+    } catch {
+      // fallback decode via <img>
+      const img = document.createElement("img");
+      const url = URL.createObjectURL(file);
+      await new Promise((res, rej) => { img.onload = () => res(); img.onerror = rej; img.src = url; });
+      bmp = await createImageBitmap(img);
+      URL.revokeObjectURL(url);
+    }
+    await addPage(toFrame(bmp, bmp.width, bmp.height));
+  }
+
+  /* Frame → quality check → crop/flatten → optional "Dokument" filter → JPEG + hash.
+     Only the processed page is stored; the raw frame is dropped. */
+  async function addPage(frame) {
+    if (!(await validateFrame(frame))) {
+      await UI.message("Foto unscharf/zu dunkel. Erneut aufnehmen?");
+      return;
+    }
+    const page = await adjust(frame);
+    if (!page) return;
+    const blob = await toJpeg(page);
+    const sha = await U.sha256(blob);
+    const cap = { blob, w: page.width, h: page.height, sha256: sha, phash: DocScan.fingerprint(page) };
+    const verdict = await checkDuplicate(cap, state.inboundId);
+    cap.checked = true;
+    if (verdict === "skip") return;
+    if (verdict.jump) {
+      // pages taken so far are kept, as with "Fertig"
+      await saveAll();
+      el.dlg.close();
+      stop();
+      await UI.showDetail(verdict.jump);
+      return;
+    }
+    state.captures.push(cap);
+    renderThumbs();
+  }
+
+  /* Same page already stored (identical file via by_sha) or photographed again (similar
+     fingerprint)? Resolves with "keep", "skip" or { jump: doc }. */
+  async function checkDuplicate(cap, inboundId) {
+    const pending = state.captures.findIndex(c => c !== cap &&
+      (c.sha256 === cap.sha256 || DocScan.distance(c.phash, cap.phash) < SIMILAR));
+    if (pending >= 0 && inboundId === state.inboundId) {
+      const res = await UI.choose(`Diese Seite wurde eben schon als Seite ${pending + 1} aufgenommen.`, [
+        { value: "skip", label: "Überspringen" },
+        { value: "keep", label: "Trotzdem behalten" }
+      ]);
+      return res || "skip";
+    }
+
+    let hit = (await DB.findImagesBySha(cap.sha256))[0];
+    const exact = !!hit;
+    if (!hit && cap.phash) {
+      let best = SIMILAR;
+      for (const f of await DB.listImageFingerprints()) {
+        const d = DocScan.distance(cap.phash, f.phash);
+        if (d < best) { best = d; hit = f; }
+      }
+    }
+    if (!hit) return "keep";
+
+    const doc = await DB.getInboundById(hit.inbound_id);
+    const where = doc ? `LS ${doc.ls_nr} (${doc.supplier}, ${doc.date_doc})` : "einem anderen Lieferschein";
+    const options = [
+      { value: "skip", label: "Überspringen" },
+      { value: "keep", label: "Trotzdem behalten" }
+    ];
+    if (doc && doc.id !== inboundId) options.push({ value: "jump", label: "Zum Lieferschein" });
+    const res = await UI.choose(exact
+      ? `Diese Seite ist bereits bei ${where} als Seite ${hit.page_no} gespeichert.`
+      : `Eine sehr ähnliche Seite ist bereits bei ${where} als Seite ${hit.page_no} gespeichert.`, options);
+    return res === "jump" ? { jump: doc } : res || "skip";
+  }
+
+  /* Corner overlay on the preview canvas. Detected corners are preset; each can be dragged.
+     Resolves with the flattened page, the whole frame, or null when discarded. */
+  function adjust(frame) {
+    const found = DocScan.detect(frame);
+    const inset = 0.05;
+    let corners = found || [
+      { x: frame.width * inset, y: frame.height * inset },
+      { x: frame.width * (1 - inset), y: frame.height * inset },
+      { x: frame.width * (1 - inset), y: frame.height * (1 - inset) },
+      { x: frame.width * inset, y: frame.height * (1 - inset) }
+    ];
+    const c = el.canvas;
+    const ps = Math.min(1, 1000 / Math.max(frame.width, frame.height));
+    c.width = Math.round(frame.width * ps);
+    c.height = Math.round(frame.height * ps);
+    const g = c.getContext("2d");
+    const radius = () => 14 * c.width / (c.getBoundingClientRect().width || c.width);
+
+    function draw() {
+      g.drawImage(frame, 0, 0, c.width, c.height);
+      g.lineWidth = radius() / 4;
+      g.strokeStyle = "#0a84ff";
+      g.fillStyle = "rgba(10,132,255,0.15)";
+      g.beginPath();
+      corners.forEach((p, i) => (i ? g.lineTo(p.x * ps, p.y * ps) : g.moveTo(p.x * ps, p.y * ps)));
+      g.closePath();
+      g.fill();
+      g.stroke();
+      g.fillStyle = "#fff";
+      for (const p of corners) {
+        g.beginPath();
+        g.arc(p.x * ps, p.y * ps, radius(), 0, Math.PI * 2);
+        g.fill();
+        g.stroke();
+      }
+    }
+
+    const toCanvas = (e) => {
+      const r = c.getBoundingClientRect();
+      return { x: (e.clientX - r.left) * c.width / r.width, y: (e.clientY - r.top) * c.height / r.height };
+    };
+    let drag = -1;
+    c.onpointerdown = (e) => {
+      const q = toCanvas(e);
+      let best = Infinity;
+      corners.forEach((p, i) => {
+        const d = Math.hypot(p.x * ps - q.x, p.y * ps - q.y);
+        if (d < best) { best = d; drag = i; }
+      });
+      if (best > radius() * 3) { drag = -1; return; }
+      c.setPointerCapture(e.pointerId);
+      e.preventDefault();
+    };
+    c.onpointermove = (e) => {
+      if (drag < 0) return;
+      const q = toCanvas(e);
+      corners[drag] = {
+        x: Math.min(frame.width, Math.max(0, q.x / ps)),
+        y: Math.min(frame.height, Math.max(0, q.y / ps))
+      };
+      draw();
+    };
+    c.onpointerup = c.onpointercancel = () => { drag = -1; };
+
+    el.chkDocFilter.checked = localStorage.getItem("doc_filter") === "1";
+    el.adjustHint.textContent = found
+      ? "Blattkanten erkannt – Ecken bei Bedarf verschieben."
+      : "Blattkanten nicht erkannt – Ecken bitte auf die Blattecken ziehen.";
+    el.video.classList.add("hidden");
+    el.actions.classList.add("hidden");
+    c.classList.remove("hidden");
+    el.adjust.classList.remove("hidden");
+    draw();
+
+    return new Promise((resolve) => {
+      const finish = (mode) => {
+        el.btnCropOk.onclick = el.btnCropFull.onclick = el.btnCropCancel.onclick = null;
+        el.dlg.removeEventListener("close", onClose);
+        c.onpointerdown = c.onpointermove = c.onpointerup = c.onpointercancel = null;
+        c.classList.add("hidden");
+        el.adjust.classList.add("hidden");
+        el.actions.classList.remove("hidden");
+        if (state.stream) el.video.classList.remove("hidden");
+        if (!mode) return resolve(null);
+        localStorage.setItem("doc_filter", el.chkDocFilter.checked ? "1" : "0");
+        const page = mode === "crop" ? DocScan.warp(frame, corners) : toFrame(frame, frame.width, frame.height);
+        resolve(el.chkDocFilter.checked ? DocScan.enhance(page) : page);
+      };
+      const onClose = () => finish(null);
+      el.btnCropOk.onclick = () => finish("crop");
+      el.btnCropFull.onclick = () => finish("full");
+      el.btnCropCancel.onclick = () => finish(null);
+      el.dlg.addEventListener("close", onClose);
+    });
+  }
+
+  async function saveAll() {
+    await persist(state.inboundId, state.captures);
+    state.captures = [];
+    renderThumbs();
+    await UI.refreshLists();
+    UI.bumpSyncBadge();
+  }
+
+  /* Appends the captures as the next pages of the document. Captures that have not been through
+     the duplicate check yet get it here; resolves with the document to jump to, if chosen. */
+  async function persist(inboundId, captures) {
+    const existing = await DB.listImages(inboundId);
+    let page = existing.length ? Math.max(...existing.map(i => i.page_no)) : 0;
+    const first = page;
+    let jumpTo = null;
+    for (const cap of captures) {
+      if (!cap.checked) {
+        const verdict = await checkDuplicate(cap, inboundId);
+        if (verdict === "skip") continue;
+        if (verdict.jump) { jumpTo = verdict.jump; continue; }
+      }
+      page += 1;
+      const id = U.uuid();
+      const storage_uri = `blob://inbound/${new Date().toISOString().slice(0, 10).replaceAll("-", "/")}/${inboundId}/p${String(page).padStart(3, "0")}.jpg`;
+      await DB.addImage({
+        id, inbound_id: inboundId, page_no: page,
+        mime_type: "image/jpeg",
+        width_px: cap.w, height_px: cap.h, size_bytes: cap.blob.size,
+        sha256: cap.sha256, phash: cap.phash || "", storage_uri,
+        created_at: new Date().toISOString(), created_by: App.userId(),
+        synced: false, blob: cap.blob
+      });
+      await DB.addLog({ action: "add_image", inbound_id: inboundId, image_id: id, page_no: page, user: App.userId() });
+    }
+    if (page > first) await States.auto(inboundId, "photos");
+    return jumpTo;
+  }
+
+  /* Stores an already decoded photo (e.g. the one read by "Vom Foto lesen") as a page of the document */
+  async function addPhoto(inboundId, bmp) {
+    const blob = await drawBitmapToBlob(bmp);
+    const sha256 = await U.sha256(blob);
+    const jumpTo = await persist(inboundId, [{ blob, w: bmp.width, h: bmp.height, sha256, phash: DocScan.fingerprint(bmp) }]);
+    UI.bumpSyncBadge();
+    if (jumpTo) await UI.showDetail(jumpTo);
+  }
+
+  // draws a video frame or bitmap into a fresh canvas, longest edge ≤ 2500 px
+  function toFrame(source, sw, sh) {
+    const max = 2500;
+    const scale = Math.min(1, max / Math.max(sw, sh));
+    const c = document.createElement("canvas");
+    c.width = Math.round(sw * scale);
+    c.height = Math.round(sh * scale);
+    c.getContext("2d").drawImage(source, 0, 0, c.width, c.height);
+    return c;
+  }
+
+  function toJpeg(canvas) {
+    return new Promise((res) => canvas.toBlob(b => res(b), "image/jpeg", 0.85));
+  }
+
+  async function drawBitmapToBlob(bmp) {
+    return toJpeg(toFrame(bmp, bmp.width, bmp.height));
+  }
+
+  async function validateFrame(frame) {
+    // Resolution + simple blur via Laplacian variance, on the raw frame: a flattened page is
+    // naturally smaller than the photo it was cut from
+    if (Math.max(frame.width, frame.height) < 1500) return false;
+    const score = await laplacianVariance(frame);
+    // heuristic threshold
+    return score >= 60;
+  }
+
+  async function laplacianVariance(bmp) {
+    // compute on scaled down canvas for speed
+    const targetMax = 800;
+    const s = Math.min(1, targetMax / Math.max(bmp.width, bmp.height));
+    const w = Math.max(1, (bmp.width * s) | 0);
+    const h = Math.max(1, (bmp.height * s) | 0);
+    const c = document.createElement("canvas");
+    c.width = w; c.height = h;
+    const ctx = c.getContext("2d");
+    ctx.drawImage(bmp, 0, 0, w, h);
+    const img = ctx.getImageData(0, 0, w, h).data;
+    // grayscale
+    const gray = new Float32Array(w * h);
+    for (let i = 0, p = 0; i < img.length; i += 4, p++) {
+      gray[p] = 0.299 * img[i] + 0.587 * img[i + 1] + 0.114 * img[i + 2];
+    }
+    const k = [0, 1, 0, 1, -4, 1, 0, 1, 0];
+    const out = new Float32Array(w * h);
+    for (let y = 1; y < h - 1; y++) {
+      for (let x = 1; x < w - 1; x++) {
+        const i = y * w + x;
+        const v =
+          k[0] * gray[i - w - 1] + k[1] * gray[i - w] + k[2] * gray[i - w + 1] +
+          k[3] * gray[i - 1]     + k[4] * gray[i]     + k[5] * gray[i + 1] +
+          k[6] * gray[i + w - 1] + k[7] * gray[i + w] + k[8] * gray[i + w + 1];
+        out[i] = v;
+      }
+    }
+    // variance
+    let sum = 0, sum2 = 0, n = (w - 2) * (h - 2);
+    for (let y = 1; y < h - 1; y++) {
+      for (let x = 1; x < w - 1; x++) {
+        const v = out[y * w + x];
+        sum += v; sum2 += v * v;
+      }
+    }
+    const mean = sum / n;
+    const varr = (sum2 / n) - (mean * mean);
+    return varr / 100; // scale
+  }
+
+  async function rotateBlob(blob, deg) {
+    const bmp = await createImageBitmap(blob);
+    const rad = deg * Math.PI / 180;
+    const s = Math.sin(rad), c = Math.cos(rad);
+    const w = Math.abs(bmp.width * c) + Math.abs(bmp.height * s);
+    const h = Math.abs(bmp.width * s) + Math.abs(bmp.height * c);
+    const cnv = document.createElement("canvas");
+    cnv.width = Math.round(w); cnv.height = Math.round(h);
+    const ctx = cnv.getContext("2d");
+    ctx.translate(cnv.width / 2, cnv.height / 2);
+    ctx.rotate(rad);
+    ctx.drawImage(bmp, -bmp.width / 2, -bmp.height / 2);
+    return new Promise((res) => cnv.toBlob(b => res(b), "image/jpeg", 0.9));
+  }
+
+  // Event wiring
+  el.btnTake.addEventListener("click", take);
+  el.btnRotate.addEventListener("click", rotateLast);
+  el.btnRetake.addEventListener("click", deleteLast);
+  el.btnDeleteLast.addEventListener("click", deleteLast);
+  el.btnDone.addEventListener("click", async (e) => {
+    e.preventDefault();
+    await saveAll();
+    el.dlg.close();
+    stop();
+  });
+  el.fileInput.addEventListener("change", (e) => onFilePicked(e.target.files[0]));
+
+  return { open, stop, addPhoto, drawBitmapToBlob };
+})();
+
+/* ---------- Scanner (Barcode/QR über Kamera) ---------- */
+const Scanner = (() => {
+  const FORMATS = ["code_128", "ean_13", "qr_code"];
+  const el = {
+    dlg: document.getElementById("dlgScan"),
+    video: document.getElementById("scanVideo"),
+    file: document.getElementById("scanFile"),
+    hint: document.getElementById("scanHint"),
+    btnFile: document.getElementById("btnScanFile"),
+  };
+  const canvas = document.createElement("canvas");
+  let detector; // BarcodeDetector, or null → bundled decoder (barcode.js)
+
+  async function getDetector() {
+    if (detector !== undefined) return detector;
+    detector = null;
+    if ("BarcodeDetector" in window) {
+      try {
+        const supported = await BarcodeDetector.getSupportedFormats();
+        if (FORMATS.every(f => supported.includes(f))) detector = new BarcodeDetector({ formats: FORMATS });
+      } catch { /* fallback */ }
+    }
+    return detector;
+  }
+
+  async function detect(source, w, h) {
+    const det = await getDetector();
+    if (det) {
+      try {
+        const codes = await det.detect(source);
+        return codes.length ? { format: codes[0].format, rawValue: codes[0].rawValue } : null;
+      } catch (err) {
+        // a detector that rejects the frame does so every time: decode with the JS decoder from now on
+        console.warn("BarcodeDetector nicht nutzbar, weiter mit dem eingebauten Decoder", err);
+        detector = null;
+      }
+    }
+    // the JS decoder works on ≤ 1024 px, plenty for labels held into the frame
+    const s = Math.min(1, 1024 / Math.max(w, h));
+    canvas.width = Math.max(1, Math.round(w * s));
+    canvas.height = Math.max(1, Math.round(h * s));
+    const ctx = canvas.getContext("2d", { willReadFrequently: true });
+    ctx.drawImage(source, 0, 0, canvas.width, canvas.height);
+    return Barcode.decode(ctx.getImageData(0, 0, canvas.width, canvas.height));
+  }
+
+  // Resolves with { format, rawValue } or null when the dialog is closed without a hit
+  function scan() {
+    return new Promise((resolve) => {
+      let stream = null, stopped = false, timer = null, warned = false;
+      // the camera loop runs every 200 ms; one warning per scan is enough
+      const warn = (err) => { if (!warned) console.warn(err); warned = true; };
+      const finish = (res) => {
+        if (stopped) return;
+        stopped = true;
+        clearTimeout(timer);
+        if (stream) stream.getTracks().forEach(t => t.stop());
+        el.video.srcObject = null;
+        el.file.value = "";
+        if (el.dlg.open) el.dlg.close();
+        resolve(res);
+      };
+      const tick = async () => {
+        if (stopped) return;
+        if (el.video.readyState >= 2) {
+          try {
+            const res = await detect(el.video, el.video.videoWidth, el.video.videoHeight);
+            if (res) { navigator.vibrate?.(60); finish(res); return; }
+          } catch (err) {
+            warn(err);
+          }
+        }
+        timer = setTimeout(tick, 200);
+      };
+
+      el.dlg.addEventListener("close", () => finish(null), { once: true });
+      el.file.onchange = async () => {
+        const f = el.file.files[0];
+        if (!f) return;
+        try {
+          const bmp = await createImageBitmap(f);
+          const res = await detect(bmp, bmp.width, bmp.height);
+          if (res) { finish(res); return; }
+        } catch (err) {
+          warn(err);
+        }
+        el.hint.textContent = "Kein Code erkannt. Näher herangehen oder erneut aufnehmen.";
+      };
+      el.btnFile.onclick = () => el.file.click();
+      el.hint.textContent = "Code128, EAN-13 oder QR-Code ins Bild halten.";
+      el.dlg.returnValue = "";
+      el.dlg.showModal();
+
+      (async () => {
+        try {
+          if (!navigator.mediaDevices?.getUserMedia) throw new Error("no camera");
+          stream = await navigator.mediaDevices.getUserMedia({ video: { facingMode: "environment" }, audio: false });
+          if (stopped) { stream.getTracks().forEach(t => t.stop()); return; }
+          el.video.srcObject = stream;
+          el.video.classList.remove("hidden");
+          el.btnFile.classList.add("hidden");
+          tick();
+        } catch {
+          el.video.classList.add("hidden");
+          el.btnFile.classList.remove("hidden");
+          el.hint.textContent = "Keine Kamera verfügbar – Foto des Codes aufnehmen.";
+        }
+      })();
+    });
+  }
+
+  function isoDate(s) {
+    s = String(s || "");
+    let m = s.match(/\b(\d{4})-(\d{1,2})-(\d{1,2})\b/);
+    let y, mo, d;
+    if (m) [, y, mo, d] = m;
+    else if ((m = s.match(/\b(\d{1,2})\.(\d{1,2})\.(\d{2}|\d{4})\b/))) {
+      [, d, mo, y] = m;
+      if (y.length === 2) y = `20${y}`;
+    } else if ((m = s.match(/^\s*(20\d{2})(\d{2})(\d{2})\s*$/))) [, y, mo, d] = m;
+    else return "";
+    const iso = `${y}-${String(mo).padStart(2, "0")}-${String(d).padStart(2, "0")}`;
+    const dt = new Date(`${iso}T00:00:00Z`);
+    return !isNaN(dt) && dt.toISOString().slice(0, 10) === iso ? iso : "";
+  }
+
+  /* Splits a scanned payload into form fields.
+     Understands "KEY:VALUE;…" / "KEY=VALUE|…" lists, URLs with query parameters and GS-separated data;
+     anything else is taken as the bare LS-Nr. */
+  function parse(raw, suppliers = []) {
+    const text = String(raw || "").replace(/\x1d/g, ";").trim();
+    const fields = {};
+    const key = (k) => k.toLowerCase().replace(/[\s._-]+/g, "");
+    const loose = [];
+    let parts = text.split(/[;|\n\r]+/);
+    if (/^https?:\/\//i.test(text)) {
+      try {
+        const u = new URL(text);
+        u.searchParams.forEach((v, k) => { fields[key(k)] = v; });
+        loose.push(decodeURIComponent(u.pathname.split("/").filter(Boolean).pop() || ""));
+        parts = [];
+      } catch { /* no URL after all */ }
+    }
+    for (const part of parts) {
+      const m = part.match(/^\s*([A-Za-zÄÖÜäöüß][\wÄÖÜäöüß .-]{0,24}?)\s*[:=#]\s*(.+?)\s*$/);
+      if (m) fields[key(m[1])] = m[2];
+      else if (part.trim()) loose.push(part.trim());
+    }
+    const pick = (...keys) => keys.map(k => fields[k]).find(Boolean) || "";
+    const keyed = Object.keys(fields).length > 0;
+
+    // an unlabelled first part ("LS-4711;DAT:…") is the number itself
+    const ls = pick("ls", "lsnr", "lsno", "lieferschein", "lieferscheinnr", "lieferscheinnummer", "dn", "deliverynote", "delivery", "nr") ||
+      (keyed || loose.length ? loose.find(Boolean) || "" : text);
+    const date = isoDate(pick("datum", "date", "dat", "lsdatum", "d") || (keyed ? "" : text));
+    const supRaw = pick("lieferant", "lief", "supplier", "vendor", "kreditor");
+    const hay = (supRaw || text).toLowerCase();
+    const known = suppliers.find(s => s && (hay.includes(s.toLowerCase()) || (supRaw && s.toLowerCase().includes(hay))));
+    return { ls: ls.trim(), date, supplier: known || supRaw.trim() };
+  }
+
+  return { scan, parse, isoDate };
+})();
+
+/* ---------- Vom Foto lesen (Texterkennung auf dem Gerät, ocr.js) ---------- */
+const Reader = (() => {
+  const el = {
+    file: document.getElementById("ocrFile"),
+    lsList: document.getElementById("ocrLsList")
+  };
+  const LS_KEY = /liefersch|lieferschein|ls[\s.-]*nr|lief[\s.-]*nr|delivery|beleg[\s.-]*nr/i;
+  const DATE_KEY = /datum|date|lieferdat|ls[\s.-]*dat/i;
+  const OTHER_DATE = /bestell|auftrag|rechnung|termin|geburt/i;
+  const NOT_LS = /^(tel|fax|ust|steuer|iban|bic|kunden?|kd|plz|seite|auftrag|bestell)/i;
+
+  const fold = (s) => String(s).toLowerCase()
+    .replace(/ä/g, "ae").replace(/ö/g, "oe").replace(/ü/g, "ue").replace(/ß/g, "ss")
+    .replace(/[^a-z0-9]/g, "");
+
+  function distance(a, b) {
+    const row = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+      let prev = row[0];
+      row[0] = i;
+      for (let j = 1; j <= b.length; j++) {
+        const cur = row[j];
+        row[j] = Math.min(row[j] + 1, row[j - 1] + 1, prev + (a[i - 1] === b[j - 1] ? 0 : 1));
+        prev = cur;
+      }
+    }
+    return row[b.length];
+  }
+
+  async function pickFile() {
+    return (await U.pickFiles(el.file))[0] || null;
+  }
+
+  async function decode(file) {
+    try {
+      return await createImageBitmap(file, { imageOrientation: "from-image" });
+    } catch {
+      const img = document.createElement("img");
+      const url = URL.createObjectURL(file);
+      try {
+        await new Promise((res, rej) => { img.onload = res; img.onerror = rej; img.src = url; });
+        return await createImageBitmap(img);
+      } finally {
+        URL.revokeObjectURL(url);
+      }
+    }
+  }
+
+  /* Candidates per field, best first. A keyword before the value on the same line, or a
+     column header right above it, counts more than a number that merely looks right. */
+  function extract(lines, suppliers) {
+    const ls = new Map(), dates = new Map();
+    const add = (map, v, score) => { if (v) map.set(v, Math.max(map.get(v) || 0, score)); };
+    const words = lines.flatMap(l => l.words);
+    const header = (w) => words.filter(h => h.y + h.h <= w.y && h.y + h.h > w.y - w.h * 2.5 &&
+      h.x < w.x + w.w && h.x + h.w > w.x).map(h => h.text).join(" ");
+
+    for (const line of lines) {
+      let before = "", label = "";
+      for (const w of line.words) {
+        const above = header(w);
+        const tok = w.text.replace(/^[^\w]+|[^\w]+$/g, "");
+        before += " " + w.text;
+        const date = /^\d{1,2}[.,]\d{1,2}[.,](\d{4}|\d{2})$|^\d{4}-\d{2}-\d{2}$/.test(tok) ? Scanner.isoDate(tok.replace(/,/g, ".")) : "";
+        if (date) {
+          label = w.text;
+          const near = DATE_KEY.test(before) ? before : DATE_KEY.test(above) ? above : "";
+          add(dates, date, !near ? 1 : OTHER_DATE.test(near) ? 0.5 : near === before ? 3 : 2.5);
+          continue;
+        }
+        const prev = label;
+        label = w.text;
+        if (tok.length < 4 || !/\d/.test(tok) || NOT_LS.test(tok) || NOT_LS.test(prev) || NOT_LS.test(above)) continue;
+        const keyed = LS_KEY.test(before.slice(0, -w.text.length)) ? 4 : LS_KEY.test(above) ? 3.5 : 0;
+        add(ls, tok, keyed + Math.min(tok.replace(/\D/g, "").length, 8) / 8);
+      }
+    }
+
+    // supplier: best match of a known name anywhere in the text, else the letterhead
+    const sup = [];
+    const folded = lines.map(l => fold(l.text));
+    for (const s of suppliers) {
+      const f = fold(s);
+      if (f.length < 3) continue;
+      let best = 0;
+      for (const line of folded) {
+        if (line.includes(f)) { best = 1; break; }
+        for (let i = 0; i + f.length <= line.length + 1; i++) {
+          const part = line.slice(i, i + f.length);
+          best = Math.max(best, 1 - distance(f, part) / f.length);
+        }
+      }
+      if (best >= 0.75) sup.push({ value: s, score: best });
+    }
+    sup.sort((a, b) => b.score - a.score);
+    const head = lines.slice(0, 4).find(l => /[A-Za-zÄÖÜäöü]{3}/.test(l.text) && !LS_KEY.test(l.text));
+    if (head && !sup.length) sup.push({ value: head.text, score: 0 });
+
+    const ranked = (map) => [...map.entries()].sort((a, b) => b[1] - a[1]).map(([v]) => v);
+    return { ls: ranked(ls).slice(0, 6), dates: ranked(dates).slice(0, 4), suppliers: sup.map(s => s.value).slice(0, 4) };
+  }
+
+  /* Photo → OCR → confirmation. Resolves with the confirmed values and the decoded photo, or null. */
+  async function fromPhoto(suppliers) {
+    const file = await pickFile();
+    if (!file) return null;
+    let bmp, result;
+    const busy = document.body.style.cursor;
+    document.body.style.cursor = "progress";
+    UI.note("Lese Text …");
+    try {
+      bmp = await decode(file);
+      await U.sleep(30); // let the cursor paint before the main thread is busy
+      result = Ocr.recognize(bmp);
+    } catch (err) {
+      await UI.message(`Foto konnte nicht gelesen werden: ${err.message || err}`);
+      return null;
+    } finally {
+      document.body.style.cursor = busy;
+    }
+
+    const found = extract(result.lines, suppliers);
+    found.suppliers = [...new Set(found.suppliers.map(Suppliers.canonical))];
+    // the supplier's LS-Nr format, if known, decides between look-alike numbers
+    const fits = (v) => Suppliers.lsFits(found.suppliers[0], v) === true;
+    found.ls.sort((a, b) => fits(b) - fits(a));
+    if (!found.ls.length && !found.dates.length && !found.suppliers.length) {
+      await UI.message("Auf dem Foto wurde kein Lieferschein-Text erkannt. Bitte gerade und formatfüllend fotografieren oder die Felder von Hand ausfüllen.");
+      return null;
+    }
+    el.lsList.innerHTML = found.ls.map(v => `<option value="${U.sanitize(v)}">`).join("");
+    const also = (list) => list.length > 1 ? `Weitere Treffer: ${list.slice(1).join(", ")}` : "";
+    const values = await UI.form("Vom Foto gelesen – bitte prüfen", [
+      { name: "ls", label: "Lieferscheinnummer", value: found.ls[0] || "", list: "ocrLsList", required: true, hint: also(found.ls) },
+      { name: "supplier", label: "Lieferant", value: found.suppliers[0] || "", list: "supplierList", required: true, hint: also(found.suppliers) },
+      { name: "date", label: "Datum", type: "date", value: found.dates[0] || U.todayStr(), required: true, hint: also(found.dates) },
+      { name: "keep", label: "Foto als Seite 1 übernehmen", type: "checkbox", value: true },
+      { name: "text", label: "Erkannter Text", type: "textarea", value: result.text.slice(0, 2000) }
+    ]);
+    if (!values) return null;
+    return { ls: values.ls, supplier: values.supplier, date: values.date, photo: values.keep ? bmp : null };
+  }
+
+  return { fromPhoto, extract, decode };
+})();
+
+/* ---------- Suche (LS-Nr auch teilweise/unscharf, Lieferant, Datum, Status) ---------- */
+const Search = (() => {
+  const KEYS = {
+    lieferant: "supplier", l: "supplier",
+    datum: "date", d: "date",
+    status: "status", s: "status",
+    ls: "ls", nr: "ls", lsnr: "ls"
+  };
+  const COLUMNS = [
+    { key: "ls", label: "LS-Nr" },
+    { key: "supplier", label: "Lieferant" },
+    { key: "date", label: "Datum" },
+    { key: "status", label: "Status" },
+    { key: "pages", label: "Seiten" }
+  ];
+  const MAX_ROWS = 200;
+
+  let last = null; // { rows, query, box } of the latest list, for sorting and "back"
+  let sort = { key: "", dir: 1 };
+
+  // "Müller", "Mueller" and "Muller" compare equal
+  const fold = (s) => String(s || "").toLowerCase()
+    .replace(/ä/g, "a").replace(/ö/g, "o").replace(/ü/g, "u").replace(/ß/g, "ss")
+    .replace(/([aou])e/g, "$1").replace(/[^a-z0-9]/g, "");
+
+  /* Fewest edits that turn `term` into some stretch of `text` (term may sit anywhere in text). */
+  function within(term, text) {
+    let prev = Array(text.length + 1).fill(0);
+    for (let i = 1; i <= term.length; i++) {
+      const row = [i];
+      for (let j = 1; j <= text.length; j++) {
+        row[j] = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + (term[i - 1] === text[j - 1] ? 0 : 1));
+      }
+      prev = row;
+    }
+    return Math.min(...prev);
+  }
+  const allowed = (term) => (term.length >= 8 ? 2 : term.length >= 4 ? 1 : 0);
+
+  /* LS-Nr rank: 0 exact, 1 prefix, 2 suffix, 3 substring, 4+ with typos (only if fuzzy); -1 no match */
+  function lsRank(term, doc, fuzzy) {
+    const t = U.normLs(term);
+    const n = doc.ls_nr_normalized || U.normLs(doc.ls_nr);
+    if (!t) return 0;
+    if (n === t) return 0;
+    if (n.startsWith(t)) return 1;
+    if (n.endsWith(t)) return 2;
+    if (n.includes(t)) return 3;
+    if (!fuzzy) return -1;
+    const d = within(t, n);
+    return d <= allowed(t) ? 3 + d : -1;
+  }
+
+  function supplierMatch(term, supplier) {
+    // an alias or supplier number from the directory finds every spelling of that supplier
+    const known = Suppliers.resolve(term);
+    if (known && Suppliers.resolve(supplier) === known) return true;
+    const t = fold(term);
+    const s = fold(supplier);
+    return !!t && (s.includes(t) || (t.length >= 5 && within(t, s) <= 1));
+  }
+
+  function statusMatch(term, status) {
+    const t = fold(term);
+    return fold(status).includes(t) || fold(States.label(status)).includes(t);
+  }
+
+  /* ---------- Datum ---------- */
+  const iso = (d) => d.toISOString().slice(0, 10);
+  function daysAgo(n) {
+    const d = new Date(`${U.todayStr()}T00:00:00Z`);
+    d.setUTCDate(d.getUTCDate() - n);
+    return iso(d);
+  }
+
+  // one date expression → [from, to], or null
+  function span(s) {
+    s = String(s || "").trim().toLowerCase();
+    if (s === "heute") return [U.todayStr(), U.todayStr()];
+    if (s === "gestern") return [daysAgo(1), daysAgo(1)];
+    if (s === "woche") return [daysAgo(6), U.todayStr()];
+    if (s === "monat") return [daysAgo(29), U.todayStr()];
+    let m = s.match(/^(\d{4})-(\d{2})$/);
+    if (m) {
+      const end = new Date(Date.UTC(+m[1], +m[2], 0));
+      return +m[2] >= 1 && +m[2] <= 12 ? [`${s}-01`, iso(end)] : null;
+    }
+    if ((m = s.match(/^\d{4}$/))) return [`${s}-01-01`, `${s}-12-31`];
+    if (/^\d{4}-\d{1,2}-\d{1,2}$|^\d{1,2}\.\d{1,2}\.(\d{2}|\d{4})$/.test(s)) {
+      const day = Scanner.isoDate(s);
+      return day ? [day, day] : null;
+    }
+    return null;
+  }
+
+  // "a..b", "a..", "..b" or a single expression → { from, to }, or null
+  function dateRange(s) {
+    const parts = String(s).split("..");
+    if (parts.length > 2) return null;
+    if (parts.length === 1) {
+      const r = span(parts[0]);
+      return r && { from: r[0], to: r[1] };
+    }
+    const a = parts[0] ? span(parts[0]) : [""];
+    const b = parts[1] ? span(parts[1]) : ["", ""];
+    if (!a || !b) return null;
+    return { from: a[0], to: b[1] };
+  }
+
+  const looksLikeDate = (w) => /\.\.|^\d{4}-\d{1,2}(-\d{1,2})?$|^\d{1,2}\.\d{1,2}\.\d{2,4}$|^(heute|gestern)$/i.test(w);
+
+  /* ---------- Abfrage ---------- */
+  /* "lieferant:müller datum:2026-10-01..2026-10-15 4711" →
+     { ls: [], words: ["4711"], supplier: ["müller"], status: [], from, to, errors: [] } */
+  function parse(text) {
+    const q = { ls: [], words: [], supplier: [], status: [], from: "", to: "", errors: [] };
+    const re = /([A-Za-z]+):(?:"([^"]*)"|(\S+))|"([^"]*)"|(\S+)/g;
+    let m;
+    while ((m = re.exec(text))) {
+      const key = m[1] && KEYS[m[1].toLowerCase()];
+      const value = (m[2] ?? m[3] ?? m[4] ?? m[5] ?? "").trim();
+      if (!value) continue;
+      if (key === "date" || (!key && !m[1] && looksLikeDate(value))) {
+        const r = dateRange(value);
+        if (!r) { q.errors.push(`Datum „${value}“ nicht erkannt.`); continue; }
+        if (r.from && (!q.from || r.from > q.from)) q.from = r.from;
+        if (r.to && (!q.to || r.to < q.to)) q.to = r.to;
+      } else if (key) q[key].push(value);
+      else q.words.push(m[0].replace(/^"|"$/g, ""));
+    }
+    return q;
+  }
+
+  /* Candidates from the narrowest index, then every criterion checked in memory.
+     Typos in the LS-Nr are only tolerated when nothing matches as typed. */
+  async function find(q, fuzzy = false) {
+    let docs;
+    if (q.from || q.to) docs = await DB.listInboundByDateRange(q.from, q.to);
+    else if (q.supplier.length) {
+      const names = (await DB.listInboundSuppliers()).filter(n => q.supplier.some(t => supplierMatch(t, n)));
+      docs = (await Promise.all(names.map(n => DB.listInboundBySupplier(n)))).flat();
+    } else docs = await DB.listInboundAll();
+
+    const rows = [];
+    for (const doc of docs) {
+      if (q.from && (doc.date_doc || "") < q.from) continue;
+      if (q.to && (doc.date_doc || "") > q.to) continue;
+      if (q.supplier.length && !q.supplier.some(t => supplierMatch(t, doc.supplier))) continue;
+      if (q.status.length && !q.status.some(t => statusMatch(t, doc.status))) continue;
+      let rank = 0;
+      let ok = true;
+      for (const t of q.ls) {
+        const r = lsRank(t, doc, fuzzy);
+        if (r < 0) { ok = false; break; }
+        rank += r;
+      }
+      // a bare word may be part of the LS-Nr or of the supplier name
+      for (const w of ok ? q.words : []) {
+        if (supplierMatch(w, doc.supplier)) continue;
+        const r = lsRank(w, doc, fuzzy);
+        if (r < 0) { ok = false; break; }
+        rank += r;
+      }
+      if (ok) rows.push({ doc, rank });
+    }
+    if (!rows.length && !fuzzy && q.ls.length + q.words.length) return find(q, true);
+    return rows;
+  }
+
+  function describe(q) {
+    const parts = [];
+    for (const t of [...q.ls, ...q.words]) parts.push(`„${t}“`);
+    if (q.supplier.length) parts.push(`Lieferant ${q.supplier.join(" oder ")}`);
+    if (q.status.length) parts.push(`Status ${q.status.join(" oder ")}`);
+    if (q.from || q.to) parts.push(q.from === q.to ? `am ${q.from}` : `${q.from || "…"} bis ${q.to || "…"}`);
+    return parts.join(" · ");
+  }
+
+  function compare(a, b) {
+    const val = (r) => {
+      switch (sort.key) {
+        case "ls": return r.doc.ls_nr_normalized || "";
+        case "supplier": return fold(r.doc.supplier);
+        case "date": return r.date;
+        case "status": return States.label(r.doc.status);
+        case "pages": return r.pages;
+        default: return r.rank;
+      }
+    };
+    const va = val(a), vb = val(b);
+    const c = typeof va === "number" ? va - vb : va.localeCompare(vb, "de", { numeric: true });
+    // ties (and the relevance order) fall back to newest first
+    return sort.dir * c || b.date.localeCompare(a.date);
+  }
+
+  function render() {
+    const { rows, query, box } = last;
+    rows.sort(compare);
+    const shown = rows.slice(0, MAX_ROWS);
+    const wrap = document.createElement("div");
+    wrap.className = "search-hits";
+    const head = COLUMNS.map(c => {
+      const mark = sort.key === c.key ? (sort.dir > 0 ? " ▲" : " ▼") : "";
+      return `<th><button type="button" class="btn btn-ghost sm" data-sort="${c.key}">${c.label}${mark}</button></th>`;
+    }).join("");
+    wrap.innerHTML = `
+      <h3></h3>
+      <table class="table" aria-label="Suchtreffer"><thead><tr>${head}</tr></thead><tbody></tbody></table>`;
+    U.$("h3", wrap).textContent = `${rows.length} Treffer${rows.length > MAX_ROWS ? `, die ersten ${MAX_ROWS} werden angezeigt` : ""}` +
+      (describe(query) ? ` – ${describe(query)}` : "");
+    const tb = U.$("tbody", wrap);
+    for (const { doc, pages, parts } of shown) {
+      const tr = document.createElement("tr");
+      tr.dataset.id = doc.id;
+      const dates = [...new Set(parts.map(p => p.date_doc))].sort();
+      const states = [...new Set(parts.map(p => States.label(p.status)))];
+      tr.innerHTML = `<td><a href="#"></a>${doc.group_id ? ` <span class="badge badge-info">${parts.length} Teil${parts.length > 1 ? "e" : ""}</span>` : ""}` +
+        `${doc.group_complete ? ` <span class="badge badge-ok">vollständig</span>` : ""}</td><td></td>
+        <td>${dates.length > 1 ? `${dates[0]} – ${dates[dates.length - 1]}` : dates[0] || ""}</td>
+        <td>${U.esc(states.join(", "))}</td><td>${pages}</td>`;
+      tr.querySelector("a").textContent = doc.ls_nr;
+      tr.children[1].textContent = doc.supplier || "";
+      tb.appendChild(tr);
+    }
+    U.$("thead", wrap).addEventListener("click", (e) => {
+      const b = e.target.closest("button[data-sort]");
+      if (!b) return;
+      sort = { key: b.dataset.sort, dir: sort.key === b.dataset.sort ? -sort.dir : 1 };
+      render();
+    });
+    tb.addEventListener("click", (e) => {
+      const tr = e.target.closest("tr[data-id]");
+      if (!tr) return;
+      e.preventDefault();
+      open(rows.find(r => r.doc.id === tr.dataset.id).doc);
+    });
+    box.replaceChildren(wrap);
+  }
+
+  async function open(doc) {
+    await UI.showDetail(doc);
+    if (last.rows.length < 2) return;
+    const back = document.createElement("button");
+    back.type = "button";
+    back.className = "btn btn-ghost";
+    back.textContent = `← Trefferliste (${last.rows.length})`;
+    back.onclick = () => render();
+    last.box.prepend(back);
+  }
+
+  /* Runs a query and shows the hits in box. Searching for one LS-Nr that exists exactly
+     (typed or scanned) opens that delivery note directly, the list stays one click away. */
+  async function run(text, box) {
+    const query = parse(text);
+    box.innerHTML = "";
+    if (query.errors.length) { box.textContent = query.errors.join(" "); return; }
+    const hits = await find(query);
+    if (!hits.length) { box.textContent = "Keine Treffer."; return; }
+    const terms = [...query.ls, ...query.words].filter(t => U.normLs(t));
+    // parts of one delivery collapse into one row; the best matching part is the one that opens
+    const groups = new Map();
+    for (const r of hits) {
+      r.pages = await DB.countImages(r.doc.id);
+      const g = groups.get(Parts.groupOf(r.doc));
+      if (!g) { groups.set(Parts.groupOf(r.doc), { ...r, parts: [r.doc], date: r.doc.date_doc || "" }); continue; }
+      g.parts.push(r.doc);
+      g.pages += r.pages;
+      if ((r.doc.date_doc || "") > g.date) g.date = r.doc.date_doc;
+      if (r.rank < g.rank || (r.rank === g.rank && (r.doc.part_no || 0) < (g.doc.part_no || 0))) Object.assign(g, { doc: r.doc, rank: r.rank });
+    }
+    const rows = [...groups.values()];
+    // with search terms the best matches come first, otherwise the newest
+    sort = terms.length ? { key: "", dir: 1 } : { key: "date", dir: -1 };
+    last = { rows, query, box };
+    const exact = terms.length === 1 ? rows.filter(r => lsRank(terms[0], r.doc) === 0) : [];
+    if (exact.length === 1) await open(exact[0].doc);
+    else render();
+  }
+
+  return { run, parse };
+})();
+
+/* ---------- UI Layer ---------- */
+const UI = (() => {
+  const el = {
+    roleBadge: U.$("#roleBadge"),
+    syncBadge: U.$("#syncBadge"),
+    onlineBadge: U.$("#onlineBadge"),
+    supplierList: U.$("#supplierList"),
+    lsFormatWarning: U.$("#lsFormatWarning"),
+    formInbound: U.$("#formInbound"),
+    dupWarning: U.$("#dupWarning"),
+    chkForce: U.$("#chkForce"),
+    dupText: U.$("#dupText"),
+    lsnr: U.$("#lsnr"),
+    supplier: U.$("#supplier"),
+    dateDoc: U.$("#dateDoc"),
+    btnSaveOnly: U.$("#btnSaveOnly"),
+    listOhne: U.$("#listOhne"),
+    listMit: U.$("#listMit"),
+    statusFilter: U.$("#statusFilter"),
+    results: U.$("#results"),
+    quickSearch: U.$("#quickSearch"),
+    btnSearch: U.$("#btnSearch"),
+    board: U.$("#board"),
+    toggleAskPartial: U.$("#toggleAskPartial"),
+    btnAddBin: U.$("#btnAddBin"),
+    cartTableBody: U.$("#cartTable tbody"),
+    adminPanel: U.$("#adminPanel"),
+    toggleHomeLock: U.$("#toggleHomeLock"),
+    toggleOverride: U.$("#toggleOverride"),
+    dlgConfirm: U.$("#dlgConfirm"),
+    dlgChoice: U.$("#dlgChoice"),
+    dlgMsg: U.$("#dlgMessage"),
+    msgText: U.$("#msgText"),
+    dlgPrompt: U.$("#dlgPrompt"),
+    promptLabel: U.$("#promptLabel"),
+    promptInput: U.$("#promptInput"),
+  };
+
+  function setOnlineUi() {
+    const online = navigator.onLine;
+    el.onlineBadge.textContent = online ? "Online" : "Offline";
+    el.onlineBadge.className = `badge ${online ? "badge-ok" : "badge-warn"}`;
+  }
+  window.addEventListener("online", () => { setOnlineUi(); bumpSyncBadge(true); });
+  window.addEventListener("offline", setOnlineUi);
+
+  async function bumpSyncBadge(auto = false) {
+    // Real queue state from the outbox (pending = waiting/retrying, failed = rejected or out of attempts)
+    const { pending, failed } = await DB.countOutbox();
+    const { lastError, lastRun } = Sync.status();
+    el.syncBadge.textContent = failed ? `⟳ ${pending} · ⚠ ${failed}` : `⟳ ${pending}`;
+    el.syncBadge.className = `badge ${failed ? "badge-warn" : "badge-info"}`;
+    el.syncBadge.title = [
+      `Ausstehende Uploads: ${pending}`,
+      failed ? `Fehlgeschlagen: ${failed} (antippen für neuen Versuch)` : "",
+      lastError ? `Letzter Fehler: ${lastError}` : "",
+      lastRun ? `Letzter Abgleich: ${new Date(lastRun).toLocaleString("de-DE")}` : ""
+    ].filter(Boolean).join("\n");
+    if (auto && navigator.onLine && (pending || failed)) await Sync.run();
+  }
+  el.syncBadge.addEventListener("click", () => Sync.retryFailed());
+
+  // header badge, admin panel and everything marked data-perm follow the signed-in user
+  function setUser(user) {
+    el.roleBadge.textContent = user ? `${user.name} · ${Users.roleLabel(user.role)}` : "Nicht angemeldet";
+    el.roleBadge.className = `badge ${user?.role === "admin" ? "badge-admin" : ""}`;
+    el.adminPanel.hidden = !App.isAdmin();
+    U.$$("[data-perm]").forEach(n => { n.hidden = !App.can(n.dataset.perm); });
+  }
+
+  function note(text) {
+    // Non-blocking toast-like message
+    console.info(text);
+  }
+
+  function syncBadgeHtml(state) {
+    if (state === "failed") return `<span class="badge badge-warn">Upload fehlgeschlagen – ⟳ antippen für neuen Versuch.</span>`;
+    if (state === "pending") return `<span class="badge badge-info">Upload ausstehend – wird bei Verbindung synchronisiert.</span>`;
+    return "";
+  }
+
+  function tile(doc, pages, syncState, parts = 1) {
+    const icon = `📎 ×${pages || 0}`;
+    const li = document.createElement("li");
+    li.className = "list-item";
+    li.innerHTML = `
+      <div class="li-main">
+        <b>${doc.ls_nr}</b> – ${doc.supplier} – ${doc.date_doc}
+      </div>
+      <div class="li-sub">
+        <span>${icon}</span>
+        ${States.badgeHtml(doc.status)}
+        ${Parts.badgeHtml(doc, parts)}
+        ${Damage.badgeHtml(doc)}
+        ${syncBadgeHtml(syncState)}
+      </div>
+      <div class="li-actions">
+        <button class="btn btn-ghost" data-act="open">${pages ? "Anzeigen" : "Fotografieren"}</button>
+        <button class="btn btn-ghost" data-act="status">Status …</button>
+        <button class="btn btn-ghost" data-act="manage">Bilder verwalten</button>
+        <button class="btn btn-ghost" data-act="pdf"${pages ? "" : " disabled"}>Als PDF speichern</button>
+      </div>
+    `;
+    li.dataset.id = doc.id;
+    return li;
+  }
+
+  async function refreshLists() {
+    // suppliers datalist
+    // first list: states shown while capturing; second: the later ones, or the state picked in the filter
+    const filter = el.statusFilter.value;
+    const byState = async (pick) => (await Promise.all(States.all().filter(pick).map(st => DB.listInboundByStatus(st.id)))).flat()
+      .sort((a, b) => (a.created_at || "").localeCompare(b.created_at || ""));
+    const ohne = await byState(st => st.list === "1");
+    const mit = await byState(st => (filter ? st.id === filter : st.list === "2"));
+    Suppliers.fillList([...mit, ...ohne].map(d => d.supplier));
+
+    // Lists
+    // built off-DOM and swapped in one go, so overlapping refreshes cannot duplicate tiles
+    const syncState = await DB.outboxByInbound();
+    const counts = new Map();
+    for (const d of [...mit, ...ohne]) counts.set(Parts.groupOf(d), (counts.get(Parts.groupOf(d)) || 0) + 1);
+    // parts of one delivery that sit in the same list are shown together under one heading
+    const build = async (docs) => {
+      const groups = new Map();
+      for (const d of docs) {
+        const key = Parts.groupOf(d);
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(d);
+      }
+      const out = [];
+      for (const group of groups.values()) {
+        group.sort((a, b) => (a.part_no || 0) - (b.part_no || 0));
+        const tiles = [];
+        for (const d of group) tiles.push(tile(d, await DB.countImages(d.id), syncState.get(d.id), counts.get(Parts.groupOf(d))));
+        if (group.length === 1) { out.push(...tiles); continue; }
+        const li = document.createElement("li");
+        li.className = "list-group";
+        li.innerHTML = `<div class="li-main"></div><ul class="list"></ul>`;
+        const first = group[0];
+        const of = first.parts_total || first.group_complete ? ` von ${Parts.total(first, counts.get(Parts.groupOf(first)))} Teilen` : " Teile";
+        li.firstChild.textContent = `${first.ls_nr} – ${first.supplier} – Teillieferung, ${group.length}${of}` +
+          (first.group_complete ? " (vollständig)" : "");
+        li.lastChild.replaceChildren(...tiles);
+        out.push(li);
+      }
+      return out;
+    };
+    const [liOhne, liMit] = [await build(ohne), await build(mit)];
+    el.listOhne.replaceChildren(...liOhne);
+    el.listMit.replaceChildren(...liMit);
+  }
+
+  function listClickHandler(ul) {
+    ul.addEventListener("click", async (e) => {
+      const btn = e.target.closest("button");
+      const li = e.target.closest(".list-item");
+      if (!btn || !li) return;
+      const id = li.dataset.id;
+      const doc = await DB.getInboundById(id);
+      const imgs = await DB.listImages(id);
+
+      if (btn.dataset.act === "open") {
+        if (!imgs.length) {
+          await message("Noch kein Foto vorhanden. Bitte zuerst fotografieren.");
+          Camera.open(id);
+          return;
+        }
+        // show detail gallery
+        await showDetail(doc);
+      } else if (btn.dataset.act === "status") {
+        if (await States.change(doc)) await refreshLists();
+      } else if (btn.dataset.act === "manage") {
+        await manageImages(doc);
+      } else if (btn.dataset.act === "pdf") {
+        await exportDocPdf(doc, imgs);
+      }
+    });
+  }
+
+  async function showDetail(doc) {
+    const imgs = await DB.listImages(doc.id);
+    const damage = await DB.countImages(doc.id, "damage");
+    const wrap = document.createElement("div");
+    wrap.className = "detail";
+    wrap.innerHTML = `
+      <h3>${doc.ls_nr}</h3>
+      <div class="meta">
+        <span>Lieferant: ${doc.supplier}</span>
+        <span>Datum: ${doc.date_doc}</span>
+        <span>Status: ${States.badgeHtml(doc.status)} <button id="btnStatus" class="btn btn-ghost sm">ändern …</button></span>
+        <span>Seiten: ${imgs.length}</span>
+        ${doc.complaint ? `<span>${Damage.badgeHtml(doc)}</span>` : ""}
+      </div>
+      <div class="gallery" tabindex="0" aria-label="Galerie">
+        <img id="galImg" alt="Seite 1/${imgs.length}" />
+        <div class="gal-ctrl">
+          <button id="prev" class="btn btn-ghost">◀</button>
+          <span id="counter">1/${imgs.length}</span>
+          <button id="next" class="btn btn-ghost">▶</button>
+          <button id="zoomIn" class="btn btn-ghost">Zoom +</button>
+          <button id="zoomOut" class="btn btn-ghost">Zoom −</button>
+          <button id="btnToCart" class="btn">In Korb</button>
+          <button id="btnPdf" class="btn"${imgs.length ? "" : " disabled"}>Als PDF speichern</button>
+          <button id="btnLines" class="btn">Positionen${(doc.lines || []).length ? ` (${doc.lines.length})` : ""}</button>
+          <button id="btnDamage" class="btn">Schäden${damage ? ` (${damage})` : ""}</button>
+          <button id="btnLog" class="btn btn-ghost">Protokoll</button>
+        </div>
+      </div>
+    `;
+    el.results.innerHTML = "";
+    el.results.appendChild(wrap);
+    await Parts.switcher(doc, wrap, showDetail);
+    Drawings.section(doc, wrap, showDetail);
+
+    let idx = 0, zoom = 1;
+    const setImg = (i) => {
+      idx = (i + imgs.length) % imgs.length;
+      const cur = imgs[idx];
+      const url = URL.createObjectURL(cur.blob);
+      const gi = U.$("#galImg", wrap);
+      gi.src = url;
+      gi.style.transform = `scale(${zoom})`;
+      U.$("#counter", wrap).textContent = `${idx + 1}/${imgs.length}`;
+      gi.alt = `Seite ${idx + 1}/${imgs.length}`;
+      setTimeout(() => URL.revokeObjectURL(url), 1500);
+    };
+    U.$("#prev", wrap).onclick = () => setImg(idx - 1);
+    U.$("#next", wrap).onclick = () => setImg(idx + 1);
+    U.$("#zoomIn", wrap).onclick = () => { zoom = Math.min(3, zoom + 0.25); setImg(idx); };
+    U.$("#zoomOut", wrap).onclick = () => { zoom = Math.max(0.5, zoom - 0.25); setImg(idx); };
+    U.$("#btnToCart", wrap).onclick = async () => {
+      const name = `${doc.supplier} – ${doc.ls_nr}`;
+      await Cart.add(name, 1, `Datum ${doc.date_doc}`, doc.supplier);
+      await Cart.render();
+      await message("Zum Korb hinzugefügt.");
+    };
+    U.$("#btnPdf", wrap).onclick = () => exportDocPdf(doc, imgs);
+    U.$("#btnStatus", wrap).onclick = async () => {
+      if (!(await States.change(doc))) return;
+      await refreshLists();
+      await showDetail(doc);
+    };
+    U.$("#btnLog", wrap).onclick = () => Protocol.timeline(doc, wrap);
+    U.$("#btnLines", wrap).onclick = () => Lines.editor(doc, wrap);
+    U.$("#btnDamage", wrap).onclick = () => Damage.panel(doc, wrap);
+    if (imgs.length) setImg(0);
+    await Orders.suggestFor(doc, wrap);
+  }
+
+  async function exportDocPdf(doc, imgs) {
+    if (!imgs.length) { await message("Noch keine Seiten vorhanden."); return; }
+    const pdf = await Pdf.inboundDoc(doc, imgs);
+    const safe = `${doc.ls_nr}`.replace(/[^\w.-]+/g, "_");
+    U.download(`LS-${safe}-${doc.date_doc}.pdf`, "application/pdf", pdf);
+  }
+
+  async function manageImages(doc) {
+    const imgs = await DB.listImages(doc.id);
+    const wrap = document.createElement("div");
+    wrap.className = "manage";
+    wrap.innerHTML = `
+      <h3>Bilder verwalten</h3>
+      <div class="manage-list"></div>
+      <div class="row gap">
+        <button id="btnAdd" class="btn">Weitere Seite</button>
+        <button id="btnReorderUp" class="btn btn-ghost">▲</button>
+        <button id="btnReorderDown" class="btn btn-ghost">▼</button>
+        <button id="btnDelete" class="btn btn-ghost">Löschen</button>
+      </div>
+    `;
+    el.results.innerHTML = "";
+    el.results.appendChild(wrap);
+
+    const list = U.$(".manage-list", wrap);
+    let sel = -1;
+    function render() {
+      list.innerHTML = "";
+      imgs.sort((a, b) => a.page_no - b.page_no);
+      imgs.forEach((im, i) => {
+        const url = URL.createObjectURL(im.blob);
+        const div = document.createElement("div");
+        div.className = `thumb ${sel === i ? "selected" : ""}`;
+        div.innerHTML = `<img src="${url}" alt="Seite ${im.page_no}"><span>${im.page_no}</span>`;
+        div.addEventListener("click", () => { sel = i; render(); });
+        list.appendChild(div);
+        setTimeout(() => URL.revokeObjectURL(url), 1500);
+      });
+    }
+    render();
+
+    U.$("#btnAdd", wrap).onclick = () => Camera.open(doc.id);
+    U.$("#btnDelete", wrap).onclick = async () => {
+      if (sel < 0 || !(await App.permit("images_delete"))) return;
+      const { id, page_no } = imgs[sel];
+      await DB.deleteImage(id);
+      await DB.addLog({ action: "delete_image", inbound_id: doc.id, image_id: id, page_no, user: App.userId() });
+      imgs.splice(sel, 1); sel = -1; // reindex remaining
+      let p = 1;
+      for (const im of imgs) { im.page_no = p++; await DB.putImage(im); }
+      render(); await refreshLists();
+    };
+    U.$("#btnReorderUp", wrap).onclick = async () => {
+      if (sel <= 0) return;
+      [imgs[sel - 1].page_no, imgs[sel].page_no] = [imgs[sel].page_no, imgs[sel - 1].page_no];
+      await DB.putImage(imgs[sel - 1]); await DB.putImage(imgs[sel]);
+      await DB.addLog({ action: "reorder_images", inbound_id: doc.id, from: imgs[sel - 1].page_no, to: imgs[sel].page_no, user: App.userId() });
+      sel = sel - 1; render();
+    };
+    U.$("#btnReorderDown", wrap).onclick = async () => {
+      if (sel < 0 || sel >= imgs.length - 1) return;
+      [imgs[sel + 1].page_no, imgs[sel].page_no] = [imgs[sel].page_no, imgs[sel + 1].page_no];
+      await DB.putImage(imgs[sel + 1]); await DB.putImage(imgs[sel]);
+      await DB.addLog({ action: "reorder_images", inbound_id: doc.id, from: imgs[sel + 1].page_no, to: imgs[sel].page_no, user: App.userId() });
+      sel = sel + 1; render();
+    };
+  }
+
+  async function handleSubmit(e, andShoot) {
+    e.preventDefault();
+    const ls_nr = U.sanitize(el.lsnr.value).trim();
+    const supplier = Suppliers.canonical(U.sanitize(el.supplier.value));
+    const date_doc = el.dateDoc.value;
+
+    if (!ls_nr || !supplier || !date_doc) return;
+    el.supplier.value = supplier;
+    const badFormat = Suppliers.checkLs(supplier, ls_nr);
+    if (badFormat && (await confirm(`${badFormat}\nTrotzdem so speichern?`)) !== "yes") {
+      el.lsnr.focus();
+      return;
+    }
+    // same LS-Nr from the same supplier: another part of that delivery
+    const earlier = await Parts.existing(ls_nr, supplier);
+    if (earlier.length && !el.chkForce.checked) {
+      el.dupText.textContent = await Parts.describe(earlier);
+      el.dupWarning.classList.remove("hidden");
+      return;
+    }
+    const doc = {
+      id: U.uuid(),
+      ls_nr,
+      ls_nr_normalized: U.normLs(ls_nr),
+      supplier,
+      date_doc,
+      status: States.initial(),
+      created_at: new Date().toISOString(),
+      created_by: App.userId(),
+      updated_at: null, updated_by: null
+    };
+    if (earlier.length) await Parts.join(doc, earlier);
+    await DB.addInboundDoc(doc);
+    await DB.addLog({ action: "create_doc", inbound_id: doc.id, user: App.userId() });
+    if (doc.group_id) await DB.addLog({ action: "partial_delivery", inbound_id: doc.id, part_no: doc.part_no, user: App.userId() });
+    if (ocrPhoto) await Camera.addPhoto(doc.id, ocrPhoto);
+    ocrPhoto = null;
+    el.formInbound.reset();
+    el.dateDoc.value = U.todayStr();
+    el.dupWarning.classList.add("hidden");
+    checkLsFormat();
+    await refreshLists();
+    el.results.innerHTML = "";
+    await Orders.suggestFor(doc, el.results);
+    if (andShoot) Camera.open(doc.id);
+  }
+
+  async function search() {
+    const q = el.quickSearch.value.trim();
+    if (!q) return;
+    await Search.run(q, el.results);
+  }
+
+  function dndInit() {
+    // basic pointer-safe dnd
+    el.board.addEventListener("dragstart", (ev) => {
+      const li = ev.target.closest(".item");
+      if (!li) return;
+      ev.dataTransfer.setData("text/plain", li.dataset.id);
+      ev.dataTransfer.effectAllowed = "move";
+    });
+    // columns are rebuilt from the zone list, so listen on the board itself
+    el.board.addEventListener("dragover", (ev) => {
+      if (!ev.target.closest(".dropzone")) return;
+      ev.preventDefault();
+      ev.dataTransfer.dropEffect = "move";
+    });
+    el.board.addEventListener("drop", async (ev) => {
+      const zone = ev.target.closest(".dropzone");
+      if (!zone) return;
+      ev.preventDefault();
+      if (!(await App.permit("board_edit"))) return;
+      const id = ev.dataTransfer.getData("text/plain");
+      const item = await DB.getItem(id);
+      if (!item) return;
+      const targetZone = zone.dataset.zone;
+      if (targetZone === item.zone) return;
+      if (!Zones.canMove(item.zone, targetZone)) {
+        await message(`Verschieben von „${Zones.label(item.zone)}“ nach „${Zones.label(targetZone)}“ ist nicht erlaubt.`);
+        return;
+      }
+      let qty = item.qty;
+      const askZone = !!Zones.get(targetZone)?.ask_partial;
+      if (askZone || (el.toggleAskPartial.checked && ev.altKey)) {
+        const v = await prompt("Menge verschieben (verfügbar " + item.qty + "):", String(item.qty));
+        if (v.result !== "ok") return;
+        const n = Math.max(0, Math.min(item.qty, parseInt(v.value || "0", 10) || 0));
+        if (n <= 0) return;
+        qty = n;
+      }
+      let pick = { bin_id: null };
+      if (Zones.get(targetZone)?.holds_bins) {
+        pick = await Bins.choose(item, qty);
+        if (!pick) return;
+      }
+      const { bin_id } = pick;
+      const meta = { name: item.name, from_zone: item.zone, to_zone: targetZone, qty, bin: Bins.label(bin_id) };
+      let entry;
+      if (qty < item.qty) {
+        // partial move: reduce source, create/merge target
+        const target = await mergeTarget({ name: item.name, article_id: item.article_id || null, zone: targetZone, qty, note: item.note || "", bin_id });
+        entry = await Journal.record("move", [{ id: item.id, before: item, after: { ...item, qty: item.qty - qty } }, target],
+          { ...meta, merged: !!target.before });
+      } else {
+        // full move
+        entry = await Journal.record("move", [{ id: item.id, before: item, after: { ...item, zone: targetZone, bin_id } }], meta);
+      }
+      if (entry && pick.override) await DB.addLog(pick.override);
+      await renderBoard();
+    });
+  }
+
+  // a board item can stem from several delivery notes (merged positions); pick one if needed
+  async function showSourceDoc(item) {
+    const docs = (await Promise.all((item.inbound_ids || []).map(id => DB.getInboundById(id)))).filter(Boolean);
+    if (!docs.length) { await message("Lieferschein nicht (mehr) vorhanden."); return; }
+    let doc = docs[0];
+    if (docs.length > 1) {
+      const v = await form(`Lieferscheine zu ${Articles.nameOf(item)}`, [{
+        name: "id", label: "Lieferschein", type: "select",
+        options: docs.map(d => ({ value: d.id, label: `${d.ls_nr} · ${d.supplier} · ${d.date_doc}` }))
+      }]);
+      if (!v) return;
+      doc = docs.find(d => d.id === v.id);
+    }
+    await showDetail(doc);
+    el.results.scrollIntoView({ behavior: "smooth" });
+  }
+
+  // change for the target side of a partial move: merge into an equal item in the zone or create one
+  async function mergeTarget({ name, article_id = null, zone, qty, note, bin_id = null }) {
+    const allInZone = await DB.listItemsByZone(zone);
+    const same = allInZone.find(i =>
+      (article_id ? i.article_id === article_id : !i.article_id && i.name === name) &&
+      (i.note || "") === (note || "") && (i.bin_id || null) === bin_id);
+    if (same) return { id: same.id, before: same, after: { ...same, qty: same.qty + qty } };
+    const id = U.uuid();
+    return { id, before: null, after: { id, name, article_id, zone, qty, note, bin_id } };
+  }
+
+  async function renderBoard() {
+    // built off-DOM and swapped in one go, like the inbound lists
+    const frag = document.createDocumentFragment();
+    const stockMap = await Articles.stock();
+    for (const z of Zones.active()) {
+      const col = document.createElement("div");
+      col.className = "col dropzone";
+      col.dataset.zone = z.id;
+      if (z.color) col.style.borderTop = `4px solid ${z.color}`;
+      col.innerHTML = `<h3></h3><ul class="items"></ul>`;
+      U.$("h3", col).textContent = z.name;
+      const ul = U.$("ul", col);
+      const items = await DB.listItemsByZone(z.id);
+      for (const it of items) {
+        const li = document.createElement("li");
+        const low = Articles.belowMin(Articles.get(it.article_id), stockMap);
+        li.className = `item${low ? " below-min" : ""}`;
+        li.draggable = true;
+        li.dataset.id = it.id;
+        li.innerHTML = `
+          <span class="qty">${it.qty}</span>
+          <span class="name">${Articles.nameOf(it)}</span>
+          <span class="note">${it.note || ""}</span>
+          ${it.bin_id ? `<span class="badge badge-info">📍 ${Bins.label(it.bin_id)}</span>` : ""}
+          ${low ? `<span class="badge badge-warn" title="Bestand ${stockMap.get(it.article_id) || 0}, Mindestbestand ${Articles.get(it.article_id).min_qty}">unter Min.</span>` : ""}
+          ${z.holds_bins ? `<button class="btn btn-ghost sm" data-act="bin" title="Lagerplatz zuordnen">📍</button>` : ""}
+          ${(it.inbound_ids || []).length ? `<button class="btn btn-ghost sm" data-act="doc" title="Lieferschein anzeigen">📄</button>` : ""}
+          <button class="btn btn-ghost sm" data-act="edit">✎</button>
+          <button class="btn btn-ghost sm" data-act="history" title="Verlauf">🕘</button>
+          <button class="btn btn-ghost sm" data-act="del">🗑</button>
+        `;
+        ul.appendChild(li);
+      }
+      frag.appendChild(col);
+    }
+    el.board.replaceChildren(frag);
+  }
+
+  function boardClicks() {
+    el.board.addEventListener("click", async (e) => {
+      const li = e.target.closest(".item");
+      const btn = e.target.closest("button");
+      if (!li || !btn) return;
+      const item = await DB.getItem(li.dataset.id);
+      if (!item) return;
+      if (["del", "bin", "edit"].includes(btn.dataset.act) && !(await App.permit("board_edit"))) return;
+      if (btn.dataset.act === "del") {
+        await Journal.record("delete", [{ id: item.id, before: item, after: null }],
+          { name: item.name, from_zone: item.zone, qty: item.qty });
+        await renderBoard();
+      } else if (btn.dataset.act === "history") {
+        await Journal.history(item);
+      } else if (btn.dataset.act === "bin") {
+        await Bins.assign(item);
+      } else if (btn.dataset.act === "doc") {
+        await showSourceDoc(item);
+      } else if (btn.dataset.act === "edit") {
+        const v = await form("Position bearbeiten", [
+          { name: "name", label: "Artikel", value: Articles.nameOf(item), list: "articleList", required: true },
+          { name: "qty", label: "Menge", type: "number", min: 0, step: 1, value: item.qty },
+          { name: "note", label: "Notiz", value: item.note || "" }
+        ]);
+        if (!v) return;
+        const article = Articles.find(v.name);
+        if (!article && (await confirm(`„${v.name}“ ist nicht im Artikelstamm. Trotzdem als Freitext übernehmen?`)) !== "yes") return;
+        const after = {
+          ...item,
+          name: article ? Articles.label(article) : v.name,
+          article_id: article ? article.id : null,
+          qty: Math.max(0, Math.floor(v.qty)),
+          note: v.note
+        };
+        await Journal.record("edit", [{ id: item.id, before: item, after }],
+          { name: after.name, from_zone: item.zone, qty: after.qty - item.qty });
+        await renderBoard();
+      }
+    });
+  }
+
+  // showModal() returns immediately; resolve with the button value once the dialog is closed
+  function showAndWait(dlg) {
+    dlg.returnValue = "";
+    dlg.showModal();
+    return new Promise((resolve) => dlg.addEventListener("close", () => resolve(dlg.returnValue), { once: true }));
+  }
+  async function message(text) {
+    el.msgText.textContent = text;
+    await showAndWait(el.dlgMsg);
+    return "ok";
+  }
+  async function confirm(text) {
+    U.$("p", el.dlgConfirm).textContent = text;
+    return showAndWait(el.dlgConfirm);
+  }
+  /* Message with one button per option; resolves with the chosen value, "" when dismissed */
+  async function choose(text, options) {
+    U.$("#choiceText", el.dlgChoice).textContent = text;
+    const menu = U.$("menu", el.dlgChoice);
+    menu.innerHTML = "";
+    options.forEach((o, i) => {
+      const b = document.createElement("button");
+      b.value = o.value;
+      b.className = i ? "btn" : "btn primary";
+      b.textContent = o.label;
+      menu.appendChild(b);
+    });
+    return showAndWait(el.dlgChoice);
+  }
+  async function prompt(label, defVal = "") {
+    el.promptLabel.textContent = label;
+    el.promptInput.value = defVal;
+    const res = await showAndWait(el.dlgPrompt);
+    return { result: res, value: el.promptInput.value };
+  }
+
+  /* Multi-field dialog. fields: [{ name, label, type, value, options:[{value,label}], list, min, max, step, required, hint }]
+     Resolves with { name: value } or null on cancel. */
+  async function form(title, fields) {
+    const dlg = U.$("#dlgForm");
+    U.$("#formTitle", dlg).textContent = title;
+    const box = U.$("#formFields", dlg);
+    box.innerHTML = "";
+    for (const f of fields) {
+      const id = `ff_${f.name}`;
+      const type = f.type || "text";
+      let input;
+      if (type === "select") {
+        input = document.createElement("select");
+        for (const o of f.options || []) {
+          const opt = document.createElement("option");
+          opt.value = o.value; opt.textContent = o.label ?? o.value;
+          input.appendChild(opt);
+        }
+      } else if (type === "textarea") {
+        input = document.createElement("textarea");
+        input.rows = 3;
+      } else {
+        input = document.createElement("input");
+        input.type = type;
+        for (const k of ["min", "max", "step", "placeholder"]) if (f[k] !== undefined) input[k] = f[k];
+        if (f.list) input.setAttribute("list", f.list);
+        input.autocomplete = "off";
+      }
+      input.id = id;
+      input.name = f.name;
+      input.required = !!f.required;
+      if (type === "checkbox") input.checked = !!f.value;
+      else input.value = f.value ?? "";
+      const label = document.createElement("label");
+      label.htmlFor = id;
+      label.textContent = f.label;
+      if (type === "checkbox") {
+        label.className = "inline";
+        label.prepend(input, " ");
+        box.appendChild(label);
+      } else {
+        box.append(label, input);
+      }
+      if (f.hint) {
+        const hint = document.createElement("div");
+        hint.className = "note";
+        hint.style.whiteSpace = "pre-line";
+        hint.textContent = f.hint;
+        box.appendChild(hint);
+      }
+    }
+    const res = await showAndWait(dlg);
+    if (res !== "ok") return null;
+    const out = {};
+    for (const f of fields) {
+      const input = U.$(`#ff_${f.name}`, dlg);
+      out[f.name] = f.type === "checkbox" ? input.checked
+        : f.type === "number" ? Number(input.value || 0)
+        : U.sanitize(input.value).trim();
+    }
+    return out;
+  }
+
+  // flags a number that does not fit the supplier's LS-Nr format while it is typed
+  function checkLsFormat() {
+    const msg = Suppliers.checkLs(el.supplier.value, el.lsnr.value);
+    el.lsFormatWarning.textContent = msg;
+    el.lsFormatWarning.classList.toggle("hidden", !msg);
+  }
+
+  function initForm() {
+    el.dateDoc.value = U.todayStr();
+    el.lsnr.addEventListener("input", checkLsFormat);
+    el.supplier.addEventListener("input", checkLsFormat);
+    el.supplier.addEventListener("change", () => {
+      el.supplier.value = Suppliers.canonical(U.sanitize(el.supplier.value));
+      checkLsFormat();
+    });
+    el.btnSaveOnly.addEventListener("click", (e) => handleSubmit(e, false));
+    el.formInbound.addEventListener("submit", (e) => handleSubmit(e, true));
+  }
+
+  function initSearch() {
+    el.btnSearch.addEventListener("click", search);
+    el.quickSearch.addEventListener("keydown", (e) => { if (e.key === "Enter") search(); });
+  }
+
+  function initLists() {
+    listClickHandler(el.listOhne);
+    listClickHandler(el.listMit);
+  }
+
+  async function scanIntoForm() {
+    const code = await Scanner.scan();
+    if (!code) { el.lsnr.focus(); return; }
+    const f = Scanner.parse(code.rawValue, Suppliers.matchNames());
+    if (f.ls) el.lsnr.value = U.sanitize(f.ls);
+    if (f.supplier) el.supplier.value = Suppliers.canonical(U.sanitize(f.supplier));
+    if (f.date) el.dateDoc.value = f.date;
+    el.dupWarning.classList.add("hidden");
+    checkLsFormat();
+    (f.supplier ? el.dateDoc : el.supplier).focus();
+  }
+
+  // photo read by "Vom Foto lesen", stored as page 1 once the form is saved
+  let ocrPhoto = null;
+
+  async function readIntoForm() {
+    const f = await Reader.fromPhoto(Suppliers.matchNames());
+    if (!f) return;
+    el.lsnr.value = U.sanitize(f.ls);
+    el.supplier.value = Suppliers.canonical(U.sanitize(f.supplier));
+    el.dateDoc.value = f.date;
+    ocrPhoto = f.photo;
+    el.dupWarning.classList.add("hidden");
+    checkLsFormat();
+    el.lsnr.focus();
+  }
+
+  async function scanSearch() {
+    const code = await Scanner.scan();
+    if (!code) return;
+    const f = Scanner.parse(code.rawValue);
+    el.quickSearch.value = U.sanitize(f.ls || code.rawValue);
+    await search();
+  }
+
+  async function addBin() {
+    if (await Bins.edit(null)) await renderBoard();
+  }
+
+  // Public
+  return {
+    setUser, refreshLists, bumpSyncBadge, initForm, initSearch, initLists,
+    dndInit, renderBoard, boardClicks, addBin, scanIntoForm, readIntoForm, scanSearch, showDetail, mergeTarget,
+    message, confirm, choose, prompt, form, note
+  };
+})();
+
+/* ---------- Zonen (Spalten des Boards, im Admin-Bereich gepflegt) ---------- */
+const Zones = (() => {
+  // ids are the historic names, so dnd_items.zone of existing data stays valid
+  const DEFAULTS = [
+    { id: "Bestände", color: "#0ea5e9" },
+    { id: "Wareneingang", color: "#22c55e" },
+    { id: "Lagerplatz", color: "#a855f7" },
+    { id: "Pulverbeschichtung", color: "#f97316" },
+    { id: "Roboter", color: "#64748b" }
+  ];
+  let list = [];
+
+  async function load() {
+    list = await DB.listZones();
+    if (!list.length) {
+      for (const [i, d] of DEFAULTS.entries()) {
+        await DB.putZone({ id: d.id, name: d.id, color: d.color, order: i, ask_partial: true, targets: null, archived: false }, DB.SEED_STAMP);
+      }
+      list = await DB.listZones();
+    }
+    // zones from before Lagerplatz master data: the historic storage column keeps bins
+    const storage = list.find(z => z.id === "Lagerplatz" && z.holds_bins === undefined);
+    if (storage) { storage.holds_bins = true; await DB.putZone(storage, storage.updated_at || DB.SEED_STAMP); }
+    // and before stock levels: Bestände and Lagerplatz count as stock
+    for (const z of list.filter(z => z.holds_stock === undefined)) {
+      z.holds_stock = z.id === "Bestände" || z.id === "Lagerplatz";
+      await DB.putZone(z, z.updated_at || DB.SEED_STAMP);
+    }
+    list.sort((a, b) => a.order - b.order);
+  }
+
+  const all = () => list;
+  const active = () => list.filter(z => !z.archived);
+  const get = (id) => list.find(z => z.id === id);
+  const label = (id) => get(id)?.name || id || "";
+
+  // targets null = every zone allowed
+  function canMove(from, to) {
+    const target = get(to);
+    if (!target || target.archived) return false;
+    const source = get(from);
+    return !source || !source.targets || source.targets.includes(to);
+  }
+
+  async function edit(zone) {
+    const others = list.filter(z => z !== zone && !z.archived);
+    const v = await UI.form(zone ? `Zone „${zone.name}“ bearbeiten` : "Neue Zone", [
+      { name: "name", label: "Name", value: zone?.name || "", required: true },
+      { name: "color", label: "Farbe", type: "color", value: zone?.color || "#94a3b8" },
+      { name: "ask_partial", label: "Teilmenge abfragen", type: "checkbox", value: zone ? zone.ask_partial : true },
+      { name: "holds_bins", label: "Ware liegt auf Lagerplätzen", type: "checkbox", value: !!zone?.holds_bins },
+      { name: "holds_stock", label: "Zählt zum Bestand", type: "checkbox", value: !!zone?.holds_stock },
+      ...others.map((z, i) => ({
+        name: `t${i}`, type: "checkbox", label: `Verschieben nach ${z.name} erlaubt`,
+        value: !zone?.targets || zone.targets.includes(z.id)
+      }))
+    ]);
+    if (!v || !v.name) return;
+    if (list.some(z => z !== zone && z.name.toLowerCase() === v.name.toLowerCase())) {
+      await UI.message(`Eine Zone „${v.name}“ gibt es schon.`);
+      return;
+    }
+    const allowed = others.filter((z, i) => v[`t${i}`]).map(z => z.id);
+    // archived zones are not offered; keep them allowed if they were
+    const keep = zone?.targets ? zone.targets.filter(id => get(id)?.archived) : list.filter(z => z.archived).map(z => z.id);
+    const targets = allowed.length === others.length ? null : [...allowed, ...keep];
+    const z = zone
+      ? { ...zone, name: v.name, color: v.color, ask_partial: v.ask_partial, holds_bins: v.holds_bins, holds_stock: v.holds_stock, targets }
+      : { id: U.uuid(), name: v.name, color: v.color, ask_partial: v.ask_partial, holds_bins: v.holds_bins, holds_stock: v.holds_stock,
+          targets, archived: false,
+          order: list.reduce((m, x) => Math.max(m, x.order), -1) + 1 };
+    await DB.putZone(z);
+    await changed();
+  }
+
+  async function move(zone, dir) {
+    const i = list.indexOf(zone);
+    const other = list[i + dir];
+    if (!other) return;
+    [zone.order, other.order] = [other.order, zone.order];
+    await DB.putZone(zone);
+    await DB.putZone(other);
+    await changed();
+  }
+
+  async function toggleArchive(zone) {
+    if (!zone.archived) {
+      const items = await DB.listItemsByZone(zone.id);
+      if (items.length) {
+        await UI.message(`„${zone.name}“ enthält noch ${items.length} Position(en). Bitte zuerst verschieben.`);
+        return;
+      }
+      if (active().length <= 1) return;
+    }
+    zone.archived = !zone.archived;
+    await DB.putZone(zone);
+    await changed();
+  }
+
+  async function changed() {
+    await load();
+    renderAdmin();
+    await UI.renderBoard();
+  }
+
+  function renderAdmin() {
+    const tb = document.querySelector("#zoneTable tbody");
+    tb.innerHTML = "";
+    list.forEach((z, i) => {
+      const tr = document.createElement("tr");
+      tr.dataset.id = z.id;
+      const targets = !z.targets ? "alle" : z.targets.map(label).join(", ") || "keine";
+      tr.innerHTML = `
+        <td><span class="badge" style="background:${z.color}">&nbsp;</span></td>
+        <td></td>
+        <td>${z.ask_partial ? "ja" : "nein"}</td>
+        <td>${z.holds_stock ? "ja" : "nein"}</td>
+        <td></td>
+        <td>
+          <button class="btn btn-ghost sm" data-act="up"${i ? "" : " disabled"}>↑</button>
+          <button class="btn btn-ghost sm" data-act="down"${i < list.length - 1 ? "" : " disabled"}>↓</button>
+          <button class="btn btn-ghost sm" data-act="edit">✎</button>
+          <button class="btn btn-ghost sm" data-act="archive">${z.archived ? "Reaktivieren" : "Archivieren"}</button>
+        </td>`;
+      tr.children[1].textContent = z.name + (z.archived ? " (archiviert)" : "");
+      tr.children[4].textContent = targets;
+      tb.appendChild(tr);
+    });
+  }
+
+  function initAdmin() {
+    document.getElementById("btnAddZone").addEventListener("click", () => App.isAdmin() && edit(null));
+    document.querySelector("#zoneTable").addEventListener("click", async (e) => {
+      const btn = e.target.closest("button[data-act]");
+      const tr = e.target.closest("tr[data-id]");
+      if (!btn || !tr || !App.isAdmin()) return;
+      const zone = get(tr.dataset.id);
+      if (!zone) return;
+      if (btn.dataset.act === "up") await move(zone, -1);
+      if (btn.dataset.act === "down") await move(zone, 1);
+      if (btn.dataset.act === "edit") await edit(zone);
+      if (btn.dataset.act === "archive") await toggleArchive(zone);
+    });
+    renderAdmin();
+  }
+
+  return { load, all, active, get, label, canMove, initAdmin, renderAdmin };
+})();
+
+/* ---------- Status der Lieferscheine (Ablauf, im Admin-Bereich gepflegt) ---------- */
+const States = (() => {
+  const PREV = "@prev"; // transition target: back to the state before (after gesperrt/reklamiert)
+  const LIST_LABEL = { 1: "Liste „ohne Zeichnung“", 2: "Liste „in Bearbeitung“", "": "nur Filter/Suche" };
+  const AUTO_LABEL = { "": "nein", photos: "sobald Fotos vorhanden", print: "nach dem Drucken der Zeichnungen" };
+  const LEGACY = { ohne_zeichnung: "ohne Zeichnung" };
+  // mit_zeichnung keeps its historic id, so existing documents and logs stay valid
+  const DEFAULTS = [
+    { id: "erfasst", name: "erfasst", color: "#94a3b8", list: "1" },
+    { id: "fotografiert", name: "fotografiert", color: "#0ea5e9", list: "1" },
+    { id: "mit_zeichnung", name: "Zeichnung beigelegt", color: "#22c55e", list: "2" },
+    { id: "geprueft", name: "geprüft", color: "#14b8a6", list: "2" },
+    { id: "eingelagert", name: "eingelagert", color: "#a855f7", list: "2" },
+    { id: "abgeschlossen", name: "abgeschlossen", color: "#64748b", list: "" },
+    { id: "gesperrt", name: "gesperrt", color: "#ef4444", list: "2" },
+    { id: "reklamiert", name: "reklamiert", color: "#f97316", list: "2" }
+  ];
+  const T = (to, rules = {}) => ({ to, photos: false, confirm: "", roles: [], reason: false, auto: "", ...rules });
+  const BLOCK = [T("gesperrt", { reason: true }), T("reklamiert", { reason: true })];
+  const DEFAULT_NEXT = {
+    erfasst: [T("fotografiert", { photos: true, auto: "photos" }), ...BLOCK],
+    fotografiert: [T("mit_zeichnung", { photos: true, confirm: "Zeichnung(en) gedruckt und bei der Ware abgelegt?", auto: "print" }), ...BLOCK],
+    mit_zeichnung: [T("geprueft", { confirm: "Ware gegen Lieferschein geprüft?", roles: ["lager", "admin"] }), T("fotografiert"), ...BLOCK],
+    geprueft: [T("eingelagert", { roles: ["lager", "admin"] }), T("mit_zeichnung"), ...BLOCK],
+    eingelagert: [T("abgeschlossen", { confirm: "Vorgang abschließen?", roles: ["einkauf", "admin"] }), T("geprueft"), ...BLOCK],
+    abgeschlossen: [T("eingelagert", { roles: ["admin"] })],
+    gesperrt: [T(PREV, { reason: true, roles: ["admin"] }), T("reklamiert", { reason: true })],
+    reklamiert: [T(PREV, { reason: true }), T("abgeschlossen", { reason: true, roles: ["einkauf", "admin"] })]
+  };
+  let list = [];
+
+  async function load() {
+    list = await DB.listDocStates();
+    if (!list.length) {
+      for (const [i, d] of DEFAULTS.entries()) {
+        // seeded with SEED_STAMP: a lifecycle already customized elsewhere wins when this device syncs
+        await DB.putDocState({ ...d, order: i, next: DEFAULT_NEXT[d.id], archived: false }, DB.SEED_STAMP);
+      }
+      list = await DB.listDocStates();
+    } else if (!(await DB.getSetting("states_print_migrated", false))) {
+      // lifecycles seeded before the "print" trigger: fotografiert → mit_zeichnung gets it, once
+      const st = list.find(d => d.id === "fotografiert");
+      const t = st?.next.find(n => n.to === "mit_zeichnung" && !n.auto);
+      if (t) {
+        t.auto = "print";
+        await DB.putDocState(st, st.updated_at || DB.SEED_STAMP);
+      }
+    }
+    await DB.setSetting("states_print_migrated", true);
+    list.sort((a, b) => a.order - b.order);
+  }
+
+  const all = () => list;
+  const active = () => list.filter(st => !st.archived);
+  const get = (id) => list.find(st => st.id === id);
+  const label = (id) => get(id)?.name || LEGACY[id] || id || "";
+  const color = (id) => (U.isColor(get(id)?.color) ? get(id).color : "#94a3b8");
+  const listOf = (id) => get(id)?.list || "";
+  const initial = () => active()[0]?.id || "erfasst";
+  const badgeHtml = (id) => `<span class="badge" style="background:${color(id)}">${U.esc(label(id))}</span>`;
+
+  /* Documents from before the lifecycle: "ohne_zeichnung" becomes erfasst or fotografiert.
+     Runs on every start and pull, a device with the old version may still create them. */
+  async function migrate() {
+    for (const doc of await DB.listInboundByStatus("ohne_zeichnung")) {
+      const pages = await DB.countImages(doc.id);
+      const to = pages && get("fotografiert") ? "fotografiert" : initial();
+      await DB.putInboundDoc({ ...doc, status: to, status_prev: doc.status, updated_at: new Date().toISOString() });
+    }
+  }
+
+  const target = (doc, t) => (t.to === PREV ? doc.status_prev || "" : t.to);
+  // moving back in the order needs a reason, whatever the transition says
+  const isReversal = (doc, t) => t.to !== PREV && (get(t.to)?.order ?? 0) < (get(doc.status)?.order ?? 0);
+
+  /* Transitions the signed-in user may take from the doc's current state */
+  function options(doc) {
+    const role = Users.me()?.role;
+    return (get(doc.status)?.next || []).filter(t => {
+      const to = get(target(doc, t));
+      return to && !to.archived && to.id !== doc.status && (!t.roles?.length || t.roles.includes(role));
+    });
+  }
+
+  async function apply(doc, to, extra = {}) {
+    const from = doc.status;
+    Object.assign(doc, {
+      status: to, status_prev: from, status_changed_at: new Date().toISOString(),
+      updated_at: new Date().toISOString(), updated_by: App.userId()
+    });
+    await DB.putInboundDoc(doc);
+    await DB.addLog({ action: "status_change", inbound_id: doc.id, from, to, user: App.userId(), ...extra });
+  }
+
+  /* Asks for the next state and checks its conditions. Resolves true when the status changed. */
+  async function change(doc, toId) {
+    if (!(await App.permit("status_change"))) return false;
+    const opts = options(doc);
+    if (!opts.length) { await UI.message(`Aus „${label(doc.status)}“ ist kein Statuswechsel vorgesehen, der mit dieser Rolle erlaubt ist.`); return false; }
+    let t = toId ? opts.find(o => target(doc, o) === toId) : null;
+    if (!t) {
+      const pick = await UI.choose(`Status von ${doc.ls_nr}: ${label(doc.status)}\nWechseln nach:`,
+        opts.map((o, i) => ({ value: String(i), label: `${isReversal(doc, o) ? "↩ " : ""}${label(target(doc, o))}` })));
+      if (!pick) return false;
+      t = opts[Number(pick)];
+    }
+    const to = target(doc, t);
+    if (t.photos && !(await DB.countImages(doc.id))) {
+      await UI.message(`Für „${label(to)}“ braucht der Lieferschein mindestens ein Foto.`);
+      return false;
+    }
+    if (t.confirm && (await UI.confirm(t.confirm)) !== "yes") return false;
+    let reason = "";
+    if (t.reason || isReversal(doc, t)) {
+      const v = await UI.form(`${label(doc.status)} → ${label(to)}`, [
+        { name: "reason", label: "Begründung (Pflicht)", type: "textarea", required: true }
+      ]);
+      if (!v || !v.reason.trim()) return false;
+      reason = v.reason.trim();
+    }
+    await apply(doc, to, reason ? { reason } : {});
+    return true;
+  }
+
+  /* Transitions marked automatic for trigger ("photos", "print"), taken without asking; one with a
+     confirmation only when the caller has just asked the worker (confirmed). Same permission and
+     role rules as a manual change. */
+  async function auto(docId, trigger, confirmed = false) {
+    if (!App.can("status_change")) return;
+    const doc = await DB.getInboundById(docId);
+    if (!doc) return;
+    for (const t of options(doc)) {
+      if (t.auto !== trigger || (t.confirm && !confirmed) || t.reason || isReversal(doc, t)) continue;
+      if (t.photos && !(await DB.countImages(doc.id))) continue;
+      await apply(doc, target(doc, t), { auto: trigger });
+      await UI.refreshLists();
+      return;
+    }
+  }
+
+  /* ---------- Pflege (Admin) ---------- */
+  function rulesText(t) {
+    return [
+      t.photos && "Fotos",
+      t.confirm && "Bestätigung",
+      t.roles?.length && t.roles.map(Users.roleLabel).join("/"),
+      t.reason && "Begründung",
+      t.auto && "automatisch"
+    ].filter(Boolean).join(", ");
+  }
+  const targetLabel = (id) => (id === PREV ? "vorheriger Status" : label(id));
+
+  async function edit(st) {
+    const v = await UI.form(st ? `Status „${st.name}“ bearbeiten` : "Neuer Status", [
+      { name: "name", label: "Name", value: st?.name || "", required: true },
+      { name: "color", label: "Farbe", type: "color", value: st?.color || "#94a3b8" },
+      {
+        name: "list", label: "Anzeige", type: "select", value: st?.list ?? "2",
+        options: Object.entries(LIST_LABEL).map(([value, l]) => ({ value, label: l }))
+      }
+    ]);
+    if (!v || !v.name) return;
+    if (list.some(x => x !== st && x.name.toLowerCase() === v.name.toLowerCase())) {
+      await UI.message(`Einen Status „${v.name}“ gibt es schon.`);
+      return;
+    }
+    await DB.putDocState(st
+      ? { ...st, name: v.name, color: v.color, list: v.list }
+      : { id: U.uuid(), name: v.name, color: v.color, list: v.list, next: [], archived: false,
+          order: list.reduce((m, x) => Math.max(m, x.order), -1) + 1 });
+    await changed();
+  }
+
+  async function editTransition(st, index) {
+    const t = st.next[index] || T("");
+    const roles = Users.roles();
+    const v = await UI.form(`Übergang aus „${st.name}“`, [
+      {
+        name: "to", label: "Nach", type: "select", value: t.to,
+        options: [...list.filter(x => x !== st && !x.archived).map(x => ({ value: x.id, label: x.name })), { value: PREV, label: targetLabel(PREV) }]
+      },
+      { name: "photos", label: "Nur mit Fotos", type: "checkbox", value: t.photos },
+      { name: "confirm", label: "Bestätigungsfrage (leer = keine)", value: t.confirm },
+      ...roles.map(r => ({ name: `r_${r}`, label: `Erlaubt für ${Users.roleLabel(r)}`, type: "checkbox", value: !t.roles.length || t.roles.includes(r) })),
+      { name: "reason", label: "Begründung Pflicht", type: "checkbox", value: t.reason, hint: "Zurück zu einem früheren Status verlangt immer eine Begründung." },
+      {
+        name: "auto", label: "Automatisch", type: "select", value: t.auto,
+        options: Object.entries(AUTO_LABEL).map(([value, l]) => ({ value, label: l })),
+        hint: "Nur ohne Bestätigungsfrage und Begründung."
+      },
+      ...(st.next[index] ? [{ name: "remove", label: "Übergang entfernen", type: "checkbox", value: false }] : [])
+    ]);
+    if (!v) return;
+    const next = [...st.next];
+    if (v.remove) next.splice(index, 1);
+    else {
+      const allowed = roles.filter(r => v[`r_${r}`]);
+      const rec = {
+        to: v.to, photos: v.photos, confirm: v.confirm.trim(), reason: v.reason, auto: v.auto,
+        roles: allowed.length === roles.length ? [] : allowed
+      };
+      if (!allowed.length) { await UI.message("Mindestens eine Rolle muss den Übergang nutzen dürfen."); return; }
+      if (next.some((x, i) => i !== index && x.to === rec.to)) { await UI.message(`Einen Übergang nach „${targetLabel(rec.to)}“ gibt es schon.`); return; }
+      next[index] = rec;
+    }
+    await DB.putDocState({ ...st, next });
+    await changed();
+  }
+
+  async function transitions(st) {
+    for (;;) {
+      const pick = await UI.choose(`Übergänge aus „${st.name}“`, [
+        ...st.next.map((t, i) => ({ value: String(i), label: `→ ${targetLabel(t.to)}${rulesText(t) ? ` (${rulesText(t)})` : ""}` })),
+        { value: "new", label: "+ Neuer Übergang" }
+      ]);
+      if (!pick) return;
+      await editTransition(st, pick === "new" ? st.next.length : Number(pick));
+      st = get(st.id);
+    }
+  }
+
+  async function move(st, dir) {
+    const i = list.indexOf(st);
+    const other = list[i + dir];
+    if (!other) return;
+    [st.order, other.order] = [other.order, st.order];
+    await DB.putDocState(st);
+    await DB.putDocState(other);
+    await changed();
+  }
+
+  async function toggleArchive(st) {
+    if (!st.archived) {
+      const docs = await DB.listInboundByStatus(st.id);
+      if (docs.length) {
+        await UI.message(`${docs.length} Lieferschein(e) stehen noch auf „${st.name}“. Bitte zuerst weiterschalten.`);
+        return;
+      }
+      if (active().length <= 1) return;
+    }
+    st.archived = !st.archived;
+    await DB.putDocState(st);
+    await changed();
+  }
+
+  async function changed() {
+    await load();
+    renderAdmin();
+    renderFilter();
+    await UI.refreshLists();
+  }
+
+  // filter of the second list: its states, or any single state
+  function renderFilter() {
+    const sel = document.getElementById("statusFilter");
+    const cur = sel.value;
+    sel.innerHTML = `<option value="">Alle in Bearbeitung</option>`;
+    for (const st of list.filter(x => !x.archived)) {
+      const opt = document.createElement("option");
+      opt.value = st.id;
+      opt.textContent = st.name;
+      sel.appendChild(opt);
+    }
+    sel.value = get(cur) ? cur : "";
+  }
+
+  function renderAdmin() {
+    const tb = document.querySelector("#stateTable tbody");
+    tb.innerHTML = "";
+    list.forEach((st, i) => {
+      const tr = document.createElement("tr");
+      tr.dataset.id = st.id;
+      tr.innerHTML = `
+        <td><span class="badge" style="background:${color(st.id)}">&nbsp;</span></td>
+        <td></td>
+        <td>${LIST_LABEL[st.list || ""]}</td>
+        <td></td>
+        <td>
+          <button class="btn btn-ghost sm" data-act="up"${i ? "" : " disabled"}>↑</button>
+          <button class="btn btn-ghost sm" data-act="down"${i < list.length - 1 ? "" : " disabled"}>↓</button>
+          <button class="btn btn-ghost sm" data-act="edit">✎</button>
+          <button class="btn btn-ghost sm" data-act="next">Übergänge</button>
+          <button class="btn btn-ghost sm" data-act="archive">${st.archived ? "Reaktivieren" : "Archivieren"}</button>
+        </td>`;
+      tr.children[1].textContent = st.name + (st.archived ? " (archiviert)" : "");
+      tr.children[3].textContent = st.next.map(t => targetLabel(t.to) + (rulesText(t) ? ` (${rulesText(t)})` : "")).join(", ") || "keine";
+      tb.appendChild(tr);
+    });
+  }
+
+  function initAdmin() {
+    document.getElementById("btnAddState").addEventListener("click", () => App.isAdmin() && edit(null));
+    document.querySelector("#stateTable").addEventListener("click", async (e) => {
+      const btn = e.target.closest("button[data-act]");
+      const tr = e.target.closest("tr[data-id]");
+      if (!btn || !tr || !App.isAdmin()) return;
+      const st = get(tr.dataset.id);
+      if (!st) return;
+      if (btn.dataset.act === "up") await move(st, -1);
+      if (btn.dataset.act === "down") await move(st, 1);
+      if (btn.dataset.act === "edit") await edit(st);
+      if (btn.dataset.act === "next") await transitions(st);
+      if (btn.dataset.act === "archive") await toggleArchive(st);
+    });
+    document.getElementById("statusFilter").addEventListener("change", () => UI.refreshLists());
+    renderAdmin();
+    renderFilter();
+  }
+
+  return {
+    load, all, active, get, label, color, listOf, initial, badgeHtml, migrate,
+    options, change, auto, initAdmin, renderAdmin, renderFilter
+  };
+})();
+
+/* ---------- Artikelstamm (Katalog, Type-ahead für Board und Korb) ---------- */
+const Articles = (() => {
+  let list = [];
+
+  const label = (a) => `${a.art_no} ${a.description}`;
+
+  async function load() {
+    list = await DB.listArticles();
+    list.sort((a, b) => a.art_no.localeCompare(b.art_no, "de", { numeric: true }));
+    document.getElementById("articleList").innerHTML =
+      list.filter(a => !a.archived).map(a => `<option value="${U.esc(label(a))}">`).join("");
+  }
+  const all = () => list;
+  const get = (id) => list.find(a => a.id === id);
+
+  /* Catalog entry for a typed text: full label or just the article number, case-insensitive */
+  function find(text) {
+    const t = String(text || "").trim().toLowerCase();
+    if (!t) return null;
+    return list.find(a => label(a).toLowerCase() === t) ||
+      list.find(a => a.art_no.toLowerCase() === t) ||
+      list.find(a => label(a).toLowerCase() === t.replace(/\s+/g, " ")) || null;
+  }
+
+  // display name of a board item / cart line: the catalog wins over the stored text
+  const nameOf = (rec) => (rec.article_id && get(rec.article_id) ? label(get(rec.article_id)) : rec.name);
+
+  /* Same article number, same id on every device (as with bins); an id still held by a
+     renumbered article falls back to a random one */
+  function idFor(artNo) {
+    const id = `art-${artNo.trim().toLowerCase().replace(/[^\w.-]+/g, "_")}`;
+    return list.some(a => a.id === id) ? U.uuid() : id;
+  }
+
+  async function edit(article) {
+    if (!App.isAdmin()) return;
+    const v = await UI.form(article ? `Artikel ${article.art_no}` : "Neuer Artikel", [
+      { name: "art_no", label: "Artikelnummer", value: article?.art_no || "", required: true },
+      { name: "description", label: "Bezeichnung", value: article?.description || "", required: true },
+      { name: "unit", label: "Einheit", value: article?.unit || "Stk" },
+      { name: "drawing_no", label: "Zeichnungsnummer", value: article?.drawing_no || "" },
+      { name: "default_supplier", label: "Standardlieferant", value: article?.default_supplier || "", list: "supplierList" },
+      {
+        name: "home_bin_id", label: "Heimatplatz", type: "select", value: article?.home_bin_id || "",
+        options: [{ value: "", label: "—" }, ...Bins.all().map(b => ({ value: b.id, label: b.code }))]
+      },
+      { name: "min_qty", label: "Mindestbestand (0 = keiner)", type: "number", min: 0, step: 1, value: article?.min_qty || 0 },
+      { name: "reorder_qty", label: "Bestellmenge (0 = bis Mindestbestand)", type: "number", min: 0, step: 1, value: article?.reorder_qty || 0 },
+      { name: "archived", label: "Nicht mehr verwenden", type: "checkbox", value: !!article?.archived }
+    ]);
+    if (!v) return;
+    if (list.some(a => a !== article && a.art_no.toLowerCase() === v.art_no.toLowerCase())) {
+      await UI.message(`Artikelnummer ${v.art_no} gibt es schon.`);
+      return;
+    }
+    const rec = {
+      ...(article || { id: idFor(v.art_no), created_at: new Date().toISOString(), created_by: App.userId() }),
+      art_no: v.art_no, description: v.description, unit: v.unit || "Stk", drawing_no: v.drawing_no,
+      default_supplier: v.default_supplier, home_bin_id: v.home_bin_id || null, archived: v.archived,
+      min_qty: Math.max(0, Math.floor(v.min_qty)), reorder_qty: Math.max(0, Math.floor(v.reorder_qty))
+    };
+    await DB.putArticle(rec);
+    if ((article?.home_bin_id || null) !== rec.home_bin_id) {
+      await DB.addLog({ action: "set_home_bin", article: label(rec), bin: Bins.label(rec.home_bin_id), user: App.userId() });
+    }
+    await load();
+    render();
+    await UI.renderBoard();
+    await Cart.render();
+  }
+
+  function render() {
+    const q = document.getElementById("articleSearch").value.trim().toLowerCase();
+    const tb = document.querySelector("#articleTable tbody");
+    const frag = document.createDocumentFragment();
+    for (const a of list) {
+      if (q && !`${label(a)} ${a.drawing_no || ""} ${a.default_supplier || ""}`.toLowerCase().includes(q)) continue;
+      const tr = document.createElement("tr");
+      tr.dataset.id = a.id;
+      const min = a.min_qty ? `${a.min_qty}${a.reorder_qty ? ` / ${a.reorder_qty}` : ""}` : "";
+      const files = Drawings.forArticle(a.id).length;
+      for (const v of [a.art_no, a.description + (a.archived ? " (inaktiv)" : ""), a.unit,
+        [a.drawing_no, files && `📐 ${files}`].filter(Boolean).join(" "),
+        a.default_supplier || "", Bins.label(a.home_bin_id), min]) {
+        const td = document.createElement("td");
+        td.textContent = v;
+        tr.appendChild(td);
+      }
+      const td = document.createElement("td");
+      td.innerHTML = `<button class="btn btn-ghost sm" data-act="edit">✎</button>` +
+        `<button class="btn btn-ghost sm" data-act="drawings" title="Zeichnungen">📐</button>`;
+      tr.appendChild(td);
+      frag.appendChild(tr);
+    }
+    tb.replaceChildren(frag);
+  }
+
+  /* Current stock per article: board quantities in the zones that count as stock */
+  async function stock() {
+    const map = new Map();
+    for (const it of await DB.listItemsAll()) {
+      if (!it.article_id || !Zones.get(it.zone)?.holds_stock) continue;
+      map.set(it.article_id, (map.get(it.article_id) || 0) + it.qty);
+    }
+    return map;
+  }
+
+  const belowMin = (article, stockMap) => !!article?.min_qty && (stockMap.get(article.id) || 0) < article.min_qty;
+
+  /* Articles under their minimum, after counting what is already ordered or in the cart */
+  async function shortfalls() {
+    const stockMap = await stock();
+    const pending = new Map();
+    const bump = (id, n) => id && pending.set(id, (pending.get(id) || 0) + n);
+    for (const po of await DB.listOrders()) {
+      if (po.status === "closed") continue;
+      for (const l of po.lines) bump(l.article_id, Math.max(0, l.qty_ordered - l.qty_received));
+    }
+    for (const c of await DB.getCartAll()) bump(c.article_id, c.qty);
+
+    const out = [];
+    for (const a of list) {
+      if (a.archived || !belowMin(a, stockMap)) continue;
+      const have = stockMap.get(a.id) || 0;
+      const coming = pending.get(a.id) || 0;
+      const missing = a.min_qty - have - coming;
+      if (missing <= 0) continue;
+      out.push({ article: a, have, coming, qty: Math.max(missing, a.reorder_qty || 0) });
+    }
+    return out;
+  }
+
+  /* First run with the catalog: board items named "<Art.-Nr.> <Bezeichnung>" become articles,
+     earlier per-name home bins move onto them */
+  async function migrate() {
+    if (await DB.getSetting("articles_migrated", false)) return;
+    const homes = new Map((await DB.listHomeBins()).map(h => [h.id, h.bin_id]));
+    for (const it of await DB.listItemsAll()) {
+      if (it.article_id) continue;
+      const m = it.name.trim().match(/^(\S*\d\S*)\s+(.+)$/);
+      if (!m) continue;
+      let a = find(m[1]);
+      if (!a) {
+        a = {
+          id: idFor(m[1]), art_no: m[1], description: m[2], unit: "Stk", drawing_no: "", default_supplier: "",
+          home_bin_id: homes.get(it.name) || null, archived: false, created_at: new Date().toISOString()
+        };
+        await DB.putArticle(a, DB.SEED_STAMP);
+        await load();
+        if (a.home_bin_id) await DB.putHomeBin({ id: it.name, bin_id: null });
+      }
+      await DB.putItem({ ...it, article_id: a.id, name: label(a) });
+    }
+    await DB.setSetting("articles_migrated", true);
+  }
+
+  function init() {
+    document.getElementById("articleSearch").addEventListener("input", render);
+    document.getElementById("btnAddArticle").addEventListener("click", () => edit(null));
+    document.querySelector("#articleTable").addEventListener("click", async (e) => {
+      const btn = e.target.closest("button[data-act]");
+      const article = get(e.target.closest("tr[data-id]")?.dataset.id);
+      if (!btn || !article) return;
+      if (btn.dataset.act === "edit") await edit(article);
+      if (btn.dataset.act === "drawings") await Drawings.manage(article);
+    });
+    render();
+  }
+
+  return { load, all, get, find, label, nameOf, stock, belowMin, shortfalls, edit, render, migrate, init };
+})();
+
+/* ---------- Zeichnungen (PDF/PNG je Artikel, gesammelt drucken je Lieferschein) ---------- */
+const Drawings = (() => {
+  const TYPES = { "application/pdf": "PDF", "image/png": "PNG", "image/jpeg": "JPEG" };
+  const el = { file: document.getElementById("drawingFile") };
+  let list = [];
+
+  async function load() {
+    list = (await DB.listDrawings()).sort((a, b) => a.file_name.localeCompare(b.file_name, "de", { numeric: true }));
+  }
+  const forArticle = (articleId) => list.filter(d => d.article_id === articleId);
+
+  const pick = () => U.pickFiles(el.file);
+
+  function show(d) {
+    const url = URL.createObjectURL(d.blob);
+    window.open(url, "_blank");
+    setTimeout(() => URL.revokeObjectURL(url), 60000);
+  }
+
+  async function add(article) {
+    for (const f of await pick()) {
+      // some systems hand out files without a type
+      const type = f.type || (/\.pdf$/i.test(f.name) ? "application/pdf" : /\.png$/i.test(f.name) ? "image/png"
+        : /\.jpe?g$/i.test(f.name) ? "image/jpeg" : "");
+      if (!TYPES[type]) { await UI.message(`${f.name}: Nur PDF, PNG oder JPEG möglich.`); continue; }
+      const blob = new Blob([f], { type });
+      const sha256 = await U.sha256(blob);
+      if (forArticle(article.id).some(d => d.sha256 === sha256)) { await UI.message(`${f.name} ist schon hinterlegt.`); continue; }
+      await DB.putDrawing({
+        id: U.uuid(), article_id: article.id, file_name: U.sanitize(f.name), mime_type: type,
+        size_bytes: blob.size, sha256, blob,
+        created_at: new Date().toISOString(), created_by: App.userId()
+      });
+      await DB.addLog({ action: "add_drawing", article: Articles.label(article), file: U.sanitize(f.name), user: App.userId() });
+    }
+    await load();
+  }
+
+  /* Admin: files of one article (choice loop like the transitions of a status) */
+  async function manage(article) {
+    if (!App.isAdmin()) return;
+    for (;;) {
+      const files = forArticle(article.id);
+      const head = `Zeichnungen zu ${Articles.label(article)}` + (article.drawing_no ? `\nZeichnungsnummer ${article.drawing_no}` : "");
+      const pickId = await UI.choose(files.length ? head : `${head}\nNoch keine Datei hinterlegt.`, [
+        { value: "+", label: "+ Datei hinzufügen" },
+        ...files.map(d => ({ value: d.id, label: `${d.file_name} (${TYPES[d.mime_type]})` })),
+        { value: "", label: "Schließen" }
+      ]);
+      if (!pickId) break;
+      if (pickId === "+") { await add(article); continue; }
+      const d = files.find(x => x.id === pickId);
+      const act = await UI.choose(d.file_name, [
+        { value: "show", label: "Anzeigen" },
+        { value: "delete", label: "Löschen" },
+        { value: "", label: "Zurück" }
+      ]);
+      if (act === "show") show(d);
+      if (act === "delete" && (await UI.confirm(`${d.file_name} löschen?`)) === "yes") {
+        await DB.deleteDrawing(d.id);
+        await DB.addLog({ action: "delete_drawing", article: Articles.label(article), file: d.file_name, user: App.userId() });
+        await load();
+      }
+    }
+    Articles.render();
+  }
+
+  /* Drawings the positions of a delivery note need, one entry per article (or free text) */
+  function needed(doc) {
+    const out = new Map();
+    for (const l of doc.lines || []) {
+      const key = l.article_id || `name:${l.name}`;
+      if (out.has(key)) continue;
+      const article = l.article_id ? Articles.get(l.article_id) : null;
+      out.set(key, { name: article ? Articles.label(article) : l.name, article, files: article ? forArticle(article.id) : [] });
+    }
+    return [...out.values()];
+  }
+
+  // hidden frame per print job; print() returns once the print dialog is closed
+  function printFrame(url) {
+    return new Promise((resolve) => {
+      const f = document.createElement("iframe");
+      f.style.cssText = "position:fixed; right:0; bottom:0; width:0; height:0; border:0";
+      f.onload = () => {
+        f.onload = null; // some browsers also report the initial about:blank
+        try {
+          f.contentWindow.focus();
+          f.contentWindow.print();
+        } catch (err) {
+          console.warn("Druck nicht möglich", err);
+        }
+        resolve(f);
+      };
+      f.src = url;
+      document.body.appendChild(f);
+    });
+  }
+
+  // PNG/JPEG drawings as one document, one drawing per sheet with a caption
+  function imageSheets(doc, entries, urls) {
+    const sheets = entries.map(({ file, name }) => {
+      const url = URL.createObjectURL(file.blob);
+      urls.push(url);
+      return `<figure><img src="${url}" alt=""><figcaption>${U.esc(name)} · ${U.esc(file.file_name)} · LS ${U.esc(doc.ls_nr)}</figcaption></figure>`;
+    }).join("");
+    const html = `<!doctype html><html lang="de"><head><meta charset="utf-8"><title>Zeichnungen ${U.esc(doc.ls_nr)}</title><style>
+      @page { margin: 8mm; }
+      body { margin: 0; font: 9pt sans-serif; }
+      figure { margin: 0; height: 100vh; display: flex; flex-direction: column; break-after: page; }
+      figure:last-child { break-after: auto; }
+      img { flex: 1; min-height: 0; object-fit: contain; }
+    </style></head><body>${sheets}</body></html>`;
+    const url = URL.createObjectURL(new Blob([html], { type: "text/html" }));
+    urls.push(url);
+    return url;
+  }
+
+  /* Prints every drawing of the delivery note in one go: the images as one document, each PDF
+     through the browser's viewer. The browser does not report whether paper came out, so the
+     worker confirms – that answer counts as the print confirmation of the status transition. */
+  async function print(doc) {
+    const need = needed(doc);
+    const entries = need.flatMap(n => n.files.map(file => ({ file, name: n.name })));
+    if (!entries.length) {
+      await UI.message(need.length ? "Für die Positionen dieses Lieferscheins ist keine Zeichnung hinterlegt."
+        : "Noch keine Positionen erfasst – daraus ergeben sich die benötigten Zeichnungen.");
+      return false;
+    }
+    const missing = need.filter(n => !n.files.length);
+    if (missing.length &&
+      (await UI.confirm(`Ohne hinterlegte Zeichnung:\n${missing.map(n => n.name).join("\n")}\n\nDie übrigen trotzdem drucken?`)) !== "yes") return false;
+
+    const urls = [];
+    const frames = [];
+    const images = entries.filter(e => e.file.mime_type !== "application/pdf");
+    if (images.length) frames.push(await printFrame(imageSheets(doc, images, urls)));
+    for (const e of entries.filter(x => x.file.mime_type === "application/pdf")) {
+      const url = URL.createObjectURL(e.file.blob);
+      urls.push(url);
+      frames.push(await printFrame(url));
+    }
+    const ok = (await UI.confirm(`${entries.length} Zeichnung(en) gedruckt und bei der Ware abgelegt?`)) === "yes";
+    frames.forEach(f => f.remove());
+    urls.forEach(u => URL.revokeObjectURL(u));
+    if (!ok) return false;
+    await DB.addLog({ action: "print_drawings", inbound_id: doc.id, count: entries.length, missing: missing.length, user: App.userId() });
+    await States.auto(doc.id, "print", true);
+    return true;
+  }
+
+  /* List in the detail view, redrawn when the positions change */
+  function section(doc, container, reopen) {
+    U.$(".drawings", container)?.remove();
+    const need = needed(doc);
+    const count = need.reduce((n, x) => n + x.files.length, 0);
+    const box = document.createElement("div");
+    box.className = "drawings";
+    box.innerHTML = `
+      <h3>Zeichnungen</h3>
+      ${need.length ? `<ul class="list"></ul>` : `<div class="note">Noch keine Positionen – die benötigten Zeichnungen ergeben sich aus den Positionen.</div>`}
+      <div class="row gap">
+        <button class="btn primary" data-act="print"${count ? "" : " disabled"}>Zeichnungen drucken${count ? ` (${count})` : ""}</button>
+      </div>`;
+    const ul = U.$("ul", box);
+    for (const n of need) {
+      const li = document.createElement("li");
+      li.className = "list-item";
+      li.innerHTML = `<div class="li-main"></div><div class="li-sub"></div>`;
+      li.firstChild.textContent = n.name + (n.article?.drawing_no ? ` – Zeichnungsnummer ${n.article.drawing_no}` : "");
+      const sub = li.lastChild;
+      if (!n.article) sub.innerHTML = `<span class="badge badge-warn">nicht im Artikelstamm</span>`;
+      else if (!n.files.length) sub.innerHTML = `<span class="badge badge-warn">keine Zeichnung hinterlegt</span>`;
+      for (const d of n.files) {
+        const b = document.createElement("button");
+        b.className = "btn btn-ghost sm";
+        b.dataset.show = d.id;
+        b.textContent = `📐 ${d.file_name}`;
+        sub.appendChild(b);
+      }
+      ul.appendChild(li);
+    }
+    box.addEventListener("click", async (e) => {
+      const b = e.target.closest("button");
+      if (!b) return;
+      if (b.dataset.show) show(list.find(d => d.id === b.dataset.show));
+      if (b.dataset.act === "print" && (await print(doc))) {
+        await UI.refreshLists();
+        if (reopen) await reopen(await DB.getInboundById(doc.id));
+      }
+    });
+    // below the meta line, above the gallery
+    container.insertBefore(box, U.$(".gallery", container));
+  }
+
+  return { load, forArticle, manage, needed, print, section };
+})();
+
+/* ---------- Lieferantenverzeichnis (Schreibweisen, Lieferantennummer, LS-Nr-Format) ---------- */
+const Suppliers = (() => {
+  const LEGAL = /\b(gmbh|mbh|ag|kg|ohg|ug|gbr|co|se|ltd|inc)\b/g;
+  let list = [];
+  let byKey = new Map();
+  let legacy = []; // names on delivery notes that no entry covers yet
+
+  // "Müller GmbH", "Mueller" and "müller gmbh" share one key
+  function key(name) {
+    const base = String(name || "").toLowerCase()
+      .replace(/ä/g, "a").replace(/ö/g, "o").replace(/ü/g, "u").replace(/ß/g, "ss");
+    const fold = (x) => x.replace(/([aou])e/g, "$1").replace(/[^a-z0-9]/g, "");
+    return fold(base.replace(LEGAL, " ")) || fold(base);
+  }
+
+  async function load() {
+    list = (await DB.listSuppliers()).sort((a, b) => a.name.localeCompare(b.name, "de"));
+    byKey = new Map();
+    for (const sup of list) {
+      for (const n of [sup.name, ...(sup.aliases || [])]) if (key(n)) byKey.set(key(n), sup);
+    }
+    fillList();
+  }
+  const all = () => list;
+
+  /* Directory entry for a typed, scanned or read name (also by alias or supplier number) */
+  function resolve(text) {
+    const t = String(text || "").trim();
+    if (!t) return null;
+    return byKey.get(key(t)) || list.find(sup => sup.supplier_no && sup.supplier_no.toLowerCase() === t.toLowerCase()) || null;
+  }
+  const canonical = (text) => resolve(text)?.name || String(text || "").trim();
+
+  function same(a, b) {
+    const ra = resolve(a), rb = resolve(b);
+    if (ra || rb) return ra === rb;
+    return !!key(a) && key(a) === key(b);
+  }
+
+  // the datalist offers canonical names; free-typed names from older notes until they are assigned
+  function fillList(docSuppliers) {
+    if (docSuppliers) legacy = [...new Set(docSuppliers.filter(n => n && !resolve(n)))];
+    const names = [...list.filter(sup => !sup.archived).map(sup => sup.name), ...legacy];
+    document.getElementById("supplierList").innerHTML =
+      [...new Set(names)].sort((a, b) => a.localeCompare(b, "de")).map(n => `<option value="${U.esc(n)}">`).join("");
+  }
+
+  // everything worth looking for on a label or a photographed note
+  const matchNames = () => [...list.flatMap(sup => [sup.name, ...(sup.aliases || [])]), ...legacy];
+
+  /* ---------- LS-Nr-Format ---------- */
+  function pattern(sup) {
+    if (!sup?.ls_pattern) return null;
+    try { return new RegExp(`^(?:${sup.ls_pattern})$`, "i"); } catch { return null; }
+  }
+
+  // true/false against the supplier's format, null when it has none
+  function lsFits(supplier, ls) {
+    const re = pattern(resolve(supplier));
+    return re ? re.test(String(ls || "").trim()) : null;
+  }
+
+  // "" or the reason the number looks wrong for this supplier
+  function checkLs(supplier, ls) {
+    if (!String(ls || "").trim() || lsFits(supplier, ls) !== false) return "";
+    const sup = resolve(supplier);
+    return `LS-Nr „${String(ls).trim()}“ passt nicht zum Format von ${sup.name}` +
+      (sup.ls_example ? ` (Beispiel: ${sup.ls_example}).` : ".");
+  }
+
+  /* ---------- Pflege (Admin) ---------- */
+  const splitAliases = (text) => [...new Set(String(text || "").split(/[\n;]+/).map(a => U.sanitize(a).trim()).filter(Boolean))];
+
+  async function edit(sup, preset = {}) {
+    if (!App.isAdmin()) return null;
+    const v = await UI.form(sup ? `Lieferant ${sup.name}` : "Neuer Lieferant", [
+      { name: "name", label: "Name (maßgebliche Schreibweise)", value: sup?.name || preset.name || "", required: true },
+      { name: "aliases", label: "Weitere Schreibweisen", type: "textarea", value: (sup?.aliases || preset.aliases || []).join("\n"), hint: "Eine je Zeile. Groß-/Kleinschreibung, Umlaute und GmbH/AG/KG spielen keine Rolle." },
+      { name: "supplier_no", label: "Lieferantennummer", value: sup?.supplier_no || "" },
+      { name: "contact", label: "Kontakt", type: "textarea", value: sup?.contact || "", hint: "Ansprechpartner, Telefon, E-Mail" },
+      { name: "ls_pattern", label: "Format der LS-Nr (regulärer Ausdruck)", value: sup?.ls_pattern || "", hint: "Leer = keine Prüfung. Beispiel: LS-\\d{6} oder \\d{8}" },
+      { name: "ls_example", label: "Beispiel-LS-Nr", value: sup?.ls_example || "" },
+      { name: "archived", label: "Nicht mehr verwenden", type: "checkbox", value: !!sup?.archived }
+    ]);
+    if (!v) return null;
+    const name = U.sanitize(v.name).trim();
+    const aliases = splitAliases(v.aliases).filter(a => key(a) !== key(name));
+    const taken = [name, ...aliases].map(n => [n, byKey.get(key(n))]).find(([, other]) => other && other !== sup);
+    if (taken) {
+      await UI.message(`„${taken[0]}“ gehört schon zu ${taken[1].name}.`);
+      return null;
+    }
+    if (v.ls_pattern) {
+      let re;
+      try { re = new RegExp(`^(?:${v.ls_pattern})$`, "i"); } catch (err) {
+        await UI.message(`Das LS-Nr-Format ist kein gültiger regulärer Ausdruck: ${err.message}`);
+        return null;
+      }
+      if (!v.ls_example || !re.test(v.ls_example.trim())) {
+        await UI.message("Bitte eine Beispiel-LS-Nr angeben, die zum Format passt.");
+        return null;
+      }
+    }
+    const rec = {
+      ...(sup || { id: U.uuid(), created_at: new Date().toISOString(), created_by: App.userId() }),
+      name, aliases, supplier_no: v.supplier_no.trim(), contact: v.contact.trim(),
+      ls_pattern: v.ls_pattern.trim(), ls_example: v.ls_example.trim(), archived: v.archived
+    };
+    await DB.putSupplier(rec);
+    await DB.addLog({ action: sup ? "edit_supplier" : "create_supplier", target: rec.name, user: App.userId() });
+    await load();
+    render();
+    await normalizeDocs(rec, true);
+    return rec;
+  }
+
+  /* Delivery notes stored under another spelling of rec take over its canonical name */
+  async function normalizeDocs(rec, ask) {
+    const docs = (await DB.listInboundAll()).filter(d => d.supplier !== rec.name && resolve(d.supplier)?.id === rec.id);
+    if (!docs.length) return;
+    const variants = [...new Set(docs.map(d => d.supplier))].map(n => `„${n}“`).join(", ");
+    if (ask && (await UI.confirm(`${docs.length} Lieferschein(e) stehen unter ${variants}. Auf „${rec.name}“ umstellen?`)) !== "yes") return;
+    const now = new Date().toISOString();
+    for (const d of docs) await DB.putInboundDoc({ ...d, supplier: rec.name, updated_at: now, updated_by: App.userId() });
+    await DB.addLog({ action: "merge_supplier", target: rec.name, from: variants, count: docs.length, user: App.userId() });
+    await UI.refreshLists();
+  }
+
+  /* Walks through names on delivery notes that no entry covers: new entry, alias of an entry, or skip */
+  async function assignUnknown() {
+    if (!App.isAdmin()) return;
+    const counts = new Map();
+    for (const d of await DB.listInboundAll()) {
+      if (d.supplier && !resolve(d.supplier)) counts.set(d.supplier, (counts.get(d.supplier) || 0) + 1);
+    }
+    if (!counts.size) { await UI.message("Alle Lieferanten auf Lieferscheinen sind im Verzeichnis."); return; }
+    for (const [name, n] of counts) {
+      if (resolve(name)) continue; // covered by an alias added a moment ago
+      const v = await UI.form(`„${name}“ (${n} Lieferschein${n > 1 ? "e" : ""})`, [{
+        name: "target", label: "Zuordnen zu", type: "select", value: "",
+        options: [
+          { value: "", label: "— überspringen —" },
+          { value: "new", label: "— als neuen Lieferanten anlegen —" },
+          ...list.filter(sup => !sup.archived).map(sup => ({ value: sup.id, label: sup.name }))
+        ]
+      }]);
+      if (!v) break;
+      if (v.target === "new") await edit(null, { name });
+      else if (v.target) {
+        const sup = list.find(x => x.id === v.target);
+        const rec = { ...sup, aliases: [...(sup.aliases || []), name] };
+        await DB.putSupplier(rec);
+        await DB.addLog({ action: "edit_supplier", target: rec.name, alias: name, user: App.userId() });
+        await load();
+        render();
+        await normalizeDocs(rec, false);
+      }
+    }
+  }
+
+  function render() {
+    const q = key(document.getElementById("supplierSearch").value);
+    const tb = document.querySelector("#supplierTable tbody");
+    const frag = document.createDocumentFragment();
+    for (const sup of list) {
+      if (q && ![sup.name, ...(sup.aliases || []), sup.supplier_no].some(n => key(n).includes(q))) continue;
+      const tr = document.createElement("tr");
+      tr.dataset.id = sup.id;
+      for (const v of [sup.name + (sup.archived ? " (inaktiv)" : ""), (sup.aliases || []).join(", "), sup.supplier_no || "",
+        sup.contact || "", sup.ls_example ? `${sup.ls_pattern} (z. B. ${sup.ls_example})` : ""]) {
+        const td = document.createElement("td");
+        td.textContent = v;
+        tr.appendChild(td);
+      }
+      const td = document.createElement("td");
+      td.innerHTML = `<button class="btn btn-ghost sm" data-act="edit">✎</button>`;
+      tr.appendChild(td);
+      frag.appendChild(tr);
+    }
+    tb.replaceChildren(frag);
+  }
+
+  function init() {
+    document.getElementById("supplierSearch").addEventListener("input", render);
+    document.getElementById("btnAddSupplier").addEventListener("click", () => edit(null));
+    document.getElementById("btnAssignSuppliers").addEventListener("click", assignUnknown);
+    document.querySelector("#supplierTable").addEventListener("click", async (e) => {
+      if (!e.target.closest("button[data-act=edit]")) return;
+      const sup = list.find(x => x.id === e.target.closest("tr[data-id]")?.dataset.id);
+      if (sup) await edit(sup);
+    });
+    render();
+  }
+
+  return { load, all, resolve, canonical, same, fillList, matchNames, lsFits, checkLs, edit, render, init };
+})();
+
+/* ---------- Lagerplätze (Stammdaten, Belegung, "Wo liegt…") ---------- */
+const Bins = (() => {
+  let list = [];
+
+  /* "P-R2 1-1" → Bereich P, Regal R2, Fach 1, Ebene 1 */
+  function parseCode(raw) {
+    const parts = U.sanitize(String(raw || "")).trim().toUpperCase().split(/[\s-]+/).filter(Boolean);
+    if (parts.length !== 4 || !parts.every(p => /^[A-Z0-9]+$/.test(p))) return null;
+    const [area, rack, shelf, level] = parts;
+    return { code: `${area}-${rack} ${shelf}-${level}`, area, rack, shelf, level };
+  }
+
+  let homes = new Map(); // article name -> bin id
+
+  async function load() {
+    list = await DB.listBins();
+    list.sort((a, b) => a.code.localeCompare(b.code, "de", { numeric: true }));
+    homes = new Map((await DB.listHomeBins()).map(h => [h.id, h.bin_id]));
+  }
+  const all = () => list;
+  const get = (id) => list.find(b => b.id === id);
+  const label = (id) => get(id)?.code || "";
+  // catalog articles carry their home bin; free-text items fall back to the per-name list
+  function homeOf(item) {
+    const article = item.article_id && Articles.get(item.article_id);
+    return (article ? article.home_bin_id : homes.get(item.name)) || "";
+  }
+
+  async function setHome(item, binId) {
+    const article = item.article_id && Articles.get(item.article_id);
+    if (article) {
+      await DB.putArticle({ ...article, home_bin_id: binId || null });
+      await Articles.load();
+    } else {
+      await DB.putHomeBin({ id: item.name, bin_id: binId || null });
+    }
+    await DB.addLog({ action: "set_home_bin", article: Articles.nameOf(item), bin: label(binId), user: App.userId() });
+    await load();
+  }
+
+  /* Heimatplatz-Sperre: goods of an article with a home bin may only go onto that bin.
+     With "Override erlauben" an admin (logged in or by PIN) can approve an exception with a reason.
+     Resolves null when the move is refused, otherwise the home_override log entry to write once
+     the move is actually made (undefined when no exception was needed). */
+  async function checkHome(item, binId) {
+    const home = homeOf(item);
+    if (!home || home === binId || !(await DB.getSetting("home_lock", false))) return undefined;
+    const why = `Heimatplatz von „${Articles.nameOf(item)}“ ist ${label(home)}. ` +
+      `Die Sperre Heimatplatz ist aktiv, ${binId ? `Platz ${label(binId)}` : "ein Einlagern ohne Platz"} ist nicht erlaubt.`;
+    if (!(await DB.getSetting("override", false))) {
+      await UI.message(`${why}\nAusnahmen sind nicht freigegeben.`);
+      return null;
+    }
+    const fields = [{ name: "reason", label: "Begründung (Pflicht)", type: "textarea", required: true, hint: why }];
+    if (!App.isAdmin()) fields.unshift({ name: "pin", label: "Admin-PIN zur Freigabe", type: "password", required: true });
+    const v = await UI.form("Ausnahme vom Heimatplatz", fields);
+    if (!v) return null;
+    if (!v.reason) { await UI.message("Ohne Begründung keine Ausnahme."); return null; }
+    const approver = App.isAdmin() ? Users.me() : await Admin.checkPin(v.pin);
+    if (typeof approver === "string") { await UI.message(`${approver}\nVerschieben abgebrochen.`); return null; }
+    return {
+      action: "home_override", article: Articles.nameOf(item), item_id: item.id,
+      home: label(home), bin: label(binId), reason: v.reason,
+      approved_by: approver.name, user: App.userId()
+    };
+  }
+
+  // bin_id -> { qty, items }
+  async function occupancy() {
+    const map = new Map();
+    for (const it of await DB.listItemsAll()) {
+      if (!it.bin_id) continue;
+      if (!map.has(it.bin_id)) map.set(it.bin_id, { qty: 0, items: [] });
+      const o = map.get(it.bin_id);
+      o.qty += it.qty;
+      o.items.push(it);
+    }
+    return map;
+  }
+
+  /* Same code, same id on every device, so bins created offline on two devices merge on sync
+     instead of showing up twice. A bin renamed away from its code keeps its id; a new bin that
+     would take it over falls back to a random one. */
+  function idFor(code) {
+    const id = `bin-${code.replace(/\s+/g, "_")}`;
+    return list.some(b => b.id === id) ? U.uuid() : id;
+  }
+
+  async function edit(bin) {
+    if (!App.isAdmin()) { await UI.message("Nur für Admins."); return false; }
+    const v = await UI.form(bin ? `Lagerplatz ${bin.code}` : "Neuer Lagerplatz", [
+      { name: "code", label: "Code (Bereich-Regal Fach-Ebene, z. B. P-R2 1-1)", value: bin?.code || "", required: true },
+      { name: "capacity", label: "Kapazität (Stück, 0 = unbegrenzt)", type: "number", min: 0, step: 1, value: bin?.capacity || 0 },
+      { name: "blocked", label: "Gesperrt", type: "checkbox", value: !!bin?.blocked },
+      { name: "note", label: "Notiz", value: bin?.note || "" }
+    ]);
+    if (!v) return null;
+    const parsed = parseCode(v.code);
+    if (!parsed) { await UI.message(`„${v.code}“ ist kein gültiger Platz-Code. Format: Bereich-Regal Fach-Ebene, z. B. P-R2 1-1.`); return null; }
+    if (list.some(b => b !== bin && b.code === parsed.code)) { await UI.message(`Lagerplatz ${parsed.code} gibt es schon.`); return null; }
+    const rec = {
+      ...(bin || { id: idFor(parsed.code), created_at: new Date().toISOString(), created_by: App.userId() }),
+      ...parsed,
+      capacity: Math.max(0, Math.floor(v.capacity)) || null,
+      blocked: v.blocked,
+      note: v.note
+    };
+    await DB.putBin(rec);
+    await load();
+    await render();
+    return rec;
+  }
+
+  /* Asks for the bin goods go to (the article's home bin preselected) and checks the home-bin rule.
+     Resolves with { bin_id, override } (bin_id null for none; override see checkHome) or null on cancel.
+     The caller writes the override log after the move. */
+  async function choose(item, qty, current = "") {
+    const home = homeOf(item);
+    const occ = await occupancy();
+    const options = list.filter(b => !b.blocked || b.id === current).map(b => {
+      const used = occ.get(b.id)?.qty || 0;
+      return { value: b.id, label: `${b.code} (${used}${b.capacity ? `/${b.capacity}` : ""})${b.id === home ? " – Heimatplatz" : ""}` };
+    });
+    const fields = [
+      { name: "bin", label: "Lagerplatz", type: "select", value: current || home, options: [{ value: "", label: "— ohne Platz —" }, ...options] }
+    ];
+    if (App.isAdmin()) fields.push({ name: "home", label: "Als Heimatplatz des Artikels festlegen", type: "checkbox", value: false });
+    const v = await UI.form(`Lagerplatz für ${Articles.nameOf(item)}`, fields);
+    if (!v) return null;
+    if (v.home && v.bin !== home) await setHome(item, v.bin);
+    const override = await checkHome(item, v.bin);
+    if (override === null) return null;
+    const bin = get(v.bin);
+    if (!bin) return { bin_id: null, override };
+    const used = (occ.get(bin.id)?.qty || 0) - (current === bin.id ? item.qty : 0);
+    if (bin.capacity && used + qty > bin.capacity &&
+      (await UI.confirm(`Kapazität von ${bin.code} überschritten (${used + qty}/${bin.capacity}). Trotzdem einlagern?`)) !== "yes") return null;
+    return { bin_id: bin.id, override };
+  }
+
+  async function assign(item) {
+    if (!Zones.get(item.zone)?.holds_bins) {
+      await UI.message(`In „${Zones.label(item.zone)}“ werden keine Lagerplätze geführt.`);
+      return;
+    }
+    const pick = await choose(item, item.qty, item.bin_id || "");
+    if (!pick || pick.bin_id === (item.bin_id || null)) return;
+    const entry = await Journal.record("assign", [{ id: item.id, before: item, after: { ...item, bin_id: pick.bin_id } }],
+      { name: item.name, from_zone: item.zone, qty: item.qty, bin: label(pick.bin_id) });
+    if (entry && pick.override) await DB.addLog(pick.override);
+    await UI.renderBoard();
+    await render();
+  }
+
+  async function toggleBlocked(bin) {
+    if (!App.isAdmin()) { await UI.message("Nur für Admins."); return; }
+    await DB.putBin({ ...bin, blocked: !bin.blocked });
+    await load();
+    await render();
+  }
+
+  async function render() {
+    const q = U.sanitize(document.getElementById("binSearch").value).trim().toLowerCase();
+    const occ = await occupancy();
+    const tb = document.querySelector("#binTable tbody");
+    const frag = document.createDocumentFragment();
+    for (const b of list) {
+      const o = occ.get(b.id) || { qty: 0, items: [] };
+      const hit = !q || b.code.toLowerCase().includes(q) || o.items.some(it => Articles.nameOf(it).toLowerCase().includes(q));
+      if (!hit) continue;
+      const tr = document.createElement("tr");
+      tr.dataset.id = b.id;
+      const pct = b.capacity ? Math.round((o.qty / b.capacity) * 100) : null;
+      tr.innerHTML = `
+        <td><strong></strong></td>
+        <td>${b.area}</td><td>${b.rack}</td><td>${b.shelf}</td><td>${b.level}</td>
+        <td>${o.qty}${b.capacity ? ` / ${b.capacity} <span class="badge ${pct > 100 ? "badge-warn" : "badge-info"}">${pct} %</span>` : ""}</td>
+        <td>${b.blocked ? `<span class="badge badge-warn">gesperrt</span>` : ""}</td>
+        <td></td>
+        <td>
+          <button class="btn btn-ghost sm" data-act="edit">✎</button>
+          <button class="btn btn-ghost sm" data-act="block">${b.blocked ? "Entsperren" : "Sperren"}</button>
+        </td>`;
+      tr.children[0].firstChild.textContent = b.code;
+      tr.children[7].textContent = o.items.map(it => `${it.qty}× ${Articles.nameOf(it)}`).join(", ");
+      frag.appendChild(tr);
+    }
+    tb.replaceChildren(frag);
+
+    // "Wo liegt…": every board position of the article, with or without bin
+    const where = document.getElementById("binWhere");
+    where.innerHTML = "";
+    if (!q) return;
+    const found = (await DB.listItemsAll()).filter(it => Articles.nameOf(it).toLowerCase().includes(q));
+    for (const it of found) {
+      const li = document.createElement("li");
+      li.className = "list-item";
+      const home = homeOf(it);
+      li.textContent = `${it.qty}× ${Articles.nameOf(it)} · ${Zones.label(it.zone)}${it.bin_id ? ` · Platz ${label(it.bin_id)}` : ""}` +
+        (home ? ` · Heimatplatz ${label(home)}` : "");
+      where.appendChild(li);
+    }
+    if (!found.length) where.innerHTML = `<li class="note">Artikel nicht auf dem Board.</li>`;
+  }
+
+  /* Older versions stored bins as board items (qty 0, note "Platz"); turn them into bin records once */
+  async function migrate() {
+    if (await DB.getSetting("bins_migrated", false)) return;
+    for (const it of await DB.listItemsAll()) {
+      if (it.note !== "Platz" || it.qty !== 0 || !Zones.get(it.zone)?.holds_bins) continue;
+      const parsed = parseCode(it.name);
+      if (parsed && !list.some(b => b.code === parsed.code)) {
+        const rec = { id: idFor(parsed.code), ...parsed, capacity: null, blocked: false, note: "", created_at: new Date().toISOString() };
+        await DB.putBin(rec, DB.SEED_STAMP);
+        await load();
+      }
+      if (parsed) await DB.deleteItem(it.id);
+    }
+    await DB.setSetting("bins_migrated", true);
+  }
+
+  function init() {
+    document.getElementById("binSearch").addEventListener("input", render);
+    document.querySelector("#binTable").addEventListener("click", async (e) => {
+      const btn = e.target.closest("button[data-act]");
+      const bin = get(e.target.closest("tr[data-id]")?.dataset.id);
+      if (!btn || !bin) return;
+      if (btn.dataset.act === "edit") await edit(bin);
+      if (btn.dataset.act === "block") await toggleBlocked(bin);
+      await UI.renderBoard();
+    });
+  }
+
+  return { parseCode, load, all, get, label, homeOf, setHome, checkHome, edit, choose, assign, render, migrate, init };
+})();
+
+/* ---------- Lieferschein-Positionen (buchen in den Wareneingang) ---------- */
+const Lines = (() => {
+  const INBOUND_ZONE = "Wareneingang";
+
+  function rowHtml(line) {
+    const booked = !!line.booked_at;
+    return `
+      <td><input data-f="name" list="articleList" value="" aria-label="Artikel" autocomplete="off"${booked ? " disabled" : ""} /></td>
+      <td><input data-f="qty" type="number" min="1" step="1" value="${line.qty || 1}" aria-label="Menge" style="width: 6em"${booked ? " disabled" : ""} /></td>
+      <td><input data-f="order_no" list="poList" value="" aria-label="Bestell-Nr." autocomplete="off"${booked ? " disabled" : ""} /></td>
+      <td>${booked ? `<span class="badge badge-ok">gebucht</span>` : `<button class="btn btn-ghost sm" data-act="del">🗑</button>`}</td>`;
+  }
+
+  function addRow(tb, line) {
+    const tr = document.createElement("tr");
+    tr.dataset.id = line.id;
+    if (line.booked_at) tr.dataset.booked = "1";
+    tr.innerHTML = rowHtml(line);
+    U.$("[data-f=name]", tr).value = line.article_id && Articles.get(line.article_id) ? Articles.label(Articles.get(line.article_id)) : (line.name || "");
+    U.$("[data-f=order_no]", tr).value = line.order_no || "";
+    tb.appendChild(tr);
+  }
+
+  // rows → lines; booked rows are taken over unchanged
+  function collect(tb, doc) {
+    const old = new Map((doc.lines || []).map(l => [l.id, l]));
+    const out = [];
+    for (const tr of U.$$("tr", tb)) {
+      if (tr.dataset.booked) { out.push(old.get(tr.dataset.id)); continue; }
+      const name = U.sanitize(U.$("[data-f=name]", tr).value).trim();
+      if (!name) continue;
+      const article = Articles.find(name);
+      out.push({
+        id: tr.dataset.id,
+        article_id: article ? article.id : null,
+        name: article ? Articles.label(article) : name,
+        qty: Math.max(1, parseInt(U.$("[data-f=qty]", tr).value || "1", 10) || 1),
+        order_no: U.sanitize(U.$("[data-f=order_no]", tr).value).trim(),
+        booked_at: null
+      });
+    }
+    return out;
+  }
+
+  async function save(doc, tb) {
+    doc.lines = collect(tb, doc);
+    doc.updated_at = new Date().toISOString();
+    doc.updated_by = App.userId();
+    await DB.putInboundDoc(doc);
+  }
+
+  /* Books the open positions into the Wareneingang column: merge with an equal item there or create one,
+     each item remembers the delivery notes it came from. */
+  async function book(doc) {
+    if (!(await App.permit("board_edit"))) return false;
+    const open = (doc.lines || []).filter(l => !l.booked_at);
+    if (!open.length) { await UI.message("Keine offenen Positionen."); return false; }
+    if (!Zones.get(INBOUND_ZONE) || Zones.get(INBOUND_ZONE).archived) {
+      await UI.message(`Die Zone „${INBOUND_ZONE}“ ist nicht aktiv – Buchen nicht möglich.`);
+      return false;
+    }
+    const free = open.filter(l => !l.article_id);
+    const text = open.map(l => `${l.qty}× ${l.name}${l.order_no ? ` (Bestellung ${l.order_no})` : ""}`).join("\n");
+    const warn = free.length ? `\n\nNicht im Artikelstamm: ${free.map(l => l.name).join(", ")}` : "";
+    if ((await UI.confirm(`In den Wareneingang buchen?\n${text}${warn}`)) !== "yes") return false;
+
+    const changes = new Map();
+    for (const l of open) {
+      const all = [...changes.values()].map(c => c.after);
+      const pending = all.find(i => (l.article_id ? i.article_id === l.article_id : !i.article_id && i.name === l.name) && !i.note && !i.bin_id);
+      let change;
+      if (pending) {
+        change = changes.get(pending.id);
+        change.after = { ...change.after, qty: change.after.qty + l.qty };
+      } else {
+        change = await UI.mergeTarget({ name: l.name, article_id: l.article_id, zone: INBOUND_ZONE, qty: l.qty, note: "" });
+      }
+      change.after.inbound_ids = [...new Set([...(change.after.inbound_ids || []), doc.id])];
+      changes.set(change.id, change);
+      l.item_id = change.id;
+    }
+    // line_ids lets an undo reopen exactly these positions (see unbook)
+    const entry = await Journal.record("receive", [...changes.values()], {
+      name: `LS ${doc.ls_nr}`, to_zone: INBOUND_ZONE, qty: open.reduce((n, l) => n + l.qty, 0),
+      inbound_id: doc.id, line_ids: open.map(l => l.id)
+    });
+    if (!entry) return false;
+
+    const now = new Date().toISOString();
+    for (const l of open) l.booked_at = now;
+    const unmatched = await Orders.receiveLines(doc, open.filter(l => l.order_no), entry.id);
+    doc.updated_at = now;
+    doc.updated_by = App.userId();
+    await DB.putInboundDoc(doc);
+    await DB.addLog({ action: "book_lines", inbound_id: doc.id, count: open.length, user: App.userId() });
+    await UI.renderBoard();
+    if (unmatched.length) {
+      await UI.message(`Keiner offenen Bestellposition zugeordnet, nur in den Wareneingang gebucht:\n` +
+        unmatched.map(l => `${l.qty}× ${l.name} (Bestellung ${l.order_no})`).join("\n"));
+    }
+    return true;
+  }
+
+  /* Undo of a "receive" journal entry: its positions count as open again and the
+     quantities it counted on orders are taken back. The board items are reverted by the journal. */
+  async function unbook(entry) {
+    const doc = await DB.getInboundById(entry.inbound_id);
+    await Orders.revertReceipts(entry.id);
+    if (!doc) return;
+    const lines = (doc.lines || []).filter(l => entry.line_ids.includes(l.id) && l.booked_at);
+    for (const l of lines) {
+      l.booked_at = null;
+      l.item_id = null;
+    }
+    doc.updated_at = new Date().toISOString();
+    doc.updated_by = App.userId();
+    await DB.putInboundDoc(doc);
+    await DB.addLog({ action: "unbook_lines", inbound_id: doc.id, count: lines.length, user: App.userId() });
+  }
+
+  /* Editor inside the detail view, toggled like the timeline */
+  async function editor(doc, container) {
+    const existing = U.$(".lines", container);
+    if (existing) { existing.remove(); return; }
+    const box = document.createElement("div");
+    box.className = "lines";
+    const pos = (await Orders.openOrdersFor(doc.supplier)).map(po => `<option value="${U.esc(po.po_no)}">`).join("");
+    box.innerHTML = `
+      <h3>Positionen</h3>
+      <datalist id="poList">${pos}</datalist>
+      <table class="table" aria-label="Positionen">
+        <thead><tr><th>Artikel</th><th>Menge</th><th>Bestell-Nr.</th><th></th></tr></thead>
+        <tbody></tbody>
+      </table>
+      <div class="row gap">
+        <button class="btn btn-ghost" data-act="add">+ Position</button>
+        <button class="btn" data-act="save">Speichern</button>
+        <button class="btn primary" data-act="book">In Wareneingang buchen</button>
+      </div>`;
+    const tb = U.$("tbody", box);
+    for (const l of doc.lines || []) addRow(tb, l);
+    if (!(doc.lines || []).length) addRow(tb, { id: U.uuid() });
+
+    box.addEventListener("click", async (e) => {
+      const btn = e.target.closest("button[data-act]");
+      if (!btn) return;
+      if (btn.dataset.act === "add") addRow(tb, { id: U.uuid() });
+      if (btn.dataset.act === "del") btn.closest("tr").remove();
+      if (btn.dataset.act === "save") {
+        await save(doc, tb);
+        Drawings.section(doc, container, UI.showDetail);
+        await UI.message("Positionen gespeichert.");
+      }
+      if (btn.dataset.act === "book") {
+        await save(doc, tb);
+        Drawings.section(doc, container, UI.showDetail);
+        if (await book(doc)) { box.remove(); await editor(doc, container); }
+      }
+    });
+    container.appendChild(box);
+  }
+
+  return { editor, book, unbook };
+})();
+
+/* ---------- Teillieferungen (mehrere Lieferscheine unter einer LS-Nr) ---------- */
+const Parts = (() => {
+  // docs without group_id are a group of their own
+  const groupOf = (doc) => doc.group_id || doc.id;
+
+  async function members(doc) {
+    if (!doc.group_id) return [doc];
+    const list = await DB.listInboundByGroup(doc.group_id);
+    return list.sort((a, b) => (a.part_no || 0) - (b.part_no || 0));
+  }
+
+  // parts announced by the supplier, otherwise those captured so far
+  const total = (doc, count) => Math.max(doc.parts_total || 0, count);
+
+  function label(doc, count) {
+    if (!doc.group_id) return "";
+    return `Teil ${doc.part_no}/${doc.group_complete || doc.parts_total ? total(doc, count) : "?"}`;
+  }
+
+  function badgeHtml(doc, count) {
+    if (!doc.group_id) return "";
+    return `<span class="badge badge-info">${label(doc, count)}</span>` +
+      (doc.group_complete ? `<span class="badge badge-ok">vollständig</span>` : "");
+  }
+
+  /* Earlier deliveries under this LS-Nr from the same supplier (any date), oldest first */
+  async function existing(lsNr, supplier) {
+    const list = await DB.findInboundByLs(U.normLs(lsNr));
+    return list.filter(d => Suppliers.same(d.supplier, supplier))
+      .sort((a, b) => (a.created_at || "").localeCompare(b.created_at || ""));
+  }
+
+  // group-wide fields live on every part
+  async function updateGroup(parts, patch) {
+    const now = new Date().toISOString();
+    for (const p of parts) {
+      if (Object.keys(patch).every(k => p[k] === patch[k])) continue;
+      Object.assign(p, patch, { updated_at: now, updated_by: App.userId() });
+      await DB.putInboundDoc(p);
+    }
+  }
+
+  /* Makes doc (not yet stored) the next part of the group the first earlier delivery belongs to */
+  async function join(doc, earlier) {
+    const first = earlier[0];
+    if (!first.group_id) {
+      Object.assign(first, { group_id: first.id, part_no: 1, updated_at: new Date().toISOString(), updated_by: App.userId() });
+      await DB.putInboundDoc(first);
+    }
+    const parts = await members(first);
+    doc.group_id = first.group_id;
+    doc.part_no = Math.max(...parts.map(p => p.part_no || 0)) + 1;
+    doc.parts_total = parts[0].parts_total ? Math.max(parts[0].parts_total, doc.part_no) : null;
+    // another part arrived, so the group was not complete after all
+    doc.group_complete = false;
+    await updateGroup(parts, { parts_total: doc.parts_total, group_complete: false });
+  }
+
+  /* Text for the duplicate note in the form */
+  async function describe(earlier) {
+    const parts = await members(earlier[0]);
+    const dates = [...new Set(parts.map(p => p.date_doc))].join(", ");
+    return `LS-Nr gibt es von diesem Lieferanten schon (${parts.length} Teil${parts.length > 1 ? "e" : ""}, ${dates}).` +
+      (parts[0].group_complete ? " Die Lieferung ist als vollständig markiert und wird wieder geöffnet." : "") +
+      " Als weitere Teillieferung anlegen?";
+  }
+
+  async function edit(doc) {
+    if (!(await App.permit("status_change"))) return false;
+    const parts = await members(doc);
+    const v = await UI.form(`Teillieferungen ${doc.ls_nr}`, [
+      { name: "total", label: "Angekündigte Teile (0 = unbekannt)", type: "number", min: 0, step: 1, value: parts[0].parts_total || 0 },
+      { name: "complete", label: "Vollständig geliefert", type: "checkbox", value: !!parts[0].group_complete }
+    ]);
+    if (!v) return false;
+    const n = Math.max(0, Math.floor(v.total));
+    if (n && n < parts.length) { await UI.message(`Es sind schon ${parts.length} Teile erfasst.`); return false; }
+    if (v.complete && n > parts.length &&
+      (await UI.confirm(`Angekündigt sind ${n} Teile, erfasst ${parts.length}. Trotzdem als vollständig markieren?`)) !== "yes") return false;
+    // single docs become part 1 once somebody announces more parts
+    if (!doc.group_id && (n > 1 || v.complete)) {
+      Object.assign(parts[0], { group_id: doc.id, part_no: 1 });
+    }
+    if (!parts[0].group_id) return false;
+    const complete = !!v.complete;
+    await updateGroup(parts, { parts_total: complete ? Math.max(n, parts.length) : n || null, group_complete: complete });
+    if (complete !== !!doc.group_complete) {
+      await DB.addLog({ action: "parts_complete", inbound_id: doc.id, complete, count: parts.length, user: App.userId() });
+    }
+    Object.assign(doc, parts.find(p => p.id === doc.id));
+    return true;
+  }
+
+  /* Part switcher for the detail view */
+  async function switcher(doc, container, open) {
+    const parts = await members(doc);
+    const bar = document.createElement("div");
+    bar.className = "row gap parts-bar";
+    if (parts.length > 1) {
+      for (const p of parts) {
+        const b = document.createElement("button");
+        b.type = "button";
+        b.className = `btn sm${p.id === doc.id ? " primary" : " btn-ghost"}`;
+        b.textContent = `Teil ${p.part_no} · ${p.date_doc}`;
+        b.onclick = () => p.id !== doc.id && open(p);
+        bar.appendChild(b);
+      }
+    }
+    const info = document.createElement("span");
+    info.className = "note";
+    info.textContent = doc.group_id
+      ? `${label(doc, parts.length)}${doc.group_complete ? " – vollständig" : " – weitere Teile offen"}`
+      : "Keine Teillieferung";
+    bar.appendChild(info);
+    const btn = document.createElement("button");
+    btn.type = "button";
+    btn.className = "btn btn-ghost sm";
+    btn.textContent = "Teillieferung …";
+    btn.onclick = async () => { if (await edit(doc)) { await UI.refreshLists(); await open(doc); } };
+    bar.appendChild(btn);
+    const meta = container.querySelector(".meta");
+    if (meta) meta.after(bar);
+    else container.prepend(bar);
+  }
+
+  return { groupOf, members, total, label, badgeHtml, existing, join, describe, edit, switcher };
+})();
+
+/* ---------- Schäden & Reklamation (Schadenfotos mit Markierungen, Bericht als PDF) ---------- */
+const Damage = (() => {
+  const TOOLS = { arrow: "Pfeil", circle: "Kreis", text: "Text" };
+  const STATUS = { offen: "offen", gemeldet: "an Lieferant gemeldet", anerkannt: "anerkannt", abgelehnt: "abgelehnt", erledigt: "erledigt" };
+  const el = {
+    file: document.getElementById("damageFile"),
+    dlg: document.getElementById("dlgAnnotate"),
+    canvas: document.getElementById("annCanvas"),
+    tools: document.getElementById("annTools"),
+    color: document.getElementById("annColor"),
+    original: document.getElementById("chkAnnOriginal"),
+    undo: document.getElementById("btnAnnUndo"),
+    layers: document.getElementById("annLayers")
+  };
+
+  const statusLabel = (s) => STATUS[s] || s;
+
+  function badgeHtml(doc) {
+    if (!doc.complaint) return "";
+    const cls = doc.complaint.status === "erledigt" || doc.complaint.status === "abgelehnt" ? "badge-ok" : "badge-warn";
+    return `<span class="badge ${cls}">Reklamation: ${statusLabel(doc.complaint.status)}</span>`;
+  }
+
+  /* ---------- Markierungen ---------- */
+  // layers are stored next to the photo, coordinates relative to it (0…1); the photo itself is never changed
+  function drawLayer(g, layer, w, h) {
+    const lw = Math.max(2, Math.max(w, h) / 200);
+    const [x1, y1, x2, y2] = [layer.x1 * w, layer.y1 * h, layer.x2 * w, layer.y2 * h];
+    g.save();
+    g.strokeStyle = g.fillStyle = layer.color;
+    g.lineWidth = lw;
+    g.lineCap = g.lineJoin = "round";
+    if (layer.type === "arrow") {
+      const a = Math.atan2(y2 - y1, x2 - x1), head = lw * 5;
+      g.beginPath();
+      g.moveTo(x1, y1);
+      g.lineTo(x2, y2);
+      g.stroke();
+      g.beginPath();
+      g.moveTo(x2, y2);
+      g.lineTo(x2 - head * Math.cos(a - 0.45), y2 - head * Math.sin(a - 0.45));
+      g.lineTo(x2 - head * Math.cos(a + 0.45), y2 - head * Math.sin(a + 0.45));
+      g.closePath();
+      g.fill();
+    } else if (layer.type === "circle") {
+      g.beginPath();
+      g.ellipse((x1 + x2) / 2, (y1 + y2) / 2, Math.abs(x2 - x1) / 2, Math.abs(y2 - y1) / 2, 0, 0, Math.PI * 2);
+      g.stroke();
+    } else if (layer.type === "text") {
+      const size = Math.max(12, Math.max(w, h) / 30);
+      g.font = `bold ${size}px sans-serif`;
+      g.textBaseline = "top";
+      // light backing so the text stays readable on any surface
+      g.fillStyle = "rgba(255, 255, 255, 0.8)";
+      g.fillRect(x1 - size * 0.2, y1 - size * 0.2, g.measureText(layer.text).width + size * 0.4, size * 1.4);
+      g.fillStyle = layer.color;
+      g.fillText(layer.text, x1, y1);
+    }
+    g.restore();
+  }
+
+  function paint(g, bmp, layers, w, h) {
+    g.drawImage(bmp, 0, 0, w, h);
+    for (const l of layers) if (!l.hidden) drawLayer(g, l, w, h);
+  }
+
+  // photo + visible layers as one JPEG, for thumbnails (maxSize) and the report
+  async function flatten(img, maxSize = Infinity) {
+    const bmp = await createImageBitmap(img.blob);
+    const s = Math.min(1, maxSize / Math.max(bmp.width, bmp.height));
+    const c = document.createElement("canvas");
+    c.width = Math.round(bmp.width * s);
+    c.height = Math.round(bmp.height * s);
+    paint(c.getContext("2d"), bmp, img.layers || [], c.width, c.height);
+    return new Promise((res) => c.toBlob(b => res(b), "image/jpeg", 0.9));
+  }
+
+  /* Editor dialog; resolves true when the layers were saved */
+  async function annotate(doc, img) {
+    const bmp = await createImageBitmap(img.blob);
+    const c = el.canvas;
+    const s = Math.min(1, 1600 / Math.max(bmp.width, bmp.height));
+    c.width = Math.round(bmp.width * s);
+    c.height = Math.round(bmp.height * s);
+    const g = c.getContext("2d");
+    const layers = (img.layers || []).map(l => ({ ...l }));
+    let tool = "arrow";
+    let draft = null;
+
+    const draw = () => paint(g, bmp, el.original.checked ? [] : draft ? [...layers, draft] : layers, c.width, c.height);
+    const renderLayers = () => {
+      el.layers.innerHTML = "";
+      layers.forEach((l, i) => {
+        const li = document.createElement("li");
+        li.className = "list-item";
+        li.innerHTML = `<label class="inline"><input type="checkbox" data-i="${i}"${l.hidden ? "" : " checked"} /> </label>` +
+          `<button type="button" class="btn btn-ghost sm" data-del="${i}" aria-label="Markierung löschen">🗑</button>`;
+        li.firstChild.append(`${TOOLS[l.type]} ${i + 1}${l.text ? ` „${l.text}“` : ""}`);
+        el.layers.appendChild(li);
+      });
+      el.undo.disabled = !layers.length;
+      draw();
+    };
+    const setTool = (t) => {
+      tool = t;
+      for (const b of U.$$("button[data-tool]", el.tools)) b.classList.toggle("primary", b.dataset.tool === t);
+    };
+
+    const toRel = (e) => {
+      const r = c.getBoundingClientRect();
+      return {
+        x: Math.min(1, Math.max(0, (e.clientX - r.left) / r.width)),
+        y: Math.min(1, Math.max(0, (e.clientY - r.top) / r.height))
+      };
+    };
+    c.onpointerdown = async (e) => {
+      if (el.original.checked) return;
+      const p = toRel(e);
+      const base = { id: U.uuid(), type: tool, x1: p.x, y1: p.y, x2: p.x, y2: p.y, color: el.color.value };
+      if (tool === "text") {
+        const { result, value } = await UI.prompt("Text der Markierung");
+        const text = U.sanitize(value).trim();
+        if (result === "ok" && text) { layers.push({ ...base, text }); renderLayers(); }
+        return;
+      }
+      draft = base;
+      c.setPointerCapture(e.pointerId);
+      e.preventDefault();
+    };
+    c.onpointermove = (e) => {
+      if (!draft) return;
+      const p = toRel(e);
+      draft.x2 = p.x;
+      draft.y2 = p.y;
+      draw();
+    };
+    c.onpointerup = () => {
+      if (!draft) return;
+      // a tap without dragging draws nothing
+      if (Math.hypot(draft.x2 - draft.x1, draft.y2 - draft.y1) > 0.01) layers.push(draft);
+      draft = null;
+      renderLayers();
+    };
+    el.tools.onclick = (e) => { const b = e.target.closest("button[data-tool]"); if (b) setTool(b.dataset.tool); };
+    el.original.checked = false;
+    el.original.onchange = draw;
+    el.undo.onclick = () => { layers.pop(); renderLayers(); };
+    el.layers.onchange = (e) => {
+      const i = e.target.dataset.i;
+      if (i === undefined) return;
+      layers[i].hidden = !e.target.checked;
+      draw();
+    };
+    el.layers.onclick = (e) => {
+      const b = e.target.closest("button[data-del]");
+      if (!b) return;
+      layers.splice(Number(b.dataset.del), 1);
+      renderLayers();
+    };
+
+    setTool("arrow");
+    renderLayers();
+    el.dlg.returnValue = "";
+    el.dlg.showModal();
+    const res = await new Promise((resolve) => el.dlg.addEventListener("close", () => resolve(el.dlg.returnValue), { once: true }));
+    if (res !== "ok" || JSON.stringify(layers) === JSON.stringify(img.layers || [])) return false;
+    img.layers = layers;
+    await DB.putImage(img);
+    await DB.addLog({ action: "annotate_damage", inbound_id: doc.id, image_id: img.id, damage_no: img.damage_no, count: layers.length, user: App.userId() });
+    return true;
+  }
+
+  /* ---------- Schadenfotos ---------- */
+  const pick = () => U.pickFiles(el.file);
+
+  // damage photos are inbound_images with kind "damage": synced and backed up like the pages, but
+  // numbered in damage_no so they stay out of the page index
+  async function addPhotos(doc) {
+    const files = await pick();
+    const existing = await DB.listImages(doc.id, "damage");
+    let no = existing.length ? Math.max(...existing.map(i => i.damage_no)) : 0;
+    for (const file of files) {
+      let bmp;
+      try { bmp = await Reader.decode(file); }
+      catch { await UI.message(`${file.name}: Bild kann nicht gelesen werden.`); continue; }
+      const blob = await Camera.drawBitmapToBlob(bmp);
+      no += 1;
+      const id = U.uuid();
+      await DB.addImage({
+        id, inbound_id: doc.id, kind: "damage", damage_no: no,
+        mime_type: "image/jpeg",
+        width_px: bmp.width, height_px: bmp.height, size_bytes: blob.size,
+        sha256: await U.sha256(blob),
+        storage_uri: `blob://damage/${new Date().toISOString().slice(0, 10).replaceAll("-", "/")}/${doc.id}/s${String(no).padStart(3, "0")}.jpg`,
+        layers: [],
+        created_at: new Date().toISOString(), created_by: App.userId(),
+        synced: false, blob
+      });
+      await DB.addLog({ action: "add_damage", inbound_id: doc.id, image_id: id, damage_no: no, user: App.userId() });
+    }
+    if (files.length) UI.bumpSyncBadge();
+    return files.length;
+  }
+
+  async function deletePhoto(doc, img) {
+    if (!(await App.permit("images_delete"))) return false;
+    if ((await UI.confirm(`Schadenfoto ${img.damage_no} mit allen Markierungen löschen?`)) !== "yes") return false;
+    await DB.deleteImage(img.id);
+    await DB.addLog({ action: "delete_damage", inbound_id: doc.id, image_id: img.id, damage_no: img.damage_no, user: App.userId() });
+    let no = 1;
+    for (const im of await DB.listImages(doc.id, "damage")) {
+      if (im.damage_no !== no) { im.damage_no = no; await DB.putImage(im); }
+      no++;
+    }
+    return true;
+  }
+
+  /* ---------- Reklamation ---------- */
+  // doc.complaint = { status, line_ids, note, created_at, created_by, created_by_name, updated_at }
+  async function editComplaint(doc) {
+    const c = doc.complaint || { status: "offen", line_ids: [], note: "" };
+    const lines = doc.lines || [];
+    const v = await UI.form(doc.complaint ? "Reklamation bearbeiten" : "Reklamation anlegen", [
+      { name: "status", label: "Status der Reklamation", type: "select", value: c.status,
+        options: Object.entries(STATUS).map(([value, label]) => ({ value, label })) },
+      ...lines.map(l => ({ name: `line_${l.id}`, label: `betroffen: ${l.qty}× ${l.name}`, type: "checkbox", value: c.line_ids.includes(l.id) })),
+      { name: "note", label: "Schadensbeschreibung", type: "textarea", value: c.note,
+        hint: lines.length ? "" : "Keine Positionen erfasst – betroffene Teile bitte in der Beschreibung nennen." }
+    ]);
+    if (!v) return false;
+    const now = new Date().toISOString();
+    const created = !doc.complaint;
+    doc.complaint = {
+      ...c,
+      status: v.status,
+      line_ids: lines.filter(l => v[`line_${l.id}`]).map(l => l.id),
+      note: v.note,
+      created_at: c.created_at || now,
+      created_by: c.created_by || App.userId(),
+      created_by_name: c.created_by_name || App.userName(),
+      updated_at: now
+    };
+    doc.updated_at = now;
+    doc.updated_by = App.userId();
+    await DB.putInboundDoc(doc);
+    await DB.addLog({ action: created ? "create_complaint" : "edit_complaint", inbound_id: doc.id, status: v.status, user: App.userId() });
+    // a new complaint usually also blocks the delivery note – offered, not forced
+    if (created && doc.status !== "reklamiert" && States.options(doc).some(o => o.to === "reklamiert") &&
+      (await UI.confirm(`Lieferschein-Status auf „${States.label("reklamiert")}“ setzen?`)) === "yes") {
+      await States.change(doc, "reklamiert");
+    }
+    return true;
+  }
+
+  async function report(doc) {
+    if (!doc.complaint && !(await editComplaint(doc))) return;
+    const c = doc.complaint;
+    const photos = await DB.listImages(doc.id, "damage");
+    const lines = (doc.lines || []).filter(l => c.line_ids.includes(l.id));
+    const text = [
+      `Reklamation zu Lieferschein ${doc.ls_nr}`,
+      "",
+      `Lieferant: ${doc.supplier}`,
+      `Lieferschein-Datum: ${doc.date_doc}`,
+      `Status der Reklamation: ${statusLabel(c.status)}`,
+      `Status des Lieferscheins: ${States.label(doc.status)}`,
+      `Erfasst: ${new Date(c.created_at).toLocaleString("de-DE")}${c.created_by_name ? ` von ${c.created_by_name}` : ""}`,
+      "",
+      "Betroffene Positionen:",
+      ...(lines.length ? lines.map(l => `• ${l.qty}× ${l.name}${l.order_no ? ` (Bestellung ${l.order_no})` : ""}`) : ["• keine angegeben"]),
+      "",
+      "Schadensbeschreibung:",
+      ...(c.note || "–").split("\n"),
+      "",
+      `Schadenfotos: ${photos.length}`
+    ];
+    const flat = [];
+    for (const im of photos) flat.push(await flatten(im));
+    const pdf = await Pdf.complaint(doc, text, flat);
+    const safe = `${doc.ls_nr}`.replace(/[^\w.-]+/g, "_");
+    U.download(`Reklamation-${safe}-${doc.date_doc}.pdf`, "application/pdf", pdf);
+    await DB.addLog({ action: "complaint_report", inbound_id: doc.id, status: c.status, count: photos.length, user: App.userId() });
+  }
+
+  /* ---------- Bereich in der Detailansicht (umschalten wie die Positionen) ---------- */
+  async function render(doc, box) {
+    const photos = await DB.listImages(doc.id, "damage");
+    box.innerHTML = `
+      <h3>Schäden</h3>
+      ${doc.complaint ? `<div class="meta">${badgeHtml(doc)}</div>` : ""}
+      <div class="thumbs"></div>
+      <div class="note">${photos.length ? "Foto antippen zum Markieren." : "Noch keine Schadenfotos."}</div>
+      <div class="row gap">
+        <button class="btn" data-act="add">+ Schadenfoto</button>
+        <button class="btn" data-act="complaint">${doc.complaint ? "Reklamation bearbeiten" : "Reklamation anlegen"}</button>
+        <button class="btn primary" data-act="report">Reklamationsbericht (PDF)</button>
+      </div>`;
+    const thumbs = U.$(".thumbs", box);
+    for (const im of photos) {
+      const div = document.createElement("div");
+      div.className = "thumb";
+      div.dataset.id = im.id;
+      const url = URL.createObjectURL(await flatten(im, 240));
+      const n = (im.layers || []).length;
+      div.innerHTML = `<img src="${url}" alt="Schadenfoto ${im.damage_no}" data-act="annotate">` +
+        `<span>${im.damage_no}${n ? ` · ${n} Markierung${n === 1 ? "" : "en"}` : ""}</span>` +
+        `<button class="btn btn-ghost sm" data-act="delete" aria-label="Schadenfoto löschen">🗑</button>`;
+      thumbs.appendChild(div);
+      setTimeout(() => URL.revokeObjectURL(url), 1500);
+    }
+  }
+
+  async function panel(doc, container) {
+    const existing = U.$(".damage", container);
+    if (existing) { existing.remove(); return; }
+    const box = document.createElement("div");
+    box.className = "damage";
+    container.appendChild(box);
+    await render(doc, box);
+    box.addEventListener("click", async (e) => {
+      const t = e.target.closest("[data-act]");
+      if (!t) return;
+      const img = t.closest(".thumb") && (await DB.listImages(doc.id, "damage")).find(i => i.id === t.closest(".thumb").dataset.id);
+      let changed = false;
+      if (t.dataset.act === "add") changed = (await addPhotos(doc)) > 0;
+      if (t.dataset.act === "annotate" && img) changed = await annotate(doc, img);
+      if (t.dataset.act === "delete" && img) changed = await deletePhoto(doc, img);
+      if (t.dataset.act === "complaint") changed = await editComplaint(doc);
+      if (t.dataset.act === "report") { await report(doc); changed = true; }
+      if (changed) await render(doc, box);
+    });
+  }
+
+  return { statusLabel, badgeHtml, panel };
+})();
+
+/* ---------- Bewegungsjournal (Board-Änderungen, Verlauf, Rückgängig) ---------- */
+const Journal = (() => {
+  const KIND_LABEL = {
+    move: "Verschoben", edit: "Bearbeitet", delete: "Gelöscht", create: "Angelegt", assign: "Platz zugewiesen",
+    receive: "Wareneingang gebucht", undo: "Rückgängig"
+  };
+  const when = (ts) => new Date(ts).toLocaleString("de-DE");
+
+  function describe(e) {
+    const zones = e.from_zone && e.to_zone
+      ? `${Zones.label(e.from_zone)} → ${Zones.label(e.to_zone)}`
+      : Zones.label(e.from_zone || e.to_zone);
+    const qty = e.kind === "edit" ? (e.qty ? `Menge ${e.qty > 0 ? "+" : ""}${e.qty}` : "") : (e.qty != null ? `${e.qty} Stk.` : "");
+    const bin = e.bin ? `Platz ${e.bin}` : "";
+    return [KIND_LABEL[e.kind] || e.kind, e.name, zones, bin, qty, e.merged ? "(zusammengeführt)" : ""].filter(Boolean).join(" · ");
+  }
+
+  // compares item content; updated_at differs after an earlier undo and is ignored
+  function sameState(a, b) {
+    if (!a || !b) return !a && !b;
+    const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+    keys.delete("updated_at");
+    return [...keys].every(k => JSON.stringify(a[k]) === JSON.stringify(b[k]));
+  }
+
+  async function record(kind, changes, meta = {}) {
+    // the entry points ask first (App.permit); this only stops what slipped past them
+    if (!App.can("board_edit")) return null;
+    return DB.journalApply({ kind, user: App.userId(), user_name: App.userName(), ...meta }, changes);
+  }
+
+  /* Reverses the user's newest change that is not undone yet. Refuses when an
+     affected item was changed afterwards, so an undo never overwrites newer work. */
+  async function undo() {
+    if (!(await App.permit("board_edit"))) return;
+    const entries = await DB.listJournalByUser(App.userId());
+    const last = entries.find(e => e.kind !== "undo" && !e.undone_at);
+    if (!last) { await UI.message("Nichts rückgängig zu machen."); return; }
+    // bookings from before line_ids was recorded cannot reopen their positions
+    if (last.kind === "receive" && !last.line_ids) {
+      await UI.message(`Rückgängig nicht möglich: Die Buchung stammt aus einer älteren Version.\n${describe(last)}`);
+      return;
+    }
+
+    const changes = [];
+    for (const c of last.changes) {
+      const cur = (await DB.getItem(c.id)) || null;
+      if (!sameState(cur, c.after)) {
+        await UI.message(`Rückgängig nicht möglich: „${(cur || c.after || c.before).name}“ wurde seitdem geändert.\n${describe(last)}`);
+        return;
+      }
+      changes.push({ id: c.id, before: cur, after: c.before });
+    }
+    if ((await UI.confirm(`Rückgängig machen?\n${describe(last)}`)) !== "yes") return;
+    await DB.journalApply({
+      kind: "undo", user: App.userId(), user_name: App.userName(), undo_of: last.id,
+      name: last.name, from_zone: last.to_zone, to_zone: last.from_zone, qty: last.qty
+    }, changes, last);
+    if (last.kind === "receive") await Lines.unbook(last);
+    await UI.renderBoard();
+  }
+
+  async function history(item) {
+    const entries = await DB.listJournalByItem(item.id);
+    const lines = entries.map(e =>
+      `${when(e.ts)} · ${describe(e)} · ${e.user_name || String(e.user || "").slice(0, 8)}${e.undone_at ? " (rückgängig gemacht)" : ""}`);
+    await UI.message([`Verlauf: ${item.name}`, "", ...(lines.length ? lines : ["Keine Einträge."])].join("\n"));
+  }
+
+  return { record, undo, history };
+})();
+
+/* ---------- Protokoll (liest den logs-Store) ---------- */
+const Protocol = (() => {
+  const ACTION_LABEL = {
+    create_doc: "Lieferschein angelegt",
+    add_image: "Seite hinzugefügt",
+    delete_image: "Seite gelöscht",
+    reorder_images: "Seiten umsortiert",
+    status_change: "Status geändert",
+    create_order: "Bestellung angelegt",
+    order_receipt: "Wareneingang gebucht",
+    close_order: "Bestellung abgeschlossen",
+    backup_export: "Sicherung exportiert",
+    backup_import: "Sicherung eingespielt",
+    set_home_bin: "Heimatplatz festgelegt",
+    book_lines: "Positionen gebucht",
+    unbook_lines: "Buchung zurückgenommen",
+    order_receipt_undo: "Wareneingang zurückgenommen",
+    home_override: "Heimatplatz-Ausnahme",
+    login: "Angemeldet",
+    logout: "Abgemeldet",
+    create_user: "Benutzer angelegt",
+    edit_user: "Benutzer geändert",
+    pin_locked: "PIN gesperrt",
+    partial_delivery: "Teillieferung angelegt",
+    parts_complete: "Teillieferungen vollständig",
+    create_supplier: "Lieferant angelegt",
+    edit_supplier: "Lieferant geändert",
+    merge_supplier: "Lieferant vereinheitlicht",
+    pin_recovery: "PIN zurückgesetzt (Code)",
+    add_damage: "Schadenfoto hinzugefügt",
+    delete_damage: "Schadenfoto gelöscht",
+    annotate_damage: "Schadenfoto markiert",
+    create_complaint: "Reklamation angelegt",
+    edit_complaint: "Reklamation geändert",
+    complaint_report: "Reklamationsbericht erstellt",
+    add_drawing: "Zeichnung hinterlegt",
+    delete_drawing: "Zeichnung gelöscht",
+    print_drawings: "Zeichnungen gedruckt"
+  };
+  const actionLabel = (a) => ACTION_LABEL[a] || a;
+  const when = (ts) => (ts ? new Date(ts).toLocaleString("de-DE") : "");
+  // entries from before named users only carry the device id
+  const userLabel = (log) => log.user_name || String(log.user || "").slice(0, 8);
+
+  function detail(log) {
+    switch (log.action) {
+      case "add_image":
+      case "delete_image": return log.page_no ? `Seite ${log.page_no}` : "";
+      case "reorder_images": return log.from ? `Seite ${log.from} → ${log.to}` : "";
+      case "status_change": return log.from ? `${States.label(log.from)} → ${States.label(log.to)}` +
+        (log.reason ? ` – ${log.reason}` : log.auto ? " (automatisch)" : "") : "";
+      case "backup_import": return log.mode === "replace" ? "ersetzt" : "zusammengeführt";
+      case "book_lines":
+      case "unbook_lines": return `${log.count} Position(en)`;
+      case "set_home_bin": return `${log.article}: ${log.bin || "entfernt"}`;
+      case "home_override": return `${log.article}: ${log.home} → ${log.bin || "ohne Platz"} – ${log.reason}` +
+        (log.approved_by ? ` (freigegeben: ${log.approved_by})` : "");
+      case "logout": return log.reason || "";
+      case "create_user":
+      case "edit_user": return `${log.target} (${Users.roleLabel(log.role)})`;
+      case "create_supplier":
+      case "edit_supplier": return log.alias ? `${log.target} + „${log.alias}“` : log.target;
+      case "partial_delivery": return `Teil ${log.part_no}`;
+      case "parts_complete": return log.complete ? `${log.count} Teil(e), vollständig` : "wieder offen";
+      case "merge_supplier": return `${log.from} → ${log.target} (${log.count} LS)`;
+      case "add_damage":
+      case "delete_damage": return `Foto ${log.damage_no}`;
+      case "annotate_damage": return `Foto ${log.damage_no}: ${log.count} Markierung(en)`;
+      case "create_complaint":
+      case "edit_complaint": return Damage.statusLabel(log.status);
+      case "add_drawing":
+      case "delete_drawing": return `${log.article}: ${log.file}`;
+      case "print_drawings": return `${log.count} Zeichnung(en)` + (log.missing ? `, ${log.missing} Position(en) ohne Zeichnung` : "");
+      case "complaint_report": return `${Damage.statusLabel(log.status)}, ${log.count} Foto(s)`;
+      default: return "";
+    }
+  }
+
+  const filters = {
+    action: document.getElementById("logAction"),
+    user: document.getElementById("logUser"),
+    from: document.getElementById("logFrom"),
+    to: document.getElementById("logTo"),
+    ls: document.getElementById("logLs")
+  };
+
+  function initFilters() {
+    filters.action.innerHTML = `<option value="">Alle Aktionen</option>` +
+      Object.entries(ACTION_LABEL).map(([v, l]) => `<option value="${v}">${l}</option>`).join("");
+  }
+
+  /* Logs matching the global filters, each with the delivery note it belongs to */
+  async function query() {
+    const docs = new Map((await DB.listInboundAll()).map(d => [d.id, d]));
+    const action = filters.action.value;
+    const user = filters.user.value.trim().toLowerCase();
+    const from = filters.from.value;
+    const to = filters.to.value;
+    const ls = U.normLs(filters.ls.value);
+    const out = [];
+    for (const log of await DB.listLogs()) {
+      const day = (log.ts || "").slice(0, 10);
+      const doc = log.inbound_id ? docs.get(log.inbound_id) : null;
+      if (action && log.action !== action) continue;
+      if (user && !`${log.user_name || ""} ${log.user || ""}`.toLowerCase().includes(user)) continue;
+      if (from && day < from) continue;
+      if (to && day > to) continue;
+      if (ls && !(doc && doc.ls_nr_normalized.includes(ls))) continue;
+      out.push({ log, doc });
+    }
+    return out;
+  }
+
+  async function render() {
+    const rows = await query();
+    const tb = document.querySelector("#logTable tbody");
+    const frag = document.createDocumentFragment();
+    for (const { log, doc } of rows.slice(0, 500)) {
+      const tr = document.createElement("tr");
+      tr.innerHTML = `
+        <td>${when(log.ts)}</td>
+        <td>${actionLabel(log.action)}</td>
+        <td title="${log.user || ""}">${userLabel(log)}</td>
+        <td>${doc ? `<a href="#" data-id="${doc.id}">${doc.ls_nr}</a>` : ""}</td>
+        <td>${U.esc(detail(log))}</td>`;
+      frag.appendChild(tr);
+    }
+    tb.replaceChildren(frag);
+    document.getElementById("logCount").textContent =
+      rows.length > 500 ? `${rows.length} Einträge, die neuesten 500 werden angezeigt` : `${rows.length} Einträge`;
+  }
+
+  async function exportCSV() {
+    const rows = await query();
+    const csv = "\ufeff" + [
+      ["Zeit", "Aktion", "Benutzer", "LS-Nr", "Lieferant", "Details", "Lieferschein-ID", "Bild-ID", "Benutzer-ID"],
+      ...rows.map(({ log, doc }) => [
+        log.ts, actionLabel(log.action), log.user_name || "", doc ? doc.ls_nr : "", doc ? doc.supplier : "",
+        detail(log), log.inbound_id || "", log.image_id || "", log.user || ""
+      ])
+    ].map(r => r.map(U.csvEscape).join(";")).join("\n");
+    U.download(`protokoll-${U.todayStr()}.csv`, "text/csv;charset=utf-8", csv);
+  }
+
+  /* Timeline of one delivery note, toggled inside the detail view */
+  async function timeline(doc, container) {
+    const existing = U.$(".timeline", container);
+    if (existing) { existing.remove(); return; }
+    const logs = await DB.listLogsByInbound(doc.id);
+    const box = document.createElement("div");
+    box.className = "timeline";
+    box.innerHTML = `<h3>Protokoll ${doc.ls_nr}</h3>`;
+    const ul = document.createElement("ul");
+    ul.className = "list";
+    for (const log of logs) {
+      const li = document.createElement("li");
+      li.className = "list-item";
+      const d = detail(log);
+      li.textContent = `${when(log.ts)} · ${actionLabel(log.action)}${d ? ` (${d})` : ""} · ${userLabel(log)}`;
+      ul.appendChild(li);
+    }
+    if (!logs.length) ul.innerHTML = `<li class="note">Keine Einträge.</li>`;
+    box.appendChild(ul);
+    container.appendChild(box);
+  }
+
+  async function onTableClick(e) {
+    const a = e.target.closest("a[data-id]");
+    if (!a) return;
+    e.preventDefault();
+    const doc = await DB.getInboundById(a.dataset.id);
+    if (doc) await UI.showDetail(doc);
+  }
+
+  function init() {
+    initFilters();
+    document.getElementById("btnLogShow").addEventListener("click", render);
+    document.getElementById("btnLogCSV").addEventListener("click", exportCSV);
+    document.querySelector("#logTable").addEventListener("click", onTableClick);
+  }
+
+  return { init, render, timeline, actionLabel };
+})();
+
+/* ---------- Benutzer & Rollen (Anmeldung, Rechte, automatische Abmeldung) ---------- */
+const Users = (() => {
+  // what each role may do; settings (Admin-Bereich) stay with Admin
+  const ROLES = {
+    lager: { label: "Lager", perms: ["images_delete", "status_change", "board_edit"] },
+    einkauf: { label: "Einkauf", perms: ["status_change", "cart_clear"] },
+    admin: { label: "Admin", perms: ["images_delete", "status_change", "board_edit", "cart_clear", "settings"] }
+  };
+  const PERM_LABEL = {
+    images_delete: "Bilder löschen", status_change: "Status ändern", board_edit: "Board bearbeiten",
+    cart_clear: "Korb leeren", settings: "Einstellungen ändern"
+  };
+  const SESSION_KEY = "lv_session";
+  const LOCK_KEY = "lv_pin_lock";
+  const PIN_ITER = 150000;
+  const MAX_FAILS = 5;     // wrong PINs before a lockout
+  const LOCK_MIN = 5;      // first lockout; doubles with every further miss
+  const CODE_CHARS = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+  const el = {
+    dlg: document.getElementById("dlgLogin"),
+    users: document.getElementById("loginUsers"),
+    pinRow: document.getElementById("loginPinRow"),
+    pinLabel: document.getElementById("loginPinLabel"),
+    pin: document.getElementById("loginPin"),
+    btnPin: document.getElementById("btnLoginPin"),
+    btnRecover: document.getElementById("btnLoginRecover"),
+    hint: document.getElementById("loginHint"),
+    table: document.querySelector("#userTable tbody"),
+    idle: document.getElementById("idleMinutes")
+  };
+
+  let list = [];
+  let current = null;
+  let idleMinutes = 15;
+  let lastActive = Date.now();
+  let refreshLogin = null; // set while the login screen is open
+
+  const roleLabel = (role) => ROLES[role]?.label || role;
+
+  async function load() {
+    list = (await DB.listUsers()).sort((a, b) => a.name.localeCompare(b.name, "de"));
+    // a pulled or restored change may have renamed, demoted or deactivated the signed-in user
+    if (current) {
+      const fresh = list.find(u => u.id === current.id);
+      current = fresh && fresh.active !== false ? fresh : null;
+    }
+  }
+  const all = () => list;
+  const get = (id) => list.find(u => u.id === id) || null;
+  const me = () => current;
+  const can = (perm) => !!current && !!ROLES[current.role]?.perms.includes(perm);
+
+  /* ---------- PIN ---------- */
+  const toHex = (bytes) => [...bytes].map(b => b.toString(16).padStart(2, "0")).join("");
+  const fromHex = (hex) => new Uint8Array((hex.match(/../g) || []).map(h => parseInt(h, 16)));
+
+  async function derive(secret, saltHex, iterations) {
+    const key = await crypto.subtle.importKey("raw", new TextEncoder().encode(secret), "PBKDF2", false, ["deriveBits"]);
+    const bits = await crypto.subtle.deriveBits(
+      { name: "PBKDF2", hash: "SHA-256", salt: fromHex(saltHex), iterations }, key, 256);
+    return toHex(new Uint8Array(bits));
+  }
+
+  // writes pin_hash/pin_salt/pin_iter onto rec; an empty pin removes the PIN.
+  // The hash syncs and is backed up so a PIN works on every device: it keeps others off a tablet, not a data thief
+  async function setPin(rec, pin) {
+    if (!pin) {
+      rec.pin_hash = rec.pin_salt = rec.pin_iter = null;
+      return rec;
+    }
+    rec.pin_salt = toHex(crypto.getRandomValues(new Uint8Array(16)));
+    rec.pin_iter = PIN_ITER;
+    rec.pin_hash = await derive(pin, rec.pin_salt, PIN_ITER);
+    return rec;
+  }
+
+  async function verify(user, pin) {
+    if (!user?.pin_hash || !pin) return false;
+    if (user.pin_salt) return user.pin_hash === await derive(pin, user.pin_salt, user.pin_iter || PIN_ITER);
+    // PINs from before the key derivation: plain SHA-256, upgraded on the next successful check
+    if (user.pin_hash !== await U.sha256(new Blob([`${user.id}:${pin}`]))) return false;
+    await DB.putUser(await setPin({ ...user }, pin));
+    await load();
+    return true;
+  }
+
+  /* Lockout per user (or "approve" for PIN approvals) on this device. */
+  function locks() {
+    try { return JSON.parse(localStorage.getItem(LOCK_KEY) || "{}"); } catch { return {}; }
+  }
+  const lockedUntil = (key) => locks()[key]?.until || 0;
+
+  function lockText(key) {
+    const until = lockedUntil(key);
+    if (until <= Date.now()) return "";
+    return `Zu viele Fehlversuche – gesperrt bis ${new Date(until).toLocaleTimeString("de-DE", { hour: "2-digit", minute: "2-digit" })}.`;
+  }
+
+  async function failed(key, name) {
+    const all = locks();
+    const e = all[key] || { fails: 0, until: 0 };
+    e.fails++;
+    const over = e.fails - MAX_FAILS;
+    if (over >= 0) {
+      e.until = Date.now() + LOCK_MIN * 60000 * 2 ** Math.min(over, 4);
+      await DB.addLog({ action: "pin_locked", target: name, fails: e.fails, until: new Date(e.until).toISOString() });
+    }
+    all[key] = e;
+    localStorage.setItem(LOCK_KEY, JSON.stringify(all));
+    return lockText(key) || `PIN falsch – noch ${MAX_FAILS - e.fails} Versuch(e) bis zur Sperre.`;
+  }
+
+  function cleared(key) {
+    const all = locks();
+    if (!all[key]) return;
+    delete all[key];
+    localStorage.setItem(LOCK_KEY, JSON.stringify(all));
+  }
+
+  /* → "" when the PIN is right, otherwise the message to show */
+  async function tryPin(user, pin) {
+    const locked = lockText(user.id);
+    if (locked) return locked;
+    if (await verify(user, pin)) { cleared(user.id); return ""; }
+    return failed(user.id, user.name);
+  }
+
+  async function checkPin(user, pin) {
+    return !!user && !(await tryPin(user, pin));
+  }
+
+  // any active admin's PIN, for approvals on someone else's device session → admin, or a message
+  async function findAdminByPin(pin) {
+    const locked = lockText("approve");
+    if (locked) return locked;
+    for (const u of list) {
+      if (u.role === "admin" && u.active !== false && await verify(u, pin)) {
+        cleared("approve");
+        return get(u.id);
+      }
+    }
+    return failed("approve", "Freigabe");
+  }
+
+  /* ---------- Wiederherstellungscode ---------- */
+  const normCode = (s) => String(s || "").toUpperCase().replace(/[^A-Z0-9]/g, "");
+
+  // one-time code, stored only as a derived hash; shown once
+  async function newRecoveryCode(rec) {
+    const raw = [...crypto.getRandomValues(new Uint8Array(12))].map(b => CODE_CHARS[b % CODE_CHARS.length]).join("");
+    rec.recovery_salt = toHex(crypto.getRandomValues(new Uint8Array(16)));
+    rec.recovery_hash = await derive(raw, rec.recovery_salt, PIN_ITER);
+    return raw.match(/.{4}/g).join("-");
+  }
+
+  function showRecoveryCode(user, code) {
+    return UI.message(`Wiederherstellungscode für ${user.name}:\n\n${code}\n\n` +
+      "Bitte aufschreiben und sicher verwahren. Er wird nur jetzt angezeigt und gilt für ein einziges Zurücksetzen der PIN.");
+  }
+
+  /* Sets a PIN on rec; the first PIN a user ever gets comes with a recovery code. → code or "" */
+  async function assignPin(rec, pin) {
+    await setPin(rec, pin);
+    return pin && !rec.recovery_hash ? newRecoveryCode(rec) : "";
+  }
+
+  async function recover(user) {
+    const locked = lockText(user.id);
+    if (locked) return locked;
+    if (!user.recovery_hash) return "Für diesen Benutzer gibt es keinen Wiederherstellungscode – bitte einen Admin fragen.";
+    const { result, value } = await UI.prompt(`Wiederherstellungscode für ${user.name}`);
+    if (result !== "ok" || !value) return "";
+    if (user.recovery_hash !== await derive(normCode(value), user.recovery_salt, PIN_ITER)) return failed(user.id, user.name);
+    cleared(user.id);
+    for (;;) {
+      const v = await UI.form(`Neue PIN – ${user.name}`, [
+        { name: "p1", label: "Neue PIN", type: "password", required: true, hint: "Mindestens 4 Zeichen." },
+        { name: "p2", label: "PIN wiederholen", type: "password", required: true }
+      ]);
+      if (!v) return "Code bleibt gültig, PIN unverändert.";
+      if (v.p1.length < 4 || v.p1 !== v.p2) { await UI.message("PIN zu kurz oder Wiederholung stimmt nicht."); continue; }
+      const rec = await setPin({ ...user }, v.p1);
+      // the used code is spent; hand out its successor right away
+      const code = await newRecoveryCode(rec);
+      await DB.putUser(rec);
+      await DB.addLog({ action: "pin_recovery", target: rec.name, user: rec.id, user_name: rec.name });
+      await load();
+      renderAdmin();
+      await showRecoveryCode(rec, code);
+      return "PIN neu gesetzt – bitte damit anmelden.";
+    }
+  }
+
+  /* ---------- Sitzung ---------- */
+  function saveSession() {
+    if (current) localStorage.setItem(SESSION_KEY, JSON.stringify({ id: current.id, last: lastActive }));
+    else localStorage.removeItem(SESSION_KEY);
+  }
+
+  function touch() {
+    const now = Date.now();
+    // the stored timestamp only needs minute precision
+    if (current && now - lastActive > 30000) { lastActive = now; saveSession(); }
+    else lastActive = now;
+  }
+
+  function expired(last) {
+    return idleMinutes > 0 && Date.now() - last > idleMinutes * 60000;
+  }
+
+  async function start(user) {
+    current = user;
+    lastActive = Date.now();
+    saveSession();
+    UI.setUser(current);
+    await DB.addLog({ action: "login", user: current.id, user_name: current.name });
+  }
+
+  async function logout(reason) {
+    if (!current) return;
+    await DB.addLog({ action: "logout", reason: reason || "", user: current.id, user_name: current.name });
+    current = null;
+    saveSession();
+    Camera.stop();
+    // pending dialogs resolve as cancelled, so half-done actions are dropped
+    U.$$("dialog[open]").forEach(d => d !== el.dlg && d.close());
+    UI.setUser(null);
+    await ensureLogin();
+  }
+
+  /* Resolves once somebody is signed in. A still-fresh session survives a reload. */
+  let pending = null;
+  function ensureLogin() {
+    if (current) return Promise.resolve(current);
+    if (!pending) pending = signIn().finally(() => { pending = null; });
+    return pending;
+  }
+
+  async function signIn() {
+    try {
+      const s = JSON.parse(localStorage.getItem(SESSION_KEY) || "null");
+      const u = s && get(s.id);
+      if (u && u.active !== false && !expired(s.last)) {
+        current = u;
+        lastActive = Date.now();
+        saveSession();
+        UI.setUser(current);
+        return current;
+      }
+    } catch { /* broken session entry: sign in again */ }
+    if (!list.some(u => u.active !== false)) await firstRun();
+    if (current) return current;
+    return showLogin();
+  }
+
+  /* No user on this device. With a sync server the users come from there: a first admin is only
+     offered once a completed pull still brings none, so a new tablet cannot make itself admin of an
+     installation it has not seen yet. Without one the device is set up on its own. */
+  async function firstRun() {
+    for (;;) {
+      const endpoint = String(await DB.getSetting("sync_endpoint", "") || "").trim();
+      if (!endpoint) {
+        const pick = await UI.choose("Auf diesem Gerät gibt es noch keinen Benutzer.", [
+          { value: "connect", label: "Mit Sync-Server verbinden" },
+          { value: "new", label: "Neu einrichten (ersten Admin anlegen)" }
+        ]);
+        if (pick === "connect") await connect();
+        else if (pick === "new" && await createFirst()) return;
+        continue;
+      }
+      UI.note("Benutzer werden vom Sync-Server geholt …");
+      const ok = await Sync.run();
+      await load();
+      if (list.some(u => u.active !== false)) return;
+      if (ok) {
+        if (await createFirst()) return;
+        continue;
+      }
+      const pick = await UI.choose(`Abgleich mit ${endpoint} nicht möglich: ${Sync.status().lastError || "offline"}.`, [
+        { value: "retry", label: "Erneut versuchen" },
+        { value: "connect", label: "Server-Einstellungen ändern" }
+      ]);
+      if (pick === "connect") await connect();
+    }
+  }
+
+  // endpoint and token before anybody is signed in; the token is what lets this device in
+  async function connect() {
+    const v = await UI.form("Mit Sync-Server verbinden", [
+      { name: "endpoint", label: "Sync-Server", value: await DB.getSetting("sync_endpoint", "") || "", hint: "Leer = ohne Sync-Server." },
+      {
+        name: "token", label: "Zugangsschlüssel", type: "password", value: await DB.getSetting("sync_token", "") || "",
+        hint: "Leer, wenn der Server ohne Schlüssel läuft – dann kann sich jedes Gerät im Netz verbinden."
+      }
+    ]);
+    if (!v) return;
+    await DB.setSetting("sync_endpoint", v.endpoint.trim());
+    await DB.setSetting("sync_token", v.token);
+  }
+
+  /* Resolves true once the admin is created and signed in, false when cancelled */
+  async function createFirst() {
+    for (;;) {
+      const v = await UI.form("Ersten Benutzer anlegen (Admin)", [
+        { name: "name", label: "Name", required: true },
+        { name: "pin", label: "PIN", type: "password", required: true, hint: "Mindestens 4 Zeichen. Admins melden sich mit PIN an." },
+        { name: "pin2", label: "PIN wiederholen", type: "password", required: true }
+      ]);
+      if (!v) return false;
+      if (v.pin.length < 4 || v.pin !== v.pin2) { await UI.message("PIN zu kurz oder Wiederholung stimmt nicht."); continue; }
+      const user = { id: U.uuid(), name: v.name, role: "admin", active: true, created_at: new Date().toISOString() };
+      const code = await assignPin(user, v.pin);
+      await DB.putUser(user);
+      await load();
+      renderAdmin();
+      await showRecoveryCode(user, code);
+      await start(user);
+      return true;
+    }
+  }
+
+  function showLogin() {
+    return new Promise((resolve) => {
+      let chosen = null;
+      const render = () => {
+        el.users.innerHTML = "";
+        for (const u of list.filter(x => x.active !== false)) {
+          const b = document.createElement("button");
+          b.type = "button";
+          b.className = "btn";
+          b.dataset.id = u.id;
+          b.textContent = `${u.name} · ${roleLabel(u.role)}`;
+          el.users.appendChild(b);
+        }
+        el.pinRow.classList.add("hidden");
+        el.hint.textContent = "Bitte Namen antippen.";
+      };
+      const finish = async (user) => {
+        refreshLogin = null;
+        el.dlg.removeEventListener("cancel", block);
+        el.users.onclick = el.btnPin.onclick = el.btnRecover.onclick = el.pin.onkeydown = null;
+        el.dlg.close();
+        await start(user);
+        resolve(user);
+      };
+      const submit = async () => {
+        el.btnPin.disabled = true;
+        const msg = await tryPin(chosen, el.pin.value);
+        el.btnPin.disabled = false;
+        if (!msg) return finish(get(chosen.id));
+        el.pin.value = "";
+        el.hint.textContent = msg;
+      };
+      const block = (e) => e.preventDefault();
+
+      el.users.onclick = (e) => {
+        const b = e.target.closest("button[data-id]");
+        if (!b) return;
+        chosen = get(b.dataset.id);
+        if (!chosen) return;
+        // Admins always need their PIN; others only if they set one
+        if (!chosen.pin_hash) return finish(chosen);
+        el.pinLabel.textContent = `PIN für ${chosen.name}`;
+        el.pin.value = "";
+        el.pinRow.classList.remove("hidden");
+        el.hint.textContent = lockText(chosen.id);
+        el.pin.focus();
+      };
+      el.btnPin.onclick = submit;
+      el.btnRecover.onclick = async () => {
+        if (!chosen) return;
+        el.hint.textContent = await recover(chosen);
+        chosen = get(chosen.id);
+      };
+      el.pin.onkeydown = (e) => { if (e.key === "Enter") { e.preventDefault(); submit(); } };
+      el.dlg.addEventListener("cancel", block);
+      refreshLogin = render;
+      render();
+      el.dlg.showModal();
+    });
+  }
+
+  async function initIdle() {
+    idleMinutes = Number(await DB.getSetting("idle_logout_min", 15)) || 0;
+    el.idle.value = idleMinutes;
+    for (const ev of ["pointerdown", "keydown", "touchstart", "wheel"]) {
+      document.addEventListener(ev, touch, { passive: true, capture: true });
+    }
+    setInterval(() => { if (current && expired(lastActive)) logout("Inaktivität"); }, 30000);
+    el.idle.addEventListener("change", async () => {
+      if (!App.isAdmin()) { el.idle.value = idleMinutes; return; }
+      idleMinutes = Math.max(0, Math.floor(Number(el.idle.value) || 0));
+      el.idle.value = idleMinutes;
+      await DB.setSetting("idle_logout_min", idleMinutes);
+    });
+  }
+
+  /* ---------- Verwaltung (Admin) ---------- */
+  async function edit(user) {
+    const v = await UI.form(user ? `Benutzer „${user.name}“` : "Neuer Benutzer", [
+      { name: "name", label: "Name", value: user?.name || "", required: true },
+      {
+        name: "role", label: "Rolle", type: "select", value: user?.role || "lager",
+        options: Object.entries(ROLES).map(([value, r]) => ({ value, label: r.label })),
+        hint: Object.values(ROLES).map(r => `${r.label}: ${r.perms.map(p => PERM_LABEL[p]).join(", ")}`).join("\n")
+      },
+      {
+        name: "pin", label: "PIN", type: "password",
+        hint: user?.pin_hash ? "Leer lassen = unverändert." : "Für Admins Pflicht, sonst optional."
+      },
+      { name: "active", label: "Aktiv", type: "checkbox", value: user ? user.active !== false : true }
+    ]);
+    if (!v || !v.name) return;
+    if (list.some(u => u !== user && u.name.toLowerCase() === v.name.toLowerCase())) {
+      await UI.message(`Einen Benutzer „${v.name}“ gibt es schon.`);
+      return;
+    }
+    if (v.pin && v.pin.length < 4) { await UI.message("Die PIN braucht mindestens 4 Zeichen."); return; }
+    if (v.role === "admin" && !v.pin && !user?.pin_hash) { await UI.message("Admins brauchen eine PIN."); return; }
+    const admins = list.filter(u => u.role === "admin" && u.active !== false && u !== user);
+    if (user?.role === "admin" && (v.role !== "admin" || !v.active) && !admins.length) {
+      await UI.message("Der letzte aktive Admin kann nicht herabgestuft oder deaktiviert werden.");
+      return;
+    }
+    const rec = {
+      ...(user || { id: U.uuid(), created_at: new Date().toISOString() }),
+      name: v.name, role: v.role, active: v.active
+    };
+    const code = v.pin ? await assignPin(rec, v.pin) : "";
+    await DB.putUser(rec);
+    await DB.addLog({ action: user ? "edit_user" : "create_user", target: rec.name, role: rec.role, user: App.userId() });
+    await load();
+    renderAdmin();
+    UI.setUser(current);
+    if (code) await showRecoveryCode(rec, code);
+    // deactivated oneself: back to the login screen
+    if (!current) await ensureLogin();
+  }
+
+  function renderAdmin() {
+    el.table.innerHTML = "";
+    for (const u of list) {
+      const tr = document.createElement("tr");
+      tr.dataset.id = u.id;
+      tr.innerHTML = `<td></td><td>${roleLabel(u.role)}</td><td>${u.pin_hash ? "gesetzt" : "–"}</td>
+        <td>${u.active !== false ? "ja" : "nein"}</td>
+        <td><button class="btn btn-ghost sm" data-act="edit">✎</button></td>`;
+      tr.children[0].textContent = u.name;
+      el.table.appendChild(tr);
+    }
+    // keep an open login screen current when users arrive by sync
+    if (refreshLogin) refreshLogin();
+  }
+
+  function initAdmin() {
+    document.getElementById("btnAddUser").addEventListener("click", () => App.isAdmin() && edit(null));
+    document.querySelector("#userTable").addEventListener("click", async (e) => {
+      const tr = e.target.closest("tr[data-id]");
+      if (!tr || !e.target.closest("button[data-act]") || !App.isAdmin()) return;
+      const user = get(tr.dataset.id);
+      if (user) await edit(user);
+    });
+    document.getElementById("btnLogout").addEventListener("click", () => logout());
+    renderAdmin();
+  }
+
+  return {
+    load, all, get, me, can, roles: () => Object.keys(ROLES), roleLabel, permLabel: (p) => PERM_LABEL[p] || p,
+    checkPin, findAdminByPin, lockText, assignPin, showRecoveryCode, ensureLogin, logout, initIdle, initAdmin, renderAdmin
+  };
+})();
+
+/* ---------- Admin ---------- */
+const Admin = (() => {
+  const btnSetPin = document.getElementById("btnSetPin");
+  const toggleHome = document.getElementById("toggleHomeLock");
+  const toggleOverride = document.getElementById("toggleOverride");
+  const syncEndpoint = document.getElementById("syncEndpoint");
+  const syncToken = document.getElementById("syncToken");
+  const syncStatus = document.getElementById("syncStatus");
+
+  async function loadToggles() {
+    toggleHome.checked = !!(await DB.getSetting("home_lock", false));
+    toggleOverride.checked = !!(await DB.getSetting("override", false));
+    syncEndpoint.value = await DB.getSetting("sync_endpoint", "") || "";
+    syncToken.value = await DB.getSetting("sync_token", "") || "";
+    await renderSyncStatus();
+  }
+
+  async function renderSyncStatus() {
+    const { pending, failed } = await DB.countOutbox();
+    const { lastError, lastRun, busy } = Sync.status();
+    const failedEntries = (await DB.listOutbox()).filter(e => e.status === "failed");
+    syncStatus.textContent = [
+      busy ? "Abgleich läuft…" : `Letzter Abgleich: ${lastRun ? new Date(lastRun).toLocaleString("de-DE") : "–"}`,
+      `Ausstehend: ${pending}, fehlgeschlagen: ${failed}`,
+      lastError ? `Fehler: ${lastError}` : "",
+      ...failedEntries.slice(0, 5).map(e => `⚠ ${e.store} ${e.key}: ${e.last_error}`)
+    ].filter(Boolean).join("\n");
+  }
+
+  syncEndpoint.addEventListener("change", async () => {
+    if (!App.isAdmin()) return;
+    await DB.setSetting("sync_endpoint", syncEndpoint.value.trim());
+    Sync.run();
+  });
+  syncToken.addEventListener("change", async () => {
+    if (!App.isAdmin()) return;
+    await DB.setSetting("sync_token", syncToken.value);
+  });
+  document.getElementById("btnSyncNow").addEventListener("click", async () => {
+    await Sync.run();
+    await renderSyncStatus();
+  });
+  document.getElementById("btnSyncRetry").addEventListener("click", async () => {
+    await Sync.retryFailed();
+    await renderSyncStatus();
+  });
+  toggleHome.addEventListener("change", async () => {
+    if (!App.isAdmin()) { toggleHome.checked = !toggleHome.checked; return; }
+    await DB.setSetting("home_lock", toggleHome.checked);
+  });
+  toggleOverride.addEventListener("change", async () => {
+    if (!App.isAdmin()) { toggleOverride.checked = !toggleOverride.checked; return; }
+    await DB.setSetting("override", toggleOverride.checked);
+  });
+
+  document.getElementById("btnBackupExport").addEventListener("click", () => Backup.exportZip());
+  const backupFile = document.getElementById("backupFile");
+  document.getElementById("btnBackupImport").addEventListener("click", () => backupFile.click());
+  backupFile.addEventListener("change", async () => {
+    const file = backupFile.files[0];
+    backupFile.value = "";
+    if (file) await Backup.importZip(file);
+  });
+
+  // own PIN of the signed-in user
+  btnSetPin.addEventListener("click", async () => {
+    const me = Users.me();
+    if (!me) return;
+    const v = await UI.form(`PIN ändern – ${me.name}`, [
+      ...(me.pin_hash ? [{ name: "old", label: "Bisherige PIN", type: "password", required: true }] : []),
+      { name: "p1", label: "Neue PIN", type: "password", hint: me.role === "admin" ? "Mindestens 4 Zeichen." : "Mindestens 4 Zeichen; leer = ohne PIN anmelden." },
+      { name: "p2", label: "PIN wiederholen", type: "password" }
+    ]);
+    if (!v) return;
+    if (me.pin_hash) {
+      const err = await Users.checkPin(me, v.old) ? "" : Users.lockText(me.id) || "Bisherige PIN falsch.";
+      if (err) { await UI.message(err); return; }
+    }
+    if (v.p1 !== v.p2) { await UI.message("PINs stimmen nicht überein."); return; }
+    if (v.p1 ? v.p1.length < 4 : me.role === "admin") { await UI.message("Die PIN braucht mindestens 4 Zeichen."); return; }
+    const rec = { ...me };
+    const code = await Users.assignPin(rec, v.p1);
+    await DB.putUser(rec);
+    await DB.addLog({ action: "edit_user", target: rec.name, role: rec.role, pin: v.p1 ? "geändert" : "entfernt" });
+    await Users.load();
+    Users.renderAdmin();
+    await UI.message(v.p1 ? "PIN gesetzt." : "PIN entfernt.");
+    if (code) await Users.showRecoveryCode(rec, code);
+  });
+
+  // PIN approval by an admin who is not the signed-in user → that admin, or the reason it failed
+  async function checkPin(pin) {
+    return Users.findAdminByPin(pin);
+  }
+
+  return { loadToggles, renderSyncStatus, checkPin };
+})();
+
+/* ---------- Sicherung (ZIP mit JSON je Store und den Bilddateien) ---------- */
+const Backup = (() => {
+  const FORMAT = 1;
+  const STORE_LABEL = {
+    inbound_docs: "Lieferscheine", inbound_images: "Bilder", dnd_items: "Lagerpositionen",
+    cart: "Korb", logs: "Protokoll", settings: "Einstellungen", purchase_orders: "Bestellungen",
+    journal: "Bewegungsjournal", zones: "Zonen", bins: "Lagerplätze", home_bins: "Heimatplätze", articles: "Artikel",
+    users: "Benutzer", suppliers: "Lieferanten", doc_states: "Status-Ablauf",
+    drawings: "Zeichnungen"
+  };
+  const label = (store) => STORE_LABEL[store] || store;
+  const EXT = { "image/jpeg": "jpg", "image/png": "png", "image/webp": "webp", "application/pdf": "pdf" };
+
+  const safeName = (s) => String(s).replace(/[^\w.-]+/g, "_");
+
+  /* Blob fields become { $file, type } references to a separate archive entry */
+  async function exportZip() {
+    if (!App.isAdmin()) { await UI.message("Nur für Admins."); return; }
+    const entries = [];
+    const counts = {};
+    for (const store of await DB.backupStores()) {
+      const records = (await DB.dumpStore(store))
+        .filter(rec => store !== "settings" || !DB.DEVICE_SETTINGS.includes(rec.key));
+      const out = [];
+      for (const rec of records) {
+        const copy = { ...rec };
+        for (const [field, val] of Object.entries(rec)) {
+          if (!(val instanceof Blob)) continue;
+          const key = rec.id ?? rec.key;
+          const file = `files/${store}/${safeName(key)}-${field}.${EXT[val.type] || "bin"}`;
+          entries.push({ name: file, data: new Uint8Array(await val.arrayBuffer()) });
+          copy[field] = { $file: file, type: val.type };
+        }
+        out.push(copy);
+      }
+      counts[store] = out.length;
+      entries.push({ name: `data/${store}.json`, data: JSON.stringify(out) });
+    }
+    const manifest = {
+      app: "lagerverwaltung", format: FORMAT, created_at: new Date().toISOString(),
+      device: Sync.deviceId(), user: App.userId(), counts
+    };
+    entries.unshift({ name: "manifest.json", data: JSON.stringify(manifest, null, 2) });
+    const stamp = manifest.created_at.slice(0, 16).replace(/[T:]/g, "-");
+    U.download(`lagerverwaltung-sicherung-${stamp}.zip`, "application/zip", Zip.create(entries));
+    await DB.addLog({ action: "backup_export", user: App.userId() });
+  }
+
+  /* Reads and checks the archive; throws with a readable message on anything off */
+  async function parse(file) {
+    const files = await Zip.read(file);
+    const dec = new TextDecoder();
+    const json = (name) => {
+      if (!files.has(name)) throw new Error(`${name} fehlt im Archiv.`);
+      try { return JSON.parse(dec.decode(files.get(name))); }
+      catch { throw new Error(`${name} ist kein gültiges JSON.`); }
+    };
+    const manifest = json("manifest.json");
+    if (manifest.app !== "lagerverwaltung") throw new Error("Keine Sicherung der Lagerverwaltung.");
+    if (manifest.format > FORMAT) throw new Error("Die Sicherung stammt aus einer neueren App-Version.");
+
+    const known = await DB.backupStores();
+    const data = {};
+    const skipped = [];
+    for (const store of Object.keys(manifest.counts || {})) {
+      if (!known.includes(store)) { skipped.push(store); continue; }
+      const records = json(`data/${store}.json`);
+      if (!Array.isArray(records)) throw new Error(`data/${store}.json: Liste erwartet.`);
+      const keyField = store === "settings" ? "key" : "id";
+      for (const rec of records) {
+        if (!rec || typeof rec !== "object" || rec[keyField] === undefined) throw new Error(`${label(store)}: Datensatz ohne ${keyField}.`);
+        for (const [field, val] of Object.entries(rec)) {
+          if (!val || typeof val !== "object" || !val.$file) continue;
+          if (!files.has(val.$file)) throw new Error(`${label(store)}: Datei ${val.$file} fehlt.`);
+          rec[field] = new Blob([files.get(val.$file)], { type: val.type || "" });
+        }
+        if (store === "inbound_images" || store === "drawings") {
+          const what = store === "drawings" ? "Zeichnung" : "Bild";
+          if (!(rec.blob instanceof Blob)) throw new Error(`${what} ${rec.id} ohne Datei.`);
+          if (rec.sha256 && (await U.sha256(rec.blob)) !== rec.sha256) throw new Error(`${what} ${rec.id}: Prüfsumme stimmt nicht.`);
+        }
+      }
+      data[store] = records;
+    }
+    return { manifest, data, skipped };
+  }
+
+  async function importZip(file) {
+    if (!App.isAdmin()) { await UI.message("Nur für Admins."); return; }
+    let parsed;
+    try { parsed = await parse(file); }
+    catch (err) { await UI.message(`Sicherung ungültig: ${err.message}`); return; }
+    const { manifest, data, skipped } = parsed;
+
+    const lines = [];
+    for (const store of Object.keys(data)) {
+      lines.push(`${label(store)}: ${data[store].length} (vorhanden: ${await DB.countStore(store)})`);
+    }
+    if (skipped.length) lines.push(`Übersprungen (unbekannt): ${skipped.join(", ")}`);
+    const v = await UI.form(`Sicherung vom ${new Date(manifest.created_at).toLocaleString("de-DE")}`, [
+      {
+        name: "mode", label: "Einspielen als", type: "select", hint: lines.join("\n"),
+        options: [
+          { value: "merge", label: "Zusammenführen (neuerer Stand gewinnt)" },
+          { value: "replace", label: "Ersetzen (alle Daten auf diesem Gerät werden überschrieben)" }
+        ]
+      }
+    ]);
+    if (!v) return;
+    if (v.mode === "replace" &&
+      (await UI.confirm("Alle vorhandenen Daten auf diesem Gerät werden durch die Sicherung ersetzt. Fortfahren?")) !== "yes") return;
+
+    const stats = await DB.restore(data, v.mode);
+    await DB.addLog({ action: "backup_import", mode: v.mode, user: App.userId() });
+    await Users.load();
+    Users.renderAdmin();
+    UI.setUser(Users.me());
+    await Suppliers.load();
+    Suppliers.render();
+    await States.load();
+    await States.migrate();
+    States.renderAdmin();
+    States.renderFilter();
+    await UI.refreshLists();
+    await Zones.load();
+    Zones.renderAdmin();
+    await Drawings.load();
+    await Articles.load();
+    Articles.render();
+    await Bins.load();
+    await UI.renderBoard();
+    await Bins.render();
+    await Cart.render();
+    await Orders.render();
+    await Admin.loadToggles();
+    await UI.message(v.mode === "merge"
+      ? `Eingespielt: ${stats.written} Datensätze übernommen, ${stats.kept} lokal neuer oder gleich.`
+      : `Eingespielt: ${stats.written} Datensätze.`);
+    // a replaced user list may no longer contain the signed-in person
+    if (!Users.me()) await Users.ensureLogin();
+  }
+
+  return { exportZip, importZip };
+})();
+
+/* ---------- Cart & Exports ---------- */
+const Cart = (() => {
+  async function add(name, qty, note, supplier = "", article_id = null) {
+    const items = await DB.getCartAll();
+    const same = items.find(i =>
+      (article_id ? i.article_id === article_id : !i.article_id && i.name === name) &&
+      (i.note || "") === (note || "") && (i.supplier || "") === supplier);
+    if (same) {
+      same.qty += qty;
+      await DB.putCart(same);
+    } else {
+      await DB.putCart({ id: U.uuid(), name, qty, note, supplier, article_id });
+    }
+  }
+
+  /* Nachbestellvorschlag: shortfalls below the minimum stock, ticked ones go into the cart */
+  async function suggestReorder() {
+    const list = await Articles.shortfalls();
+    if (!list.length) { await UI.message("Alle Artikel mit Mindestbestand sind ausreichend vorhanden oder bestellt."); return; }
+    const v = await UI.form("Nachbestellvorschlag", list.map((s, i) => ({
+      name: `r${i}`, type: "checkbox", value: true,
+      label: `${s.qty} ${s.article.unit} ${Articles.label(s.article)} – Bestand ${s.have}, Min. ${s.article.min_qty}` +
+        `${s.coming ? `, unterwegs ${s.coming}` : ""}${s.article.default_supplier ? ` · ${s.article.default_supplier}` : ""}`
+    })));
+    if (!v) return;
+    let n = 0;
+    for (const [i, s] of list.entries()) {
+      if (!v[`r${i}`]) continue;
+      await add(Articles.label(s.article), s.qty, `Nachbestellung: Bestand ${s.have} / Min. ${s.article.min_qty}`,
+        s.article.default_supplier || "", s.article.id);
+      n++;
+    }
+    await render();
+    if (n) await UI.message(`${n} Position(en) in den Korb gelegt.`);
+  }
+
+  /* Add row above the table: article from the catalog (type-ahead), supplier defaults to the article's */
+  async function addFromInput() {
+    const input = document.getElementById("cartArticle");
+    const qtyInput = document.getElementById("cartQty");
+    const text = U.sanitize(input.value).trim();
+    if (!text) return;
+    const article = Articles.find(text);
+    if (!article && (await UI.confirm(`„${text}“ ist nicht im Artikelstamm. Trotzdem als Freitext übernehmen?`)) !== "yes") return;
+    const qty = Math.max(1, parseInt(qtyInput.value || "1", 10) || 1);
+    if (article) await add(Articles.label(article), qty, "", article.default_supplier || "", article.id);
+    else await add(text, qty, "");
+    input.value = "";
+    qtyInput.value = "1";
+    await render();
+    input.focus();
+  }
+
+  async function render() {
+    const items = await DB.getCartAll();
+    const tb = document.querySelector("#cartTable tbody");
+    tb.innerHTML = "";
+    for (const it of items) {
+      const tr = document.createElement("tr");
+      tr.innerHTML = `
+        <td contenteditable="true" data-id="${it.id}" data-field="qty">${it.qty}</td>
+        <td contenteditable="true" data-id="${it.id}" data-field="name">${Articles.nameOf(it)}</td>
+        <td contenteditable="true" data-id="${it.id}" data-field="supplier">${it.supplier || ""}</td>
+        <td contenteditable="true" data-id="${it.id}" data-field="note">${it.note || ""}</td>
+        <td><button class="btn btn-ghost sm" data-act="del" data-id="${it.id}">🗑</button></td>`;
+      tb.appendChild(tr);
+    }
+  }
+
+  async function onTableClick(e) {
+    const btn = e.target.closest("button");
+    if (!btn) return;
+    if (btn.dataset.act === "del") {
+      await DB.delCart(btn.dataset.id);
+      await render();
+    }
+  }
+  async function onTableInput(e) {
+    const td = e.target.closest("[contenteditable]");
+    if (!td) return;
+    const id = td.dataset.id;
+    const field = td.dataset.field;
+    const items = await DB.getCartAll();
+    const it = items.find(x => x.id === id);
+    if (!it) return;
+    const val = td.textContent.trim();
+    if (field === "qty") it.qty = Math.max(0, parseInt(val || "0", 10) || 0);
+    else it[field] = U.sanitize(val);
+    // typed name: link to the catalog when it matches an article, otherwise free text
+    if (field === "name") it.article_id = Articles.find(it.name)?.id || null;
+    await DB.putCart(it);
+  }
+
+  async function exportCSV() {
+    const items = await DB.getCartAll();
+    const rows = [["Menge", "Bezeichnung", "Lieferant", "Notiz"], ...items.map(i => [i.qty, Articles.nameOf(i), i.supplier || "", i.note || ""])];
+    const csv = "\ufeff" + rows.map(r => r.map(U.csvEscape).join(";")).join("\n"); // UTF-8 BOM + ;
+    U.download(`korb-${U.todayStr()}.csv`, "text/csv;charset=utf-8", csv);
+  }
+
+  async function exportPDF() {
+    const items = await DB.getCartAll();
+    const w = window.open("", "_blank", "noopener,noreferrer");
+    if (!w) return;
+    w.document.write(`
+      <html><head><meta charset="utf-8"><title>Korb ${U.todayStr()}</title>
+      <style>
+        body{font-family:system-ui,-apple-system,Segoe UI,Roboto,Ubuntu,Arial,sans-serif;margin:20px}
+        h1{font-size:18px}
+        table{width:100%;border-collapse:collapse}
+        th,td{border:1px solid #ccc;padding:8px;text-align:left}
+        th{background:#f2f2f2}
+      </style></head><body>
+      <h1>Einkaufsliste / Korb – ${U.todayStr()}</h1>
+      <table><thead><tr><th>Menge</th><th>Bezeichnung</th><th>Lieferant</th><th>Notiz</th></tr></thead><tbody>
+      ${items.map(i => `<tr><td>${i.qty}</td><td>${Articles.nameOf(i)}</td><td>${i.supplier || ""}</td><td>${i.note || ""}</td></tr>`).join("")}
+      </tbody></table>
+      <script>window.onload=()=>window.print()</script>
+      </body></html>`);
+    w.document.close();
+  }
+
+  return { add, addFromInput, suggestReorder, render, exportCSV, exportPDF, onTableClick, onTableInput };
+})();
+
+/* ---------- Bestellungen (aus dem Korb, je Lieferant eine Bestellung) ---------- */
+const Orders = (() => {
+  const STATUS_LABEL = { open: "offen", partial: "teilgeliefert", closed: "abgeschlossen" };
+  const STATUS_BADGE = { open: "badge-info", partial: "badge-warn", closed: "badge-ok" };
+
+  const outstanding = (line) => Math.max(0, line.qty_ordered - line.qty_received);
+  const openQty = (po) => po.lines.reduce((n, l) => n + outstanding(l), 0);
+  const sameSupplier = (a, b) => Suppliers.same(a, b);
+
+  function statusOf(po) {
+    if (po.lines.every(l => l.qty_received >= l.qty_ordered)) return "closed";
+    return po.lines.some(l => l.qty_received > 0) ? "partial" : "open";
+  }
+
+  /* B-2024-7F3A-0001: the device part keeps two tablets from handing out the same number while
+     offline; the count continues from this device's synced orders and restarts every year */
+  async function nextNumber() {
+    const prefix = `B-${new Date().getFullYear()}-${Sync.deviceId().replace(/-/g, "").slice(0, 4).toUpperCase()}-`;
+    const used = (await DB.listOrders()).filter(po => po.po_no.startsWith(prefix))
+      .map(po => parseInt(po.po_no.slice(prefix.length), 10) || 0);
+    return `${prefix}${String(Math.max(0, ...used) + 1).padStart(4, "0")}`;
+  }
+
+  async function openOrdersFor(supplier) {
+    const all = await DB.listOrders();
+    return all.filter(po => po.status !== "closed" && sameSupplier(po.supplier, supplier));
+  }
+
+  /* Turns the cart into one order per supplier; the ordered lines leave the cart */
+  async function createFromCart() {
+    const items = (await DB.getCartAll()).filter(i => i.qty > 0);
+    if (!items.length) { await UI.message("Der Korb ist leer."); return; }
+    const missing = items.filter(i => !String(i.supplier || "").trim());
+    if (missing.length) {
+      await UI.message(`Bitte für alle Positionen einen Lieferanten eintragen (fehlt bei: ${missing.map(i => i.name).join(", ")}).`);
+      return;
+    }
+    const groups = new Map();
+    for (const it of items) {
+      const key = it.supplier.trim().toLowerCase();
+      if (!groups.has(key)) groups.set(key, { supplier: it.supplier.trim(), items: [] });
+      groups.get(key).items.push(it);
+    }
+    const names = [...groups.values()].map(g => g.supplier).join(", ");
+    if ((await UI.confirm(`${groups.size} Bestellung(en) anlegen für: ${names}?`)) !== "yes") return;
+
+    const created = [];
+    for (const { supplier, items: lines } of groups.values()) {
+      const po = {
+        id: U.uuid(),
+        po_no: await nextNumber(),
+        supplier,
+        status: "open",
+        lines: lines.map(i => ({
+          id: U.uuid(), name: Articles.nameOf(i), article_id: i.article_id || null,
+          note: i.note || "", qty_ordered: i.qty, qty_received: 0
+        })),
+        receipts: [],
+        created_at: new Date().toISOString(),
+        created_by: App.userId()
+      };
+      await DB.putOrder(po);
+      await DB.addLog({ action: "create_order", order_id: po.id, user: App.userId() });
+      for (const i of lines) await DB.delCart(i.id);
+      created.push(po.po_no);
+    }
+    await Cart.render();
+    await render();
+    await UI.message(`Angelegt: ${created.join(", ")}`);
+  }
+
+  /* Books received quantities against an order, optionally linked to a delivery note */
+  async function bookReceipt(orderId, doc = null) {
+    const po = await DB.getOrder(orderId);
+    if (!po) return false;
+    if (po.status === "closed") { await UI.message(`Bestellung ${po.po_no} ist bereits abgeschlossen.`); return false; }
+    const open = po.lines.filter(l => outstanding(l) > 0);
+    const fields = [];
+    if (!doc) {
+      const docs = await DB.listInboundBySupplier(po.supplier);
+      fields.push({
+        name: "inbound_id", label: "Lieferschein", type: "select",
+        options: [{ value: "", label: "— ohne Lieferschein —" }, ...docs.map(d => ({ value: d.id, label: `${d.ls_nr} · ${d.date_doc}` }))]
+      });
+    }
+    for (const l of open) {
+      fields.push({
+        name: l.id, type: "number", min: 0, step: 1, value: outstanding(l),
+        label: `${l.name}${l.note ? ` (${l.note})` : ""} – offen ${outstanding(l)} von ${l.qty_ordered}`
+      });
+    }
+    const title = `Wareneingang buchen: ${po.po_no} · ${po.supplier}${doc ? ` · LS ${doc.ls_nr}` : ""}`;
+    const v = await UI.form(title, fields);
+    if (!v) return false;
+
+    const booked = open
+      .map(l => ({ line: l, qty: Math.max(0, Math.floor(v[l.id] || 0)) }))
+      .filter(b => b.qty > 0);
+    if (!booked.length) { await UI.message("Keine Mengen eingetragen."); return false; }
+    const linked = doc || (v.inbound_id ? await DB.getInboundById(v.inbound_id) : null);
+    await applyReceipt(po, booked, linked);
+    await render();
+    return true;
+  }
+
+  // booked: [{ line, qty }]; links the delivery note both ways. journalId: the board booking it belongs to
+  async function applyReceipt(po, booked, linked, journalId = null) {
+    for (const b of booked) b.line.qty_received += b.qty;
+    po.receipts.push({
+      ts: new Date().toISOString(),
+      user: App.userId(),
+      inbound_id: linked ? linked.id : null,
+      ls_nr: linked ? linked.ls_nr : null,
+      journal_id: journalId,
+      lines: booked.map(b => ({ line_id: b.line.id, qty: b.qty }))
+    });
+    po.status = statusOf(po);
+    if (po.status === "closed") po.closed_at = new Date().toISOString();
+    await DB.putOrder(po);
+    await DB.addLog({ action: "order_receipt", order_id: po.id, inbound_id: linked ? linked.id : null, user: App.userId() });
+
+    if (linked && !(linked.order_ids || []).includes(po.id)) {
+      linked.order_ids = [...(linked.order_ids || []), po.id];
+      linked.updated_at = new Date().toISOString();
+      linked.updated_by = App.userId();
+      await DB.putInboundDoc(linked);
+    }
+  }
+
+  /* Delivery-note positions with an order number: count them as received on that order.
+     lines: [{ order_no, article_id, name, qty }]. Returns the positions that matched no order line. */
+  async function receiveLines(doc, lines, journalId = null) {
+    const orders = await DB.listOrders();
+    const unmatched = [];
+    const byOrder = new Map();
+    for (const l of lines) {
+      const po = orders.find(o => o.po_no.toLowerCase() === String(l.order_no || "").trim().toLowerCase() && o.status !== "closed");
+      const line = po && po.lines.find(pl => (l.article_id ? pl.article_id === l.article_id : pl.name === l.name) && outstanding(pl) > 0);
+      if (!line) { unmatched.push(l); continue; }
+      if (!byOrder.has(po.id)) byOrder.set(po.id, { po, booked: [] });
+      byOrder.get(po.id).booked.push({ line, qty: l.qty });
+    }
+    for (const { po, booked } of byOrder.values()) {
+      await applyReceipt(po, booked, doc, journalId);
+    }
+    if (byOrder.size) await render();
+    return unmatched;
+  }
+
+  /* Takes back the receipts a board booking made (Lines.unbook). An order closed by hand stays closed. */
+  async function revertReceipts(journalId) {
+    let changed = false;
+    for (const po of await DB.listOrders()) {
+      const receipts = po.receipts.filter(r => r.journal_id === journalId);
+      if (!receipts.length) continue;
+      const closedByHand = po.status === "closed" && statusOf(po) !== "closed";
+      for (const r of receipts) {
+        for (const rl of r.lines) {
+          const line = po.lines.find(l => l.id === rl.line_id);
+          if (line) line.qty_received = Math.max(0, line.qty_received - rl.qty);
+        }
+      }
+      po.receipts = po.receipts.filter(r => r.journal_id !== journalId);
+      if (!closedByHand) {
+        po.status = statusOf(po);
+        if (po.status !== "closed") po.closed_at = null;
+      }
+      await DB.putOrder(po);
+      await DB.addLog({ action: "order_receipt_undo", order_id: po.id, inbound_id: receipts[0].inbound_id, user: App.userId() });
+      changed = true;
+    }
+    if (changed) await render();
+  }
+
+  async function close(orderId) {
+    const po = await DB.getOrder(orderId);
+    if (!po || po.status === "closed") return;
+    const rest = openQty(po);
+    if ((await UI.confirm(`Bestellung ${po.po_no} abschließen? Noch offen: ${rest} – die Restmenge wird nicht mehr erwartet.`)) !== "yes") return;
+    po.status = "closed";
+    po.closed_at = new Date().toISOString();
+    await DB.putOrder(po);
+    await DB.addLog({ action: "close_order", order_id: po.id, user: App.userId() });
+    await render();
+  }
+
+  async function details(orderId) {
+    const po = await DB.getOrder(orderId);
+    if (!po) return;
+    const lines = po.lines.map(l => `${l.qty_received}/${l.qty_ordered}  ${l.name}${l.note ? ` (${l.note})` : ""}`);
+    const receipts = po.receipts.map(r =>
+      `${r.ts.slice(0, 10)}  ${r.ls_nr ? `LS ${r.ls_nr}` : "ohne LS"}: ${r.lines.reduce((n, x) => n + x.qty, 0)} Stk.`);
+    await UI.message([
+      `${po.po_no} · ${po.supplier} · ${STATUS_LABEL[po.status]}`,
+      `Angelegt: ${po.created_at.slice(0, 10)}`,
+      "",
+      "Geliefert/Bestellt:",
+      ...lines,
+      ...(receipts.length ? ["", "Wareneingänge:", ...receipts] : [])
+    ].join("\n"));
+  }
+
+  async function render() {
+    const tb = document.querySelector("#ordersTable tbody");
+    const showAll = document.getElementById("ordersFilter").value === "all";
+    const list = (await DB.listOrders()).filter(po => showAll || po.status !== "closed");
+    tb.innerHTML = "";
+    if (!list.length) {
+      tb.innerHTML = `<tr><td colspan="6" class="note">${showAll ? "Keine Bestellungen." : "Keine offenen Bestellungen."}</td></tr>`;
+      return;
+    }
+    for (const po of list) {
+      const tr = document.createElement("tr");
+      tr.innerHTML = `
+        <td>${po.po_no}</td>
+        <td>${po.supplier}</td>
+        <td>${po.created_at.slice(0, 10)}</td>
+        <td><span class="badge ${STATUS_BADGE[po.status]}">${STATUS_LABEL[po.status]}</span></td>
+        <td>${openQty(po)}</td>
+        <td>
+          <button class="btn btn-ghost sm" data-act="details" data-id="${po.id}">Details</button>
+          ${po.status === "closed" ? "" : `
+          <button class="btn btn-ghost sm" data-act="book" data-id="${po.id}">Eingang buchen</button>
+          <button class="btn btn-ghost sm" data-act="close" data-id="${po.id}">Abschließen</button>`}
+        </td>`;
+      tb.appendChild(tr);
+    }
+  }
+
+  async function onTableClick(e) {
+    const btn = e.target.closest("button[data-act]");
+    if (!btn) return;
+    const id = btn.dataset.id;
+    if (btn.dataset.act === "details") await details(id);
+    if (btn.dataset.act === "book") await bookReceipt(id);
+    if (btn.dataset.act === "close") await close(id);
+  }
+
+  /* Offers the open orders of the supplier right after a delivery note was captured */
+  async function suggestFor(doc, container) {
+    const list = await openOrdersFor(doc.supplier);
+    if (!list.length) return;
+    const box = document.createElement("div");
+    box.className = "note note-info";
+    box.innerHTML = `<strong>Offene Bestellungen bei ${doc.supplier}:</strong>`;
+    const ul = document.createElement("ul");
+    ul.className = "list";
+    for (const po of list) {
+      const li = document.createElement("li");
+      li.className = "list-item";
+      li.innerHTML = `
+        <span>${po.po_no} · ${po.created_at.slice(0, 10)} · ${STATUS_LABEL[po.status]} · offen ${openQty(po)}</span>
+        <button class="btn sm">Wareneingang buchen</button>`;
+      U.$("button", li).onclick = async () => {
+        if (await bookReceipt(po.id, doc)) li.remove();
+        if (!ul.children.length) box.remove();
+      };
+      ul.appendChild(li);
+    }
+    box.appendChild(ul);
+    container.prepend(box);
+  }
+
+  return { createFromCart, bookReceipt, receiveLines, revertReceipts, openOrdersFor, render, onTableClick, suggestFor, STATUS_LABEL };
+})();
+
+/* ---------- PDF (Lieferschein-Seiten als Datei, ohne Druckdialog) ---------- */
+const Pdf = (() => {
+  const A4 = [595.28, 841.89]; // pt
+  const MARGIN = 28;
+  const HEADER = 22;
+  const enc = new TextEncoder();
+
+  // Helvetica with WinAnsiEncoding: Latin-1 plus the usual typographic extras
+  const WIN_ANSI = { "€": 0x80, "‚": 0x82, "„": 0x84, "…": 0x85, "‘": 0x91, "’": 0x92, "“": 0x93, "”": 0x94, "•": 0x95, "–": 0x96, "—": 0x97 };
+  function pdfString(str) {
+    let out = "(";
+    for (const ch of String(str)) {
+      let c = WIN_ANSI[ch] ?? ch.codePointAt(0);
+      if (c > 0xff || (c >= 0x80 && c < 0xa0 && !Object.values(WIN_ANSI).includes(c))) c = 0x3f; // "?"
+      if (c === 0x28 || c === 0x29 || c === 0x5c) out += "\\" + String.fromCharCode(c);
+      else if (c < 0x20 || c > 0x7e) out += "\\" + c.toString(8).padStart(3, "0");
+      else out += String.fromCharCode(c);
+    }
+    return out + ")";
+  }
+
+  // width/height/components from the JPEG SOF marker
+  function jpegInfo(bytes) {
+    let i = 2;
+    while (i + 9 < bytes.length) {
+      if (bytes[i] !== 0xff) { i++; continue; }
+      const m = bytes[i + 1];
+      if (m >= 0xc0 && m <= 0xcf && m !== 0xc4 && m !== 0xc8 && m !== 0xcc) {
+        return { h: (bytes[i + 5] << 8) | bytes[i + 6], w: (bytes[i + 7] << 8) | bytes[i + 8], comps: bytes[i + 9] };
+      }
+      if (m === 0xd8 || m === 0x01 || (m >= 0xd0 && m <= 0xd7)) { i += 2; continue; }
+      i += 2 + ((bytes[i + 2] << 8) | bytes[i + 3]);
+    }
+    return null;
+  }
+
+  async function toJpeg(blob) {
+    let bytes = new Uint8Array(await blob.arrayBuffer());
+    let info = bytes[0] === 0xff && bytes[1] === 0xd8 ? jpegInfo(bytes) : null;
+    if (!info) {
+      // PNG/WebP etc.: re-encode via canvas
+      const bmp = await createImageBitmap(blob);
+      const c = document.createElement("canvas");
+      c.width = bmp.width; c.height = bmp.height;
+      c.getContext("2d").drawImage(bmp, 0, 0);
+      const jpg = await new Promise((res) => c.toBlob(b => res(b), "image/jpeg", 0.9));
+      bytes = new Uint8Array(await jpg.arrayBuffer());
+      info = jpegInfo(bytes);
+    }
+    return { bytes, ...info };
+  }
+
+  // breaks a line at spaces so it fits maxChars (Helvetica, rough average width)
+  function wrap(line, maxChars) {
+    const out = [];
+    let cur = "";
+    for (const word of String(line).split(" ")) {
+      if (cur && (cur + " " + word).length > maxChars) { out.push(cur); cur = word; }
+      else cur = cur ? `${cur} ${word}` : word;
+    }
+    out.push(cur);
+    return out;
+  }
+
+  /* pages: [{ jpeg: {bytes,w,h,comps}, lines: [left, right] }] → Blob (application/pdf).
+     A page with text: [...] instead of jpeg is an A4 text page (11 pt, wrapped). */
+  function build(pages, title = "") {
+    const chunks = [];
+    const offsets = [];
+    let size = 0;
+    const push = (data) => {
+      const b = typeof data === "string" ? enc.encode(data) : data;
+      chunks.push(b); size += b.length;
+    };
+    const obj = (n, body, stream) => {
+      offsets[n] = size;
+      push(`${n} 0 obj\n${body}\n`);
+      if (stream) { push("stream\n"); push(stream); push("\nendstream\n"); }
+      push("endobj\n");
+    };
+
+    // text longer than one A4 page goes on over as many pages as it needs, each with the same header
+    const rows = Math.floor((A4[1] - 2 * MARGIN - HEADER - 11) / 15) + 1;
+    pages = pages.flatMap(p => {
+      if (p.jpeg) return [p];
+      const body = (p.text || []).flatMap(l => wrap(l, Math.floor((A4[0] - 2 * MARGIN) / 5.6)));
+      const out = [];
+      for (let i = 0; i < body.length || !out.length; i += rows) out.push({ lines: p.lines, body: body.slice(i, i + rows) });
+      return out;
+    });
+
+    push("%PDF-1.4\n%\xe2\xe3\xcf\xd3\n");
+    // page, content stream and (for photos) the image: 3 objects per photo page, 2 per text page
+    let next = 4;
+    const nums = pages.map(p => { const n = next; next += p.jpeg ? 3 : 2; return n; });
+    const kids = nums.map(n => `${n} 0 R`).join(" ");
+    const info = next;
+    obj(1, "<< /Type /Catalog /Pages 2 0 R >>");
+    obj(2, `<< /Type /Pages /Kids [${kids}] /Count ${pages.length} >>`);
+    obj(3, "<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>");
+
+    pages.forEach((p, i) => {
+      const n = nums[i];
+      if (!p.jpeg) {
+        const [pw, ph] = A4;
+        const content = [
+          `BT /F1 9 Tf ${MARGIN} ${(ph - MARGIN - 9).toFixed(2)} Td ${pdfString((p.lines || [])[0] || "")} Tj ET`,
+          `BT /F1 11 Tf 15 TL ${MARGIN} ${(ph - MARGIN - HEADER - 11).toFixed(2)} Td`,
+          ...p.body.map(l => `${pdfString(l)} Tj T*`),
+          "ET"
+        ].join("\n");
+        obj(n, `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${pw} ${ph}] /Resources << /Font << /F1 3 0 R >> >> /Contents ${n + 1} 0 R >>`);
+        obj(n + 1, `<< /Length ${enc.encode(content).length} >>`, enc.encode(content));
+        return;
+      }
+      const { w, h, comps, bytes } = p.jpeg;
+      const [pw, ph] = w > h ? [A4[1], A4[0]] : A4;
+      const boxW = pw - 2 * MARGIN, boxH = ph - 2 * MARGIN - HEADER;
+      const s = Math.min(boxW / w, boxH / h);
+      const iw = w * s, ih = h * s;
+      const ix = MARGIN + (boxW - iw) / 2, iy = MARGIN + (boxH - ih) / 2;
+      const [left = "", right = ""] = p.lines || [];
+      const rightX = pw - MARGIN - right.length * 4.6; // Helvetica 9 pt ≈ 4.6 pt per char
+      const content = [
+        `BT /F1 9 Tf ${MARGIN} ${(ph - MARGIN - 9).toFixed(2)} Td ${pdfString(left)} Tj ET`,
+        right ? `BT /F1 9 Tf ${rightX.toFixed(2)} ${(ph - MARGIN - 9).toFixed(2)} Td ${pdfString(right)} Tj ET` : "",
+        `q ${iw.toFixed(2)} 0 0 ${ih.toFixed(2)} ${ix.toFixed(2)} ${iy.toFixed(2)} cm /Im${i} Do Q`
+      ].filter(Boolean).join("\n");
+      const cs = comps === 1 ? "/DeviceGray" : comps === 4 ? "/DeviceCMYK /Decode [1 0 1 0 1 0 1 0]" : "/DeviceRGB";
+      obj(n, `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${pw} ${ph}] ` +
+        `/Resources << /Font << /F1 3 0 R >> /XObject << /Im${i} ${n + 2} 0 R >> >> /Contents ${n + 1} 0 R >>`);
+      obj(n + 1, `<< /Length ${enc.encode(content).length} >>`, enc.encode(content));
+      obj(n + 2, `<< /Type /XObject /Subtype /Image /Width ${w} /Height ${h} /ColorSpace ${cs} ` +
+        `/BitsPerComponent 8 /Filter /DCTDecode /Length ${bytes.length} >>`, bytes);
+    });
+    obj(info, `<< /Title ${pdfString(title)} /Producer (Lagerverwaltung) /CreationDate (D:${new Date().toISOString().replace(/[-:T]/g, "").slice(0, 14)}Z) >>`);
+
+    const xref = size;
+    const count = info + 1;
+    push(`xref\n0 ${count}\n0000000000 65535 f \n`);
+    for (let n = 1; n < count; n++) push(`${String(offsets[n]).padStart(10, "0")} 00000 n \n`);
+    push(`trailer\n<< /Size ${count} /Root 1 0 R /Info ${info} 0 R >>\nstartxref\n${xref}\n%%EOF\n`);
+    return new Blob(chunks, { type: "application/pdf" });
+  }
+
+  /* One page per image in page_no order, cover line with LS-Nr, Lieferant, Datum, Status */
+  async function inboundDoc(doc, imgs) {
+    const sorted = [...imgs].sort((a, b) => a.page_no - b.page_no);
+    const cover = `LS-Nr. ${doc.ls_nr} · Lieferant ${doc.supplier} · Datum ${doc.date_doc} · Status ${States.label(doc.status)}`;
+    const pages = [];
+    for (const [i, im] of sorted.entries()) {
+      pages.push({ jpeg: await toJpeg(im.blob), lines: [cover, `Seite ${i + 1}/${sorted.length}`] });
+    }
+    return build(pages, `Lieferschein ${doc.ls_nr}`);
+  }
+
+  /* Reklamation: text page first, then one page per damage photo (markings already drawn in) */
+  async function complaint(doc, text, photos) {
+    const head = `Reklamation · LS-Nr. ${doc.ls_nr} · Lieferant ${doc.supplier}`;
+    const pages = [{ text, lines: [head] }];
+    for (const [i, blob] of photos.entries()) {
+      pages.push({ jpeg: await toJpeg(blob), lines: [head, `Schadenfoto ${i + 1}/${photos.length}`] });
+    }
+    return build(pages, `Reklamation ${doc.ls_nr}`);
+  }
+
+  return { build, toJpeg, inboundDoc, complaint };
+})();
+
+/* ---------- PWA (Service Worker + Update-Hinweis) ---------- */
+const Pwa = (() => {
+  const banner = U.$("#updateBanner");
+  const btnReload = U.$("#btnReload");
+  let updateRequested = false;
+
+  function showUpdate(reg) {
+    banner.hidden = false;
+    btnReload.onclick = () => {
+      updateRequested = true;
+      btnReload.disabled = true;
+      // the waiting worker activates and takes over; controllerchange reloads the page
+      if (reg.waiting) reg.waiting.postMessage({ type: "SKIP_WAITING" });
+      else location.reload();
+    };
+  }
+
+  async function register() {
+    if (!("serviceWorker" in navigator)) return;
+    let reg;
+    try {
+      reg = await navigator.serviceWorker.register("sw.js");
+    } catch (err) {
+      console.error(err);
+      return;
+    }
+    // only offer an update when an old version is in control (not on first install)
+    if (reg.waiting && navigator.serviceWorker.controller) showUpdate(reg);
+    reg.addEventListener("updatefound", () => {
+      const sw = reg.installing;
+      if (!sw) return;
+      sw.addEventListener("statechange", () => {
+        if (sw.state === "installed" && navigator.serviceWorker.controller) showUpdate(reg);
+      });
+    });
+    navigator.serviceWorker.addEventListener("controllerchange", () => {
+      if (updateRequested) location.reload();
+    });
+    // long-running tablets: look for a new version every hour
+    setInterval(() => reg.update().catch(() => {}), 60 * 60 * 1000);
+  }
+
+  return { register };
+})();
+
+/* ---------- App ---------- */
+const App = (() => {
+  const uid_key = "lv_user_id";
+
+  // the signed-in person; before login (boot, seeding) the anonymous device id as before
+  function userId() {
+    const me = Users.me();
+    if (me) return me.id;
+    let id = localStorage.getItem(uid_key);
+    if (!id) { id = U.uuid(); localStorage.setItem(uid_key, id); }
+    return id;
+  }
+  function userName() { return Users.me()?.name || ""; }
+  function isAdmin() { return Users.me()?.role === "admin"; }
+  function can(perm) { return Users.can(perm); }
+  // checks a permission and explains a refusal
+  async function permit(perm) {
+    if (can(perm)) return true;
+    await UI.message(`Keine Berechtigung: ${Users.permLabel(perm)}.`);
+    return false;
+  }
+
+  async function boot() {
+    // UI wiring
+    await Users.load();
+    UI.setUser(null);
+    UI.initForm();
+    UI.initSearch();
+    UI.initLists();
+    UI.dndInit();
+    UI.boardClicks();
+    await Admin.loadToggles();
+    await Zones.load();
+    Zones.initAdmin();
+    await States.load();
+    await States.migrate();
+    States.initAdmin();
+    await Drawings.load();
+    await Articles.load();
+    await Suppliers.load();
+    await Bins.load();
+    Articles.init();
+    Suppliers.init();
+    await Bins.migrate();
+    Bins.init();
+    Protocol.init();
+    Users.initAdmin();
+    await Users.initIdle();
+
+    // Actions
+    document.getElementById("btnAddBin").addEventListener("click", UI.addBin);
+    document.getElementById("btnUndo").addEventListener("click", Journal.undo);
+    document.getElementById("btnExportCSV").addEventListener("click", Cart.exportCSV);
+    document.getElementById("btnExportPDF").addEventListener("click", Cart.exportPDF);
+    document.getElementById("btnCartAdd").addEventListener("click", Cart.addFromInput);
+    document.getElementById("btnReorder").addEventListener("click", Cart.suggestReorder);
+    document.getElementById("cartArticle").addEventListener("keydown", (e) => { if (e.key === "Enter") Cart.addFromInput(); });
+    document.getElementById("btnClearCart").addEventListener("click", async () => {
+      if (!(await App.permit("cart_clear"))) return;
+      await DB.clearCart();
+      await Cart.render();
+    });
+    document.querySelector("#cartTable").addEventListener("click", Cart.onTableClick);
+    document.querySelector("#cartTable").addEventListener("input", Cart.onTableInput);
+    document.getElementById("btnCreateOrders").addEventListener("click", Orders.createFromCart);
+    document.getElementById("ordersFilter").addEventListener("change", Orders.render);
+    document.querySelector("#ordersTable").addEventListener("click", Orders.onTableClick);
+
+    // Lists
+    await UI.refreshLists();
+    await UI.renderBoard();
+    await Bins.render();
+    await Cart.render();
+    await Orders.render();
+    UI.bumpSyncBadge();
+
+    // Sync: badge/tiles follow the outbox, pulled changes refresh the views
+    Sync.onChange(async ({ pulled }) => {
+      await UI.bumpSyncBadge();
+      await Admin.renderSyncStatus();
+      if (pulled) {
+        await Users.load();
+        Users.renderAdmin();
+        UI.setUser(Users.me());
+        if (!Users.me()) Users.ensureLogin(); // signed-in user was deactivated elsewhere
+        await Zones.load();
+        Zones.renderAdmin();
+        await States.load();
+        await States.migrate();
+        States.renderAdmin();
+        States.renderFilter();
+        await Drawings.load();
+        await Articles.load();
+        Articles.render();
+        await Suppliers.load();
+        Suppliers.render();
+        await Bins.load();
+        await UI.refreshLists(); await UI.renderBoard(); await Orders.render(); await Bins.render();
+      }
+      else await UI.refreshLists();
+    });
+    Sync.init();
+    // Online state
+    (function setOnline() {
+      const online = navigator.onLine;
+      const el = document.getElementById("onlineBadge");
+      el.textContent = online ? "Online" : "Offline";
+      el.className = `badge ${online ? "badge-ok" : "badge-warn"}`;
+    })();
+
+    // Barcode/QR: fills the inbound form, or jumps to the matching delivery note from the search bar
+    document.getElementById("btnScan").addEventListener("click", UI.scanIntoForm);
+    document.getElementById("btnOcr").addEventListener("click", UI.readIntoForm);
+    document.getElementById("btnScanSearch").addEventListener("click", UI.scanSearch);
+
+    // Accessibility: prevent long-press text selection in DnD zone (inputs remain normal)
+    U.$$(".noselect").forEach(n => {
+      n.addEventListener("mousedown", (e) => {
+        if (!e.target.matches("input,textarea,[contenteditable]")) e.preventDefault();
+      });
+      n.addEventListener("touchstart", (e) => {
+        if (!e.target.matches("input,textarea,[contenteditable]")) e.preventDefault();
+      }, { passive: false });
+    });
+
+    await Articles.migrate();
+    await Bins.load();
+    await UI.renderBoard();
+
+    await Users.ensureLogin();
+  }
+
+  return { boot, userId, userName, isAdmin, can, permit };
+})();
+
+// Init
+window.addEventListener("DOMContentLoaded", App.boot);
+window.addEventListener("load", Pwa.register);
@@ -0,0 +1,789 @@
+/* Lagerverwaltung – Barcode-/QR-Decoder (reines JS, Fallback ohne BarcodeDetector)
+ * Unterstützt Code128, EAN-13 und QR-Code (Modell 2, Version 1–40).
+ * Barcode.decode(imageData) → { format, rawValue } | null  (Formatnamen wie bei BarcodeDetector)
+ */
+const Barcode = (() => {
+  /* ---------- Binarisierung ---------- */
+  function luminance(img) {
+    const { data, width, height } = img;
+    const lum = new Uint8Array(width * height);
+    for (let i = 0, p = 0; p < lum.length; i += 4, p++) {
+      lum[p] = (data[i] * 77 + data[i + 1] * 150 + data[i + 2] * 29) >> 8;
+    }
+    return lum;
+  }
+
+  // Local mean threshold over an integral image; flat areas fall back to the global mean.
+  function binarize(lum, w, h) {
+    const W = w + 1;
+    const integral = new Uint32Array(W * (h + 1));
+    for (let y = 0; y < h; y++) {
+      let row = 0;
+      for (let x = 0; x < w; x++) {
+        row += lum[y * w + x];
+        integral[(y + 1) * W + x + 1] = integral[y * W + x + 1] + row;
+      }
+    }
+    const globalMean = integral[h * W + w] / (w * h);
+    const r = Math.max(8, Math.round(Math.min(w, h) / 16));
+    const bits = new Uint8Array(w * h); // 1 = dunkel
+    for (let y = 0; y < h; y++) {
+      const y0 = y - r < 0 ? 0 : y - r, y1 = y + r + 1 > h ? h : y + r + 1;
+      const top = y0 * W, bottom = y1 * W;
+      for (let x = 0; x < w; x++) {
+        const x0 = x - r < 0 ? 0 : x - r, x1 = x + r + 1 > w ? w : x + r + 1;
+        const sum = integral[bottom + x1] - integral[top + x1] - integral[bottom + x0] + integral[top + x0];
+        const mean = sum / ((x1 - x0) * (y1 - y0));
+        const v = lum[y * w + x];
+        const flat = mean - globalMean < 4 && globalMean - mean < 4 && v > mean - 12;
+        bits[y * w + x] = flat ? (v < globalMean * 0.6 ? 1 : 0) : (v < mean * 0.92 ? 1 : 0);
+      }
+    }
+    return bits;
+  }
+
+  /* ---------- 1D: Lauflängen ---------- */
+  // runs of a scan line, always starting with a light run (length 0 if the line starts dark)
+  function runsOf(line) {
+    const runs = [];
+    let cur = 0, n = 0;
+    for (let i = 0; i < line.length; i++) {
+      if (line[i] === cur) { n++; continue; }
+      runs.push(n); cur = line[i]; n = 1;
+    }
+    runs.push(n);
+    return runs;
+  }
+
+  function variance(counts, off, pattern, modules) {
+    let total = 0;
+    for (let i = 0; i < pattern.length; i++) total += counts[off + i];
+    const unit = total / modules;
+    if (unit < 0.8) return Infinity;
+    let v = 0;
+    for (let i = 0; i < pattern.length; i++) {
+      const d = Math.abs(counts[off + i] / unit - pattern[i]);
+      if (d > 0.8) return Infinity;
+      v += d;
+    }
+    return v / pattern.length;
+  }
+
+  /* ---------- Code128 ---------- */
+  const C128 = [
+    "212222", "222122", "222221", "121223", "121322", "131222", "122213", "122312", "132212", "221213",
+    "221312", "231212", "112232", "122132", "122231", "113222", "123122", "123221", "223211", "221132",
+    "221231", "213212", "223112", "312131", "311222", "321122", "321221", "312212", "322112", "322211",
+    "212123", "212321", "232121", "111323", "131123", "131321", "112313", "132113", "132311", "211313",
+    "231113", "231311", "112133", "112331", "132131", "113123", "113321", "133121", "313121", "211331",
+    "231131", "213113", "213311", "213131", "311123", "311321", "331121", "312113", "312311", "332111",
+    "314111", "221411", "431111", "111224", "111422", "121124", "121421", "141122", "141221", "112214",
+    "112412", "122114", "122411", "142112", "142211", "241211", "221114", "413111", "241112", "134111",
+    "111242", "121142", "121241", "114212", "124112", "124211", "411212", "421112", "421211", "212141",
+    "214121", "412121", "111143", "111341", "131141", "114113", "114311", "411113", "411311", "113141",
+    "114131", "311141", "411131", "211412", "211214", "211232", "2331112"
+  ].map(s => [...s].map(Number));
+  const C128_STOP = 106;
+  const FNC1 = 102;
+
+  function c128Symbol(counts, off, from = 0) {
+    let best = -1, bestV = 0.45;
+    for (let s = from; s < C128_STOP; s++) {
+      const v = variance(counts, off, C128[s], 11);
+      if (v < bestV) { bestV = v; best = s; }
+    }
+    return best;
+  }
+
+  // counts: runs starting with a bar (odd runs of runsOf())
+  function decodeCode128(runs) {
+    for (let k = 1; k + 6 < runs.length; k += 2) {
+      const start = c128Symbol(runs, k, 103);
+      if (start < 0) continue;
+      // quiet zone: at least ~5 modules of light before the start symbol
+      const unit = runs.slice(k, k + 6).reduce((a, b) => a + b, 0) / 11;
+      if (runs[k - 1] < unit * 5 && k - 1 > 0) continue;
+
+      const codes = [start];
+      let off = k + 6, ok = false;
+      while (off + 6 < runs.length) {
+        if (variance(runs, off, C128[C128_STOP], 13) < 0.45) { ok = true; break; }
+        const s = c128Symbol(runs, off);
+        if (s < 0) break;
+        codes.push(s);
+        off += 6;
+      }
+      if (!ok || codes.length < 3) continue;
+      const check = codes.pop();
+      let sum = codes[0];
+      for (let i = 1; i < codes.length; i++) sum += codes[i] * i;
+      if (sum % 103 !== check) continue;
+      const text = code128Text(codes);
+      if (text) return text;
+    }
+    return null;
+  }
+
+  function code128Text(codes) {
+    let set = codes[0] === 103 ? "A" : codes[0] === 104 ? "B" : "C";
+    let out = "", shift = false;
+    for (let i = 1; i < codes.length; i++) {
+      const c = codes[i];
+      const cur = shift ? (set === "A" ? "B" : "A") : set;
+      shift = false;
+      if (cur === "C") {
+        if (c < 100) out += String(c).padStart(2, "0");
+        else if (c === 100) set = "B";
+        else if (c === 101) set = "A";
+        else if (c === FNC1) { if (i > 1) out += "\x1d"; }
+        continue;
+      }
+      if (c < 96) {
+        out += cur === "A" ? String.fromCharCode(c < 64 ? c + 32 : c - 64) : String.fromCharCode(c + 32);
+      } else if (c === 98) shift = true;
+      else if (c === 99) set = "C";
+      else if (c === 100 && cur === "A") set = "B";
+      else if (c === 101 && cur === "B") set = "A";
+      else if (c === FNC1) { if (i > 1) out += "\x1d"; }
+      // FNC2/3/4 are ignored
+    }
+    return out;
+  }
+
+  /* ---------- EAN-13 ---------- */
+  const EAN_L = ["3211", "2221", "2122", "1411", "1132", "1231", "1114", "1312", "1213", "3112"].map(s => [...s].map(Number));
+  const EAN_G = EAN_L.map(p => [...p].reverse());
+  const EAN_FIRST = [0x00, 0x0b, 0x0d, 0x0e, 0x13, 0x19, 0x1c, 0x15, 0x16, 0x1a];
+
+  function eanDigit(runs, off, allowG) {
+    let best = -1, bestV = 0.48, g = false;
+    for (let d = 0; d < 10; d++) {
+      const vl = variance(runs, off, EAN_L[d], 7);
+      if (vl < bestV) { bestV = vl; best = d; g = false; }
+      if (allowG) {
+        const vg = variance(runs, off, EAN_G[d], 7);
+        if (vg < bestV) { bestV = vg; best = d; g = true; }
+      }
+    }
+    return best < 0 ? null : { d: best, g };
+  }
+
+  function decodeEan13(runs) {
+    // runs index k = first guard bar; 59 runs in total
+    for (let k = 1; k + 59 <= runs.length; k += 2) {
+      if (variance(runs, k, [1, 1, 1], 3) > 0.5) continue;
+      const unit = (runs[k] + runs[k + 1] + runs[k + 2]) / 3;
+      if (runs[k - 1] < unit * 3 && k - 1 > 0) continue;
+      let off = k + 3, parity = 0;
+      const digits = [];
+      let bad = false;
+      for (let i = 0; i < 6; i++, off += 4) {
+        const r = eanDigit(runs, off, true);
+        if (!r) { bad = true; break; }
+        digits.push(r.d);
+        if (r.g) parity |= 1 << (5 - i);
+      }
+      if (bad || variance(runs, off, [1, 1, 1, 1, 1], 5) > 0.5) continue;
+      off += 5;
+      for (let i = 0; i < 6; i++, off += 4) {
+        const r = eanDigit(runs, off, false);
+        if (!r) { bad = true; break; }
+        digits.push(r.d);
+      }
+      if (bad || variance(runs, off, [1, 1, 1], 3) > 0.5) continue;
+      // whole symbol is 95 modules and needs a quiet zone behind the end guard, too
+      let width = 0;
+      for (let i = k; i < k + 59; i++) width += runs[i];
+      if (Math.abs(width / 95 - unit) > unit * 0.35) continue;
+      if (k + 59 < runs.length - 1 && runs[k + 59] < unit * 3) continue;
+      const first = EAN_FIRST.indexOf(parity);
+      if (first < 0) continue;
+      const all = [first, ...digits];
+      let sum = 0;
+      for (let i = 0; i < 12; i++) sum += all[i] * (i % 2 ? 3 : 1);
+      if ((10 - sum % 10) % 10 !== all[12]) continue;
+      return all.join("");
+    }
+    return null;
+  }
+
+  function scan1D(bits, w, h) {
+    const lines = [];
+    const rowStep = Math.max(2, Math.round(h / 40));
+    const mid = h >> 1;
+    // rows from the centre outwards, then columns (barcode held upright)
+    for (let d = 0; d <= mid; d += rowStep) {
+      for (const y of d ? [mid - d, mid + d] : [mid]) {
+        if (y >= 0 && y < h) lines.push(bits.subarray(y * w, y * w + w));
+      }
+    }
+    const colStep = Math.max(2, Math.round(w / 30));
+    for (let x = colStep; x < w; x += colStep) {
+      const col = new Uint8Array(h);
+      for (let y = 0; y < h; y++) col[y] = bits[y * w + x];
+      lines.push(col);
+    }
+    for (const line of lines) {
+      for (const dir of [line, Uint8Array.from(line).reverse()]) {
+        const runs = runsOf(dir);
+        const c = decodeCode128(runs);
+        if (c) return { format: "code_128", rawValue: c };
+        const e = decodeEan13(runs);
+        if (e) return { format: "ean_13", rawValue: e };
+      }
+    }
+    return null;
+  }
+
+  /* ---------- QR: Galois-Feld & Reed-Solomon ---------- */
+  const EXP = new Uint8Array(512), LOG = new Uint8Array(256);
+  (() => {
+    let x = 1;
+    for (let i = 0; i < 255; i++) { EXP[i] = x; LOG[x] = i; x <<= 1; if (x & 0x100) x ^= 0x11d; }
+    for (let i = 255; i < 512; i++) EXP[i] = EXP[i - 255];
+  })();
+  const gmul = (a, b) => (a && b ? EXP[LOG[a] + LOG[b]] : 0);
+  const gdiv = (a, b) => (a ? EXP[(LOG[a] + 255 - LOG[b]) % 255] : 0);
+  const gpow = (e) => EXP[((e % 255) + 255) % 255];
+
+  // polynomials as arrays, index = power of x
+  function polyEval(p, x) {
+    let y = 0;
+    for (let i = p.length - 1; i >= 0; i--) y = gmul(y, x) ^ p[i];
+    return y;
+  }
+
+  // corrects cw in place (cw[0] = highest power); returns false if uncorrectable
+  function rsCorrect(cw, nsym) {
+    const n = cw.length;
+    const synd = new Array(nsym);
+    let clean = true;
+    for (let i = 0; i < nsym; i++) {
+      let s = 0;
+      const a = gpow(i);
+      for (let k = 0; k < n; k++) s = gmul(s, a) ^ cw[k];
+      synd[i] = s;
+      if (s) clean = false;
+    }
+    if (clean) return true;
+
+    // Berlekamp–Massey
+    let C = [1], B = [1], L = 0, m = 1, b = 1;
+    for (let r = 0; r < nsym; r++) {
+      let d = synd[r];
+      for (let i = 1; i <= L; i++) d ^= gmul(C[i] || 0, synd[r - i]);
+      if (d === 0) { m++; continue; }
+      const T = C.slice();
+      const coef = gdiv(d, b);
+      const next = C.slice();
+      for (let i = 0; i < B.length; i++) next[i + m] = (next[i + m] || 0) ^ gmul(coef, B[i]);
+      for (let i = 0; i < next.length; i++) next[i] = next[i] || 0;
+      C = next;
+      if (2 * L <= r) { L = r + 1 - L; B = T; b = d; m = 1; } else m++;
+    }
+    if (L * 2 > nsym) return false;
+
+    // Chien search
+    const pos = [];
+    for (let k = 0; k < n; k++) {
+      const e = n - 1 - k;
+      if (polyEval(C, gpow(-e)) === 0) pos.push(k);
+    }
+    if (pos.length !== L) return false;
+
+    // Forney (b = 0): e = X · Ω(X⁻¹) / Λ'(X⁻¹)
+    const omega = new Array(nsym).fill(0);
+    for (let i = 0; i < nsym; i++) {
+      for (let j = 0; j <= i && j < C.length; j++) omega[i] ^= gmul(synd[i - j], C[j]);
+    }
+    const deriv = [];
+    for (let i = 1; i < C.length; i++) deriv[i - 1] = i % 2 ? C[i] : 0;
+    for (const k of pos) {
+      const X = gpow(n - 1 - k), Xi = gpow(-(n - 1 - k));
+      const den = polyEval(deriv, Xi);
+      if (!den) return false;
+      cw[k] ^= gmul(X, gdiv(polyEval(omega, Xi), den));
+    }
+    return true;
+  }
+
+  /* ---------- QR: Versionen ---------- */
+  // per version: [L, M, Q, H] each [ecPerBlock, count1, data1, count2, data2]
+  const QR_EC = [
+    null,
+    [[7, 1, 19], [10, 1, 16], [13, 1, 13], [17, 1, 9]],
+    [[10, 1, 34], [16, 1, 28], [22, 1, 22], [28, 1, 16]],
+    [[15, 1, 55], [26, 1, 44], [18, 2, 17], [22, 2, 13]],
+    [[20, 1, 80], [18, 2, 32], [26, 2, 24], [16, 4, 9]],
+    [[26, 1, 108], [24, 2, 43], [18, 2, 15, 2, 16], [22, 2, 11, 2, 12]],
+    [[18, 2, 68], [16, 4, 27], [24, 4, 19], [28, 4, 15]],
+    [[20, 2, 78], [18, 4, 31], [18, 2, 14, 4, 15], [26, 4, 13, 1, 14]],
+    [[24, 2, 97], [22, 2, 38, 2, 39], [22, 4, 18, 2, 19], [26, 4, 14, 2, 15]],
+    [[30, 2, 116], [22, 3, 36, 2, 37], [20, 4, 16, 4, 17], [24, 4, 12, 4, 13]],
+    [[18, 2, 68, 2, 69], [26, 4, 43, 1, 44], [24, 6, 19, 2, 20], [28, 6, 15, 2, 16]],
+    [[20, 4, 81], [30, 1, 50, 4, 51], [28, 4, 22, 4, 23], [24, 3, 12, 8, 13]],
+    [[24, 2, 92, 2, 93], [22, 6, 36, 2, 37], [26, 4, 20, 6, 21], [28, 7, 14, 4, 15]],
+    [[26, 4, 107], [22, 8, 37, 1, 38], [24, 8, 20, 4, 21], [22, 12, 11, 4, 12]],
+    [[30, 3, 115, 1, 116], [24, 4, 40, 5, 41], [20, 11, 16, 5, 17], [24, 11, 12, 5, 13]],
+    [[22, 5, 87, 1, 88], [24, 5, 41, 5, 42], [30, 5, 24, 7, 25], [24, 11, 12, 7, 13]],
+    [[24, 5, 98, 1, 99], [28, 7, 45, 3, 46], [24, 15, 19, 2, 20], [30, 3, 15, 13, 16]],
+    [[28, 1, 107, 5, 108], [28, 10, 46, 1, 47], [28, 1, 22, 15, 23], [28, 2, 14, 17, 15]],
+    [[30, 5, 120, 1, 121], [26, 9, 43, 4, 44], [28, 17, 22, 1, 23], [28, 2, 14, 19, 15]],
+    [[28, 3, 113, 4, 114], [26, 3, 44, 11, 45], [26, 17, 21, 4, 22], [26, 9, 13, 16, 14]],
+    [[28, 3, 107, 5, 108], [26, 3, 41, 13, 42], [30, 15, 24, 5, 25], [28, 15, 15, 10, 16]],
+    [[28, 4, 116, 4, 117], [26, 17, 42], [28, 17, 22, 6, 23], [30, 19, 16, 6, 17]],
+    [[28, 2, 111, 7, 112], [28, 17, 46], [30, 7, 24, 16, 25], [24, 34, 13]],
+    [[30, 4, 121, 5, 122], [28, 4, 47, 14, 48], [30, 11, 24, 14, 25], [30, 16, 15, 14, 16]],
+    [[30, 6, 117, 4, 118], [28, 6, 45, 14, 46], [30, 11, 24, 16, 25], [30, 30, 16, 2, 17]],
+    [[26, 8, 106, 4, 107], [28, 8, 47, 13, 48], [30, 7, 24, 22, 25], [30, 22, 15, 13, 16]],
+    [[28, 10, 114, 2, 115], [28, 19, 46, 4, 47], [28, 28, 22, 6, 23], [30, 33, 16, 4, 17]],
+    [[30, 8, 122, 4, 123], [28, 22, 45, 3, 46], [30, 8, 23, 26, 24], [30, 12, 15, 28, 16]],
+    [[30, 3, 117, 10, 118], [28, 3, 45, 23, 46], [30, 4, 24, 31, 25], [30, 11, 15, 31, 16]],
+    [[30, 7, 116, 7, 117], [28, 21, 45, 7, 46], [30, 1, 23, 37, 24], [30, 19, 15, 26, 16]],
+    [[30, 5, 115, 10, 116], [28, 19, 47, 10, 48], [30, 15, 24, 25, 25], [30, 23, 15, 25, 16]],
+    [[30, 13, 115, 3, 116], [28, 2, 46, 29, 47], [30, 42, 24, 1, 25], [30, 23, 15, 28, 16]],
+    [[30, 17, 115], [28, 10, 46, 23, 47], [30, 10, 24, 35, 25], [30, 19, 15, 35, 16]],
+    [[30, 17, 115, 1, 116], [28, 14, 46, 21, 47], [30, 29, 24, 19, 25], [30, 11, 15, 46, 16]],
+    [[30, 13, 115, 6, 116], [28, 14, 46, 23, 47], [30, 44, 24, 7, 25], [30, 59, 16, 1, 17]],
+    [[30, 12, 121, 7, 122], [28, 12, 47, 26, 48], [30, 39, 24, 14, 25], [30, 22, 15, 41, 16]],
+    [[30, 6, 121, 14, 122], [28, 6, 47, 34, 48], [30, 46, 24, 10, 25], [30, 2, 15, 64, 16]],
+    [[30, 17, 122, 4, 123], [28, 29, 46, 14, 47], [30, 49, 24, 10, 25], [30, 24, 15, 46, 16]],
+    [[30, 4, 122, 18, 123], [28, 13, 46, 32, 47], [30, 48, 24, 14, 25], [30, 42, 15, 32, 16]],
+    [[30, 20, 117, 4, 118], [28, 40, 47, 7, 48], [30, 43, 24, 22, 25], [30, 10, 15, 67, 16]],
+    [[30, 19, 118, 6, 119], [28, 18, 47, 31, 48], [30, 34, 24, 34, 25], [30, 20, 15, 61, 16]]
+  ];
+  const EC_LEVEL_INDEX = [1, 0, 3, 2]; // format bits 00=M, 01=L, 10=H, 11=Q → index into [L, M, Q, H]
+
+  function alignmentPositions(ver) {
+    if (ver === 1) return [];
+    const size = ver * 4 + 17;
+    const num = Math.floor(ver / 7) + 2;
+    const step = ver === 32 ? 26 : Math.ceil((ver * 4 + 4) / (num * 2 - 2)) * 2;
+    const out = [6];
+    for (let pos = size - 7; out.length < num; pos -= step) out.splice(1, 0, pos);
+    return out;
+  }
+
+  function functionMask(ver) {
+    const dim = ver * 4 + 17;
+    const m = new Uint8Array(dim * dim);
+    const region = (left, top, w, h) => {
+      for (let y = top; y < top + h; y++) for (let x = left; x < left + w; x++) m[y * dim + x] = 1;
+    };
+    region(0, 0, 9, 9);
+    region(dim - 8, 0, 8, 9);
+    region(0, dim - 8, 9, 8);
+    const ap = alignmentPositions(ver);
+    const max = ap.length - 1;
+    for (let i = 0; i <= max; i++) {
+      for (let j = 0; j <= max; j++) {
+        if ((i === 0 && (j === 0 || j === max)) || (i === max && j === 0)) continue;
+        region(ap[j] - 2, ap[i] - 2, 5, 5);
+      }
+    }
+    region(6, 9, 1, dim - 17);
+    region(9, 6, dim - 17, 1);
+    if (ver > 6) { region(dim - 11, 0, 3, 6); region(0, dim - 11, 6, 3); }
+    return m;
+  }
+
+  const FORMAT_TABLE = (() => {
+    const out = [];
+    for (let data = 0; data < 32; data++) {
+      let rem = data << 10;
+      for (let i = 14; i >= 10; i--) if (rem & (1 << i)) rem ^= 0x537 << (i - 10);
+      out.push([((data << 10) | rem) ^ 0x5412, data]);
+    }
+    return out;
+  })();
+  const popcount = (v) => { let c = 0; while (v) { c += v & 1; v >>= 1; } return c; };
+
+  const MASKS = [
+    (i, j) => (i + j) % 2 === 0,
+    (i) => i % 2 === 0,
+    (i, j) => j % 3 === 0,
+    (i, j) => (i + j) % 3 === 0,
+    (i, j) => (Math.floor(i / 2) + Math.floor(j / 3)) % 2 === 0,
+    (i, j) => ((i * j) % 2) + ((i * j) % 3) === 0,
+    (i, j) => (((i * j) % 2) + ((i * j) % 3)) % 2 === 0,
+    (i, j) => (((i + j) % 2) + ((i * j) % 3)) % 2 === 0
+  ];
+
+  /* ---------- QR: Matrix → Text ---------- */
+  function readFormat(get, dim) {
+    let f1 = 0, f2 = 0;
+    const bit1 = (x, y) => { f1 = (f1 << 1) | get(x, y); };
+    const bit2 = (x, y) => { f2 = (f2 << 1) | get(x, y); };
+    for (let i = 0; i < 6; i++) bit1(i, 8);
+    bit1(7, 8); bit1(8, 8); bit1(8, 7);
+    for (let j = 5; j >= 0; j--) bit1(8, j);
+    for (let j = dim - 1; j >= dim - 7; j--) bit2(8, j);
+    for (let i = dim - 8; i < dim; i++) bit2(i, 8);
+    let best = null, bestD = 4;
+    for (const [code, data] of FORMAT_TABLE) {
+      for (const f of [f1, f2]) {
+        const d = popcount(f ^ code);
+        if (d < bestD) { bestD = d; best = data; }
+      }
+    }
+    return best === null ? null : { ec: EC_LEVEL_INDEX[best >> 3], mask: best & 7 };
+  }
+
+  function decodeMatrix(get, dim) {
+    const ver = (dim - 17) / 4;
+    if (ver < 1 || ver > 40 || !Number.isInteger(ver)) return null;
+    const fmt = readFormat(get, dim);
+    if (!fmt) return null;
+    const fm = functionMask(ver);
+    const mask = MASKS[fmt.mask];
+
+    const raw = [];
+    let byte = 0, nbits = 0, up = true;
+    for (let j = dim - 1; j > 0; j -= 2) {
+      if (j === 6) j--;
+      for (let c = 0; c < dim; c++) {
+        const i = up ? dim - 1 - c : c;
+        for (let col = 0; col < 2; col++) {
+          const x = j - col;
+          if (fm[i * dim + x]) continue;
+          byte = (byte << 1) | (get(x, i) ^ (mask(i, x) ? 1 : 0));
+          if (++nbits === 8) { raw.push(byte); byte = 0; nbits = 0; }
+        }
+      }
+      up = !up;
+    }
+
+    const [ecPer, c1, d1, c2 = 0, d2 = 0] = QR_EC[ver][fmt.ec];
+    const blocks = [];
+    for (let i = 0; i < c1; i++) blocks.push({ nd: d1, cw: new Array(d1 + ecPer) });
+    for (let i = 0; i < c2; i++) blocks.push({ nd: d2, cw: new Array(d2 + ecPer) });
+    const total = blocks.reduce((a, b) => a + b.cw.length, 0);
+    if (raw.length < total) return null;
+    // de-interleave: data codewords round-robin (short blocks first), then EC codewords
+    let off = 0;
+    const maxData = Math.max(d1, d2);
+    for (let i = 0; i < maxData; i++) {
+      for (const b of blocks) if (i < b.nd) b.cw[i] = raw[off++];
+    }
+    for (let i = 0; i < ecPer; i++) {
+      for (const b of blocks) b.cw[b.nd + i] = raw[off++];
+    }
+    const data = [];
+    for (const b of blocks) {
+      if (!rsCorrect(b.cw, ecPer)) return null;
+      data.push(...b.cw.slice(0, b.nd));
+    }
+    return parseSegments(data, ver);
+  }
+
+  const ALNUM = "0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ $%*+-./:";
+
+  function parseSegments(bytes, ver) {
+    let pos = 0;
+    const total = bytes.length * 8;
+    const read = (n) => {
+      let v = 0;
+      for (let i = 0; i < n; i++, pos++) {
+        v = (v << 1) | (pos < total ? (bytes[pos >> 3] >> (7 - (pos & 7))) & 1 : 0);
+      }
+      return v;
+    };
+    const cls = ver < 10 ? 0 : ver < 27 ? 1 : 2;
+    const cntBits = { 1: [10, 12, 14], 2: [9, 11, 13], 4: [8, 16, 16], 8: [8, 10, 12] };
+    let out = "", utf8 = null;
+    while (pos + 4 <= total) {
+      const mode = read(4);
+      if (mode === 0) break;
+      if (mode === 7) { // ECI
+        const b = read(8);
+        const eci = (b & 0x80) === 0 ? b : (b & 0xc0) === 0x80 ? ((b & 0x3f) << 8) | read(8) : ((b & 0x1f) << 16) | read(16);
+        utf8 = eci === 26 ? true : eci === 3 || eci === 1 ? false : utf8;
+        continue;
+      }
+      if (mode === 3) { read(16); continue; } // structured append
+      if (mode === 5 || mode === 9) { if (mode === 9) read(8); continue; } // FNC1
+      if (!cntBits[mode]) return null;
+      const count = read(cntBits[mode][cls]);
+      if (mode === 1) {
+        let n = count;
+        while (n >= 3) { out += String(read(10)).padStart(3, "0"); n -= 3; }
+        if (n === 2) out += String(read(7)).padStart(2, "0");
+        else if (n === 1) out += String(read(4));
+      } else if (mode === 2) {
+        let n = count;
+        while (n >= 2) { const v = read(11); out += ALNUM[Math.floor(v / 45)] + ALNUM[v % 45]; n -= 2; }
+        if (n) out += ALNUM[read(6)];
+      } else if (mode === 4) {
+        const buf = new Uint8Array(count);
+        for (let i = 0; i < count; i++) buf[i] = read(8);
+        out += decodeBytes(buf, utf8);
+      } else if (mode === 8) {
+        const buf = [];
+        for (let i = 0; i < count; i++) {
+          const v = read(13);
+          let c = ((v / 0xc0) << 8) | (v % 0xc0);
+          c += c < 0x1f00 ? 0x8140 : 0xc140;
+          buf.push(c >> 8, c & 0xff);
+        }
+        try { out += new TextDecoder("shift_jis").decode(new Uint8Array(buf)); } catch { /* kein Shift_JIS */ }
+      }
+    }
+    return out;
+  }
+
+  function decodeBytes(buf, utf8) {
+    if (utf8 !== false) {
+      try { return new TextDecoder("utf-8", { fatal: true }).decode(buf); } catch { /* ISO-8859-1 */ }
+    }
+    return String.fromCharCode(...buf);
+  }
+
+  /* ---------- QR: Finder Patterns ---------- */
+  function ratioOk(c, tol = 0.5) {
+    const total = c[0] + c[1] + c[2] + c[3] + c[4];
+    if (total < 7) return false;
+    const m = total / 7, v = m * tol;
+    return Math.abs(m - c[0]) < v && Math.abs(m - c[1]) < v && Math.abs(3 * m - c[2]) < 3 * v &&
+           Math.abs(m - c[3]) < v && Math.abs(m - c[4]) < v;
+  }
+
+  // counts 1:1:3:1:1 along a line through (cx, cy) in direction (dx, dy); returns centre offset or null
+  function crossCheck(bits, w, h, cx, cy, dx, dy, maxCount) {
+    const at = (k) => {
+      const x = Math.round(cx + dx * k), y = Math.round(cy + dy * k);
+      return x < 0 || y < 0 || x >= w || y >= h ? -1 : bits[y * w + x];
+    };
+    if (at(0) !== 1) return null;
+    const c = [0, 0, 0, 0, 0];
+    let k = 0;
+    while (at(k) === 1) { c[2]++; k--; }
+    while (at(k) === 0 && c[1] <= maxCount) { c[1]++; k--; }
+    while (at(k) === 1 && c[0] <= maxCount) { c[0]++; k--; }
+    k = 1;
+    while (at(k) === 1) { c[2]++; k++; }
+    while (at(k) === 0 && c[3] <= maxCount) { c[3]++; k++; }
+    while (at(k) === 1 && c[4] <= maxCount) { c[4]++; k++; }
+    if (!ratioOk(c)) return null;
+    const end = k - c[4] - c[3];
+    return { offset: end - c[2] / 2, module: (c[0] + c[1] + c[2] + c[3] + c[4]) / 7 };
+  }
+
+  function addFinder(cands, bits, w, h, c, xEnd, y) {
+    const cx = xEnd - c[4] - c[3] - c[2] / 2;
+    const maxCount = c[2] * 2;
+    const vert = crossCheck(bits, w, h, cx, y, 0, 1, maxCount);
+    if (!vert) return false;
+    const cy = y + vert.offset;
+    const hor = crossCheck(bits, w, h, cx, cy, 1, 0, maxCount);
+    if (!hor) return false;
+    const fx = cx + hor.offset;
+    const module = (vert.module + hor.module) / 2;
+    const near = cands.find(p => Math.abs(p.x - fx) < module * 3 && Math.abs(p.y - cy) < module * 3 &&
+      Math.abs(p.module - module) < Math.max(1, p.module * 0.5));
+    if (near) {
+      near.x = (near.x * near.n + fx) / (near.n + 1);
+      near.y = (near.y * near.n + cy) / (near.n + 1);
+      near.module = (near.module * near.n + module) / (near.n + 1);
+      near.n++;
+    } else cands.push({ x: fx, y: cy, module, n: 1 });
+    return true;
+  }
+
+  // row scan for dark:light:dark:light:dark = 1:1:3:1:1, confirmed vertically and horizontally
+  function findFinders(bits, w, h) {
+    const cands = [];
+    const step = Math.max(1, Math.floor(h / 300));
+    for (let y = 0; y < h; y += step) {
+      const c = [0, 0, 0, 0, 0];
+      let state = 0;
+      for (let x = 0; x <= w; x++) {
+        const dark = x < w && bits[y * w + x] === 1;
+        if (dark) {
+          if (state & 1) state++;
+          c[state]++;
+        } else if (state & 1) {
+          c[state]++;
+        } else if (state === 0) {
+          if (c[0]) { state = 1; c[1] = 1; }
+        } else if (state < 4) {
+          state++; c[state]++;
+        } else {
+          if (ratioOk(c) && addFinder(cands, bits, w, h, c, x, y)) {
+            c.fill(0); state = 0;
+            continue;
+          }
+          // slide the window by one dark/light pair
+          c[0] = c[2]; c[1] = c[3]; c[2] = c[4]; c[3] = 1; c[4] = 0; state = 3;
+        }
+      }
+    }
+    return cands;
+  }
+
+  function pickTriple(cands) {
+    const list = cands.filter(c => c.n >= 2).sort((a, b) => b.n - a.n).slice(0, 8);
+    if (list.length < 3) return null;
+    let best = null, bestScore = Infinity;
+    for (let a = 0; a < list.length; a++) for (let b = a + 1; b < list.length; b++) for (let c = b + 1; c < list.length; c++) {
+      const p = [list[a], list[b], list[c]];
+      const ms = p.map(q => q.module);
+      if (Math.max(...ms) > Math.min(...ms) * 1.6) continue;
+      const d = (u, v) => Math.hypot(u.x - v.x, u.y - v.y);
+      const sides = [[d(p[1], p[2]), 0], [d(p[0], p[2]), 1], [d(p[0], p[1]), 2]].sort((x, y) => y[0] - x[0]);
+      const [hyp, l1, l2] = sides;
+      // right isosceles: legs equal, hypotenuse = leg·√2
+      const score = Math.abs(l1[0] - l2[0]) / l1[0] + Math.abs(hyp[0] - Math.hypot(l1[0], l2[0])) / hyp[0];
+      if (score < bestScore) { bestScore = score; best = { p, corner: hyp[1] }; }
+    }
+    if (!best || bestScore > 0.3) return null;
+    const tl = best.p[best.corner];
+    let [tr, bl] = best.p.filter((_, i) => i !== best.corner);
+    if ((tr.x - tl.x) * (bl.y - tl.y) - (tr.y - tl.y) * (bl.x - tl.x) < 0) [tr, bl] = [bl, tr];
+    return { tl, tr, bl };
+  }
+
+  /* ---------- QR: Geometrie ---------- */
+  // homography mapping src[i] → dst[i] (4 point pairs)
+  function homography(src, dst) {
+    const A = [], B = [];
+    for (let i = 0; i < 4; i++) {
+      const [x, y] = src[i], [u, v] = dst[i];
+      A.push([x, y, 1, 0, 0, 0, -u * x, -u * y]); B.push(u);
+      A.push([0, 0, 0, x, y, 1, -v * x, -v * y]); B.push(v);
+    }
+    for (let c = 0; c < 8; c++) {
+      let p = c;
+      for (let r = c + 1; r < 8; r++) if (Math.abs(A[r][c]) > Math.abs(A[p][c])) p = r;
+      [A[c], A[p]] = [A[p], A[c]]; [B[c], B[p]] = [B[p], B[c]];
+      if (Math.abs(A[c][c]) < 1e-12) return null;
+      for (let r = 0; r < 8; r++) {
+        if (r === c) continue;
+        const f = A[r][c] / A[c][c];
+        for (let k = c; k < 8; k++) A[r][k] -= f * A[c][k];
+        B[r] -= f * B[c];
+      }
+    }
+    const h = B.map((b, i) => b / A[i][i]);
+    return (x, y) => {
+      const d = h[6] * x + h[7] * y + 1;
+      return [(h[0] * x + h[1] * y + h[2]) / d, (h[3] * x + h[4] * y + h[5]) / d];
+    };
+  }
+
+  // length of the dark–light–dark run from a finder centre towards (tx, ty); 3.5 modules on a clean pattern
+  function runFromCentre(bits, w, h, a, tx, ty) {
+    const len = Math.hypot(tx - a.x, ty - a.y);
+    const dx = (tx - a.x) / len, dy = (ty - a.y) / len;
+    let state = 0;
+    for (let k = 0; k < len; k++) {
+      const x = Math.round(a.x + dx * k), y = Math.round(a.y + dy * k);
+      if (x < 0 || y < 0 || x >= w || y >= h) return k;
+      const dark = bits[y * w + x] === 1;
+      if ((state === 0 || state === 2) && !dark) state++;
+      else if (state === 1 && dark) state++;
+      if (state === 3) return k;
+    }
+    return NaN;
+  }
+
+  function moduleAlong(bits, w, h, a, b) {
+    const fwd = (p, q) => runFromCentre(bits, w, h, p, q.x, q.y) + runFromCentre(bits, w, h, p, 2 * p.x - q.x, 2 * p.y - q.y);
+    const m = (fwd(a, b) + fwd(b, a)) / 14;
+    return Number.isFinite(m) && m > 0 ? m : (a.module + b.module) / 2;
+  }
+
+  function findAlignment(bits, w, h, ex, ey, module) {
+    const at = (x, y) => {
+      x = Math.round(x); y = Math.round(y);
+      return x < 0 || y < 0 || x >= w || y >= h ? 0 : bits[y * w + x];
+    };
+    const score = (cx, cy, m) => {
+      if (!at(cx, cy)) return 0;
+      let s = 1;
+      for (let k = 0; k < 8; k++) {
+        const c = Math.cos(k * Math.PI / 4), sn = Math.sin(k * Math.PI / 4);
+        s += at(cx + c * m, cy + sn * m) ? 0 : 1;
+        s += at(cx + c * m * 2, cy + sn * m * 2) ? 1 : 0;
+      }
+      return s;
+    };
+    const stepPx = Math.max(1, Math.round(module / 3));
+    // perspective can push the pattern several modules away from the parallelogram estimate, and
+    // data areas can mimic the ring pattern – so hand back the nearest few candidates to try in turn
+    const range = Math.round(module * 10);
+    const found = [];
+    for (let dy = -range; dy <= range; dy += stepPx) {
+      for (let dx = -range; dx <= range; dx += stepPx) {
+        const sc = Math.max(score(ex + dx, ey + dy, module), score(ex + dx, ey + dy, module * 1.2), score(ex + dx, ey + dy, module * 0.85));
+        if (sc < 16) continue;
+        const p = refineCentre(at, { x: ex + dx, y: ey + dy }, module);
+        if (!found.some(q => Math.hypot(q.x - p.x, q.y - p.y) < module)) found.push(p);
+      }
+    }
+    return found.sort((a, b) => Math.hypot(a.x - ex, a.y - ey) - Math.hypot(b.x - ex, b.y - ey)).slice(0, 6);
+  }
+
+  // centre of the dark centre module found by walking to its edges
+  function refineCentre(at, p, module) {
+    const lim = module * 1.5;
+    let l = 0, r = 0, u = 0, d = 0;
+    while (l < lim && at(p.x - l - 1, p.y)) l++;
+    while (r < lim && at(p.x + r + 1, p.y)) r++;
+    while (u < lim && at(p.x, p.y - u - 1)) u++;
+    while (d < lim && at(p.x, p.y + d + 1)) d++;
+    return { x: p.x + (r - l) / 2, y: p.y + (d - u) / 2 };
+  }
+
+  function decodeQr(bits, w, h) {
+    const t = pickTriple(findFinders(bits, w, h));
+    if (!t) return null;
+    const { tl, tr, bl } = t;
+    const mTR = moduleAlong(bits, w, h, tl, tr), mBL = moduleAlong(bits, w, h, tl, bl);
+    const module = (mTR + mBL) / 2;
+    const est = (Math.hypot(tr.x - tl.x, tr.y - tl.y) / mTR + Math.hypot(bl.x - tl.x, bl.y - tl.y) / mBL) / 2 + 7;
+    const dims = [];
+    for (let d = Math.round(est) - 10; d <= Math.round(est) + 10; d++) if (d % 4 === 1 && d >= 21 && d <= 177) dims.push(d);
+    dims.sort((a, b) => Math.abs(a - est) - Math.abs(b - est));
+
+    for (const dim of dims.slice(0, 4)) {
+      const ver = (dim - 17) / 4;
+      const par = [tr.x + bl.x - tl.x, tr.y + bl.y - tl.y];
+      let guesses = [{ br: par, mod: dim - 3.5 }];
+      if (ver >= 2) {
+        const corr = 1 - 3 / (dim - 7);
+        const ex = tl.x + corr * (par[0] - tl.x), ey = tl.y + corr * (par[1] - tl.y);
+        guesses = [...findAlignment(bits, w, h, ex, ey, module).map(p => [p.x, p.y]), [ex, ey]]
+          .map(br => ({ br, mod: dim - 6.5 }));
+      }
+      for (const { br, mod } of guesses) {
+        const map = homography(
+          [[3.5, 3.5], [dim - 3.5, 3.5], [3.5, dim - 3.5], [mod, mod]],
+          [[tl.x, tl.y], [tr.x, tr.y], [bl.x, bl.y], br]
+        );
+        if (!map) continue;
+        const grid = new Uint8Array(dim * dim);
+        for (let y = 0; y < dim; y++) {
+          for (let x = 0; x < dim; x++) {
+            const [px, py] = map(x + 0.5, y + 0.5);
+            const ix = Math.round(px), iy = Math.round(py);
+            grid[y * dim + x] = ix >= 0 && iy >= 0 && ix < w && iy < h ? bits[iy * w + ix] : 0;
+          }
+        }
+        const text = decodeMatrix((x, y) => grid[y * dim + x], dim);
+        if (text !== null && text !== "") return text;
+      }
+    }
+    return null;
+  }
+
+  /* ---------- Public ---------- */
+  function decode(img) {
+    const { width: w, height: h } = img;
+    const bits = binarize(luminance(img), w, h);
+    const qr = decodeQr(bits, w, h);
+    if (qr) return { format: "qr_code", rawValue: qr };
+    return scan1D(bits, w, h);
+  }
+
+  return { decode, formats: ["code_128", "ean_13", "qr_code"] };
+})();
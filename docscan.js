@@ -0,0 +1,329 @@
+/* Lagerverwaltung – Dokumentenscanner: Blattkanten finden, Perspektive entzerren, Scan-Filter
+ *
+ * DocScan.detect(source)           → [tl, tr, br, bl] ({x, y} in Pixeln der Quelle) | null
+ * DocScan.warp(source, corners)    → Canvas mit dem entzerrten Blatt (längste Kante ≤ 2500 px)
+ * DocScan.enhance(canvas)          → derselbe Canvas, Graustufen mit weißem Hintergrund ("Dokument")
+ * DocScan.fingerprint(source)      → Kennung der Druckverteilung (Hex) für die Suche nach Doppelfotos
+ * DocScan.distance(a, b)           → 0 (gleich) … 1 (verschieden)
+ *   source: Canvas | ImageBitmap | HTMLImageElement
+ *
+ * Erkennung: helles Blatt vor dunklerem Untergrund (Otsu-Schwelle auf verkleinertem Bild),
+ * größte zusammenhängende Fläche, konvexe Hülle auf vier Ecken reduziert. Liegt das Blatt auf
+ * hellem Grund, wird nichts gefunden und die Ecken werden von Hand gesetzt.
+ */
+const DocScan = (() => {
+  const DETECT_EDGE = 480;
+  const MAX_EDGE = 2500;
+
+  let createCanvas = (w, h) => {
+    const c = document.createElement("canvas");
+    c.width = w; c.height = h;
+    return c;
+  };
+
+  const sizeOf = (src) => ({ w: src.width || src.naturalWidth, h: src.height || src.naturalHeight });
+
+  function pixels(src, w, h) {
+    const c = createCanvas(w, h);
+    const g = c.getContext("2d");
+    g.drawImage(src, 0, 0, w, h);
+    return g.getImageData(0, 0, w, h);
+  }
+
+  function otsu(gray) {
+    const hist = new Float64Array(256);
+    for (const v of gray) hist[v]++;
+    let sum = 0;
+    for (let i = 0; i < 256; i++) sum += i * hist[i];
+    let sumB = 0, wB = 0, best = 0, t = 128;
+    for (let i = 0; i < 256; i++) {
+      wB += hist[i];
+      if (!wB) continue;
+      const wF = gray.length - wB;
+      if (!wF) break;
+      sumB += i * hist[i];
+      const mB = sumB / wB, mF = (sum - sumB) / wF;
+      const between = wB * wF * (mB - mF) ** 2;
+      if (between > best) { best = between; t = i; }
+    }
+    return t;
+  }
+
+  function hull(points) {
+    points.sort((a, b) => a.x - b.x || a.y - b.y);
+    const cross = (o, a, b) => (a.x - o.x) * (b.y - o.y) - (a.y - o.y) * (b.x - o.x);
+    const lower = [], upper = [];
+    for (const p of points) {
+      while (lower.length >= 2 && cross(lower[lower.length - 2], lower[lower.length - 1], p) <= 0) lower.pop();
+      lower.push(p);
+    }
+    for (let i = points.length - 1; i >= 0; i--) {
+      const p = points[i];
+      while (upper.length >= 2 && cross(upper[upper.length - 2], upper[upper.length - 1], p) <= 0) upper.pop();
+      upper.push(p);
+    }
+    return lower.slice(0, -1).concat(upper.slice(0, -1));
+  }
+
+  const area = (poly) => Math.abs(poly.reduce((n, p, i) => {
+    const q = poly[(i + 1) % poly.length];
+    return n + p.x * q.y - q.x * p.y;
+  }, 0)) / 2;
+
+  // drop the hull vertex that costs the least area until a quadrilateral is left
+  function toQuad(poly) {
+    poly = poly.slice();
+    while (poly.length > 4) {
+      let k = 0, least = Infinity;
+      for (let i = 0; i < poly.length; i++) {
+        const a = poly[(i + poly.length - 1) % poly.length], b = poly[i], c = poly[(i + 1) % poly.length];
+        const loss = Math.abs((b.x - a.x) * (c.y - a.y) - (b.y - a.y) * (c.x - a.x)) / 2;
+        if (loss < least) { least = loss; k = i; }
+      }
+      poly.splice(k, 1);
+    }
+    return poly;
+  }
+
+  // tl, tr, br, bl
+  function order(quad) {
+    const cx = quad.reduce((n, p) => n + p.x, 0) / 4, cy = quad.reduce((n, p) => n + p.y, 0) / 4;
+    const s = quad.slice().sort((a, b) => Math.atan2(a.y - cy, a.x - cx) - Math.atan2(b.y - cy, b.x - cx));
+    // by angle around the centre = clockwise on screen; start at the corner nearest the origin
+    let first = 0;
+    s.forEach((p, i) => { if (p.x + p.y < s[first].x + s[first].y) first = i; });
+    return [...s.slice(first), ...s.slice(0, first)];
+  }
+
+  function detect(src) {
+    const { w: sw, h: sh } = sizeOf(src);
+    const s = Math.min(1, DETECT_EDGE / Math.max(sw, sh));
+    const w = Math.max(1, Math.round(sw * s)), h = Math.max(1, Math.round(sh * s));
+    const { data } = pixels(src, w, h);
+
+    // grayscale with a 3×3 box blur, so paper texture and print do not fragment the sheet
+    const raw = new Uint8Array(w * h);
+    for (let i = 0, j = 0; i < raw.length; i++, j += 4) raw[i] = (data[j] * 77 + data[j + 1] * 150 + data[j + 2] * 29) >> 8;
+    const gray = new Uint8Array(w * h);
+    for (let y = 0; y < h; y++) {
+      for (let x = 0; x < w; x++) {
+        let n = 0, c = 0;
+        for (let dy = -1; dy <= 1; dy++) for (let dx = -1; dx <= 1; dx++) {
+          const yy = y + dy, xx = x + dx;
+          if (yy < 0 || yy >= h || xx < 0 || xx >= w) continue;
+          n += raw[yy * w + xx]; c++;
+        }
+        gray[y * w + x] = n / c;
+      }
+    }
+    const t = otsu(gray);
+    let nb = 0, sb = 0, sd = 0;
+    for (const v of gray) if (v > t) { nb++; sb += v; } else sd += v;
+    if (!nb || nb === gray.length || sb / nb - sd / (gray.length - nb) < 40) return null;
+    const bright = new Uint8Array(w * h);
+    for (let i = 0; i < gray.length; i++) bright[i] = gray[i] > t ? 1 : 0;
+
+    // largest bright region (flood fill, 4-neighbourhood)
+    const seen = new Uint8Array(w * h);
+    let best = null;
+    const stack = [];
+    for (let start = 0; start < bright.length; start++) {
+      if (!bright[start] || seen[start]) continue;
+      const region = [];
+      stack.push(start); seen[start] = 1;
+      while (stack.length) {
+        const i = stack.pop();
+        region.push(i);
+        const x = i % w, y = (i / w) | 0;
+        if (x > 0 && bright[i - 1] && !seen[i - 1]) { seen[i - 1] = 1; stack.push(i - 1); }
+        if (x < w - 1 && bright[i + 1] && !seen[i + 1]) { seen[i + 1] = 1; stack.push(i + 1); }
+        if (y > 0 && bright[i - w] && !seen[i - w]) { seen[i - w] = 1; stack.push(i - w); }
+        if (y < h - 1 && bright[i + w] && !seen[i + w]) { seen[i + w] = 1; stack.push(i + w); }
+      }
+      if (!best || region.length > best.length) best = region;
+    }
+    if (!best || best.length < w * h * 0.15) return null;
+
+    // only the outline matters for the hull: leftmost and rightmost pixel of every row
+    const edge = [];
+    const rows = new Map();
+    for (const i of best) {
+      const x = i % w, y = (i / w) | 0;
+      const r = rows.get(y);
+      if (!r) rows.set(y, [x, x]);
+      else { if (x < r[0]) r[0] = x; if (x > r[1]) r[1] = x; }
+    }
+    for (const [y, [x0, x1]] of rows) edge.push({ x: x0, y }, { x: x1 + 1, y }, { x: x0, y: y + 1 }, { x: x1 + 1, y: y + 1 });
+    const quad = toQuad(hull(edge));
+    if (quad.length < 4) return null;
+    const q = area(quad);
+    // the sheet must fill a fair part of the frame and be roughly four-cornered
+    if (q < w * h * 0.15 || q < area(hull(edge)) * 0.85) return null;
+    // a region that fills the whole frame is background, not paper
+    if (q > w * h * 0.97) return null;
+    return order(quad).map(p => ({ x: p.x / s, y: p.y / s }));
+  }
+
+  // homography mapping the unit square onto the quad (tl, tr, br, bl)
+  function squareToQuad([p0, p1, p2, p3]) {
+    const dx1 = p1.x - p2.x, dx2 = p3.x - p2.x, dx3 = p0.x - p1.x + p2.x - p3.x;
+    const dy1 = p1.y - p2.y, dy2 = p3.y - p2.y, dy3 = p0.y - p1.y + p2.y - p3.y;
+    let g = 0, h = 0;
+    if (dx3 || dy3) {
+      const den = dx1 * dy2 - dx2 * dy1;
+      g = (dx3 * dy2 - dx2 * dy3) / den;
+      h = (dx1 * dy3 - dx3 * dy1) / den;
+    }
+    return {
+      a: p1.x - p0.x + g * p1.x, b: p3.x - p0.x + h * p3.x, c: p0.x,
+      d: p1.y - p0.y + g * p1.y, e: p3.y - p0.y + h * p3.y, f: p0.y,
+      g, h
+    };
+  }
+
+  function warp(src, corners) {
+    const { w: sw, h: sh } = sizeOf(src);
+    const [tl, tr, br, bl] = corners;
+    const len = (a, b) => Math.hypot(a.x - b.x, a.y - b.y);
+    let ow = Math.max(len(tl, tr), len(bl, br)), oh = Math.max(len(tl, bl), len(tr, br));
+    const s = Math.min(1, MAX_EDGE / Math.max(ow, oh));
+    ow = Math.max(1, Math.round(ow * s)); oh = Math.max(1, Math.round(oh * s));
+
+    const from = pixels(src, sw, sh).data;
+    const out = createCanvas(ow, oh);
+    const g = out.getContext("2d");
+    const img = g.createImageData(ow, oh);
+    const dst = img.data;
+    const m = squareToQuad(corners);
+    for (let y = 0; y < oh; y++) {
+      const v = (y + 0.5) / oh;
+      for (let x = 0; x < ow; x++) {
+        const u = (x + 0.5) / ow;
+        const z = m.g * u + m.h * v + 1;
+        let fx = (m.a * u + m.b * v + m.c) / z - 0.5;
+        let fy = (m.d * u + m.e * v + m.f) / z - 0.5;
+        fx = Math.min(sw - 1.001, Math.max(0, fx));
+        fy = Math.min(sh - 1.001, Math.max(0, fy));
+        const x0 = fx | 0, y0 = fy | 0, ax = fx - x0, ay = fy - y0;
+        const i00 = (y0 * sw + x0) * 4, i10 = i00 + 4, i01 = i00 + sw * 4, i11 = i01 + 4;
+        const o = (y * ow + x) * 4;
+        for (let k = 0; k < 3; k++) {
+          const top = from[i00 + k] + (from[i10 + k] - from[i00 + k]) * ax;
+          const bot = from[i01 + k] + (from[i11 + k] - from[i01 + k]) * ax;
+          dst[o + k] = top + (bot - top) * ay;
+        }
+        dst[o + 3] = 255;
+      }
+    }
+    g.putImageData(img, 0, 0);
+    return out;
+  }
+
+  /* Divides every pixel by the local paper brightness: shadows and yellowish light vanish,
+     print stays dark. Then a gentle curve pushes the paper to white. */
+  function enhance(canvas) {
+    const w = canvas.width, h = canvas.height;
+    const g = canvas.getContext("2d");
+    const img = g.getImageData(0, 0, w, h);
+    const d = img.data;
+    const gray = new Float32Array(w * h);
+    for (let i = 0, j = 0; i < gray.length; i++, j += 4) gray[i] = 0.299 * d[j] + 0.587 * d[j + 1] + 0.114 * d[j + 2];
+
+    // paper brightness per grid cell: 90th percentile, so print inside the cell does not count
+    const cell = Math.max(16, Math.round(Math.max(w, h) / 40));
+    const gw = Math.ceil(w / cell), gh = Math.ceil(h / cell);
+    const bg = new Float32Array(gw * gh);
+    for (let cy = 0; cy < gh; cy++) {
+      for (let cx = 0; cx < gw; cx++) {
+        const vals = [];
+        for (let y = cy * cell; y < Math.min(h, (cy + 1) * cell); y += 2) {
+          for (let x = cx * cell; x < Math.min(w, (cx + 1) * cell); x += 2) vals.push(gray[y * w + x]);
+        }
+        vals.sort((a, b) => a - b);
+        bg[cy * gw + cx] = vals[Math.floor(vals.length * 0.9)] || 255;
+      }
+    }
+    for (let y = 0; y < h; y++) {
+      const fy = Math.min(gh - 1, Math.max(0, y / cell - 0.5));
+      const y0 = fy | 0, y1 = Math.min(gh - 1, y0 + 1), ay = fy - y0;
+      for (let x = 0; x < w; x++) {
+        const fx = Math.min(gw - 1, Math.max(0, x / cell - 0.5));
+        const x0 = fx | 0, x1 = Math.min(gw - 1, x0 + 1), ax = fx - x0;
+        const b = (bg[y0 * gw + x0] * (1 - ax) + bg[y0 * gw + x1] * ax) * (1 - ay) +
+          (bg[y1 * gw + x0] * (1 - ax) + bg[y1 * gw + x1] * ax) * ay;
+        let v = Math.min(1, gray[y * w + x] / Math.max(b, 1));
+        v = v > 0.9 ? 1 : Math.pow(v / 0.9, 1.6);
+        const o = (y * w + x) * 4;
+        d[o] = d[o + 1] = d[o + 2] = Math.round(v * 255);
+      }
+    }
+    g.putImageData(img, 0, 0);
+    return canvas;
+  }
+
+  /* Fingerprint for near-duplicate pages: ink density on a 16×16 grid laid over the printed
+     area (robust bounding box of the ink), so margins, crop and lighting hardly matter.
+     Hex string, one digit per cell. */
+  const FP = 16;
+  function fingerprint(src) {
+    const { w: sw, h: sh } = sizeOf(src);
+    const w = 400, h = Math.max(1, Math.round(400 * sh / sw));
+    const { data } = pixels(src, w, h);
+    const gray = new Float32Array(w * h);
+    for (let i = 0, j = 0; i < gray.length; i++, j += 4) gray[i] = 0.299 * data[j] + 0.587 * data[j + 1] + 0.114 * data[j + 2];
+    const W = w + 1;
+    const integral = new Float64Array(W * (h + 1));
+    for (let y = 0; y < h; y++) {
+      let row = 0;
+      for (let x = 0; x < w; x++) {
+        row += gray[y * w + x];
+        integral[(y + 1) * W + x + 1] = integral[y * W + x + 1] + row;
+      }
+    }
+    const r = 8;
+    const ink = [];
+    for (let y = 0; y < h; y++) {
+      const y0 = Math.max(0, y - r), y1 = Math.min(h, y + r + 1);
+      for (let x = 0; x < w; x++) {
+        const x0 = Math.max(0, x - r), x1 = Math.min(w, x + r + 1);
+        const mean = (integral[y1 * W + x1] - integral[y0 * W + x1] - integral[y1 * W + x0] + integral[y0 * W + x0]) / ((x1 - x0) * (y1 - y0));
+        const v = gray[y * w + x];
+        if (v < mean * 0.85 && v < 200) ink.push(x, y);
+      }
+    }
+    if (ink.length < 200) return "";
+    const xs = ink.filter((_, i) => !(i & 1)).sort((a, b) => a - b);
+    const ys = ink.filter((_, i) => i & 1).sort((a, b) => a - b);
+    const q = (a, p) => a[Math.floor(p * (a.length - 1))];
+    const bx0 = q(xs, 0.01), bx1 = q(xs, 0.99) + 1, by0 = q(ys, 0.01), by1 = q(ys, 0.99) + 1;
+
+    // every ink pixel is shared among the four nearest cells, so a small shift changes little
+    const cells = new Float32Array(FP * FP);
+    for (let i = 0; i < ink.length; i += 2) {
+      const fx = (ink[i] - bx0) * FP / (bx1 - bx0) - 0.5, fy = (ink[i + 1] - by0) * FP / (by1 - by0) - 0.5;
+      const ix = Math.floor(fx), iy = Math.floor(fy), ax = fx - ix, ay = fy - iy;
+      for (const [cx, cy, wt] of [[ix, iy, (1 - ax) * (1 - ay)], [ix + 1, iy, ax * (1 - ay)], [ix, iy + 1, (1 - ax) * ay], [ix + 1, iy + 1, ax * ay]]) {
+        if (cx >= 0 && cx < FP && cy >= 0 && cy < FP) cells[cy * FP + cx] += wt;
+      }
+    }
+    const max = Math.max(...cells) || 1;
+    return [...cells].map(v => Math.round(v / max * 15).toString(16)).join("");
+  }
+
+  // 0 = same ink layout, 1 = nothing in common
+  function distance(a, b) {
+    if (!a || !b || a.length !== b.length) return 1;
+    let diff = 0, all = 0;
+    for (let i = 0; i < a.length; i++) {
+      const x = parseInt(a[i], 16), y = parseInt(b[i], 16);
+      diff += Math.abs(x - y);
+      all += x + y;
+    }
+    return all ? diff / all : 1;
+  }
+
+  return {
+    detect, warp, enhance, fingerprint, distance,
+    setCanvasFactory(fn) { createCanvas = fn; }
+  };
+})();
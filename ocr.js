@@ -0,0 +1,348 @@
+/* Lagerverwaltung – Texterkennung (OCR) für gedruckte Lieferscheine, offline, ohne externe Abhängigkeiten
+ *
+ * Ocr.recognize(source) → { lines: [{ text, x, y, w, h, words: [{ text, x, y, w, h, conf }] }], text }
+ *   source: HTMLCanvasElement | OffscreenCanvas | ImageBitmap | HTMLImageElement | ImageData
+ *
+ * Verfahren: adaptives Binarisieren → Zusammenhangskomponenten → Textzeilen → Zeichen →
+ * Vergleich mit Schablonen, die beim ersten Aufruf aus den Schriften des Geräts gerendert werden
+ * (Sans, Serif, Mono, jeweils normal und fett). Gedacht für Maschinenschrift; Handschrift wird nicht erkannt.
+ * Das Bild verlässt das Gerät nicht.
+ */
+const Ocr = (() => {
+  const CHARS = "0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyzÄÖÜäöüß.,:-/()#&+";
+  const FONTS = [
+    "Arial, Helvetica, 'DejaVu Sans', Roboto, sans-serif",
+    "'Times New Roman', Times, 'DejaVu Serif', serif",
+    "'Courier New', Courier, 'DejaVu Sans Mono', monospace"
+  ];
+  const GRID = 12;           // feature grid per glyph
+  const MAX_EDGE = 2400;     // larger photos are scaled down first
+  const REF = 64;            // template font size in px
+
+  let createCanvas = (w, h) => {
+    if (typeof OffscreenCanvas !== "undefined") return new OffscreenCanvas(w, h);
+    const c = document.createElement("canvas");
+    c.width = w; c.height = h;
+    return c;
+  };
+  let templates = null;
+
+  /* ---------- Bitmaps ---------- */
+  function toGray(src, maxEdge) {
+    let img;
+    if (typeof ImageData !== "undefined" && src instanceof ImageData) img = src;
+    else if (src.data && src.width && src.height && !src.getContext) img = src;
+    else {
+      const sw = src.width || src.naturalWidth, sh = src.height || src.naturalHeight;
+      const s = Math.min(1, maxEdge / Math.max(sw, sh));
+      const w = Math.round(sw * s), h = Math.round(sh * s);
+      const c = createCanvas(w, h);
+      const g = c.getContext("2d");
+      g.drawImage(src, 0, 0, w, h);
+      img = g.getImageData(0, 0, w, h);
+    }
+    const { width: w, height: h, data } = img;
+    const gray = new Uint8Array(w * h);
+    for (let i = 0, j = 0; i < gray.length; i++, j += 4) {
+      gray[i] = (data[j] * 77 + data[j + 1] * 150 + data[j + 2] * 29) >> 8;
+    }
+    return { w, h, gray };
+  }
+
+  function scaled(src, w, h, f) {
+    let from = src;
+    if (!src.getContext && src.data) {
+      from = createCanvas(w, h);
+      from.getContext("2d").putImageData(src, 0, 0);
+    }
+    const c = createCanvas(w * f, h * f);
+    const g = c.getContext("2d");
+    g.imageSmoothingQuality = "high";
+    g.drawImage(from, 0, 0, w * f, h * f);
+    return c;
+  }
+
+  /* Mean over a window from the integral image; ink = clearly darker than the surroundings.
+     Copes with shadows and uneven light on photos. */
+  function binarize({ w, h, gray }) {
+    const W = w + 1;
+    const integral = new Float64Array(W * (h + 1));
+    for (let y = 0; y < h; y++) {
+      let row = 0;
+      for (let x = 0; x < w; x++) {
+        row += gray[y * w + x];
+        integral[(y + 1) * W + x + 1] = integral[y * W + x + 1] + row;
+      }
+    }
+    const r = Math.max(8, Math.round(Math.min(w, h) / 40));
+    const bin = new Uint8Array(w * h);
+    for (let y = 0; y < h; y++) {
+      const y0 = Math.max(0, y - r), y1 = Math.min(h, y + r + 1);
+      for (let x = 0; x < w; x++) {
+        const x0 = Math.max(0, x - r), x1 = Math.min(w, x + r + 1);
+        const sum = integral[y1 * W + x1] - integral[y0 * W + x1] - integral[y1 * W + x0] + integral[y0 * W + x0];
+        const mean = sum / ((x1 - x0) * (y1 - y0));
+        const v = gray[y * w + x];
+        if (v < mean * 0.85 && v < 200) bin[y * w + x] = 1;
+      }
+    }
+    return bin;
+  }
+
+  /* Connected components (8-neighbourhood) with bounding boxes */
+  function components(bin, w, h) {
+    const labels = new Int32Array(w * h);
+    const parent = [0];
+    const find = (a) => { while (parent[a] !== a) { parent[a] = parent[parent[a]]; a = parent[a]; } return a; };
+    const union = (a, b) => { a = find(a); b = find(b); if (a !== b) parent[Math.max(a, b)] = Math.min(a, b); };
+    let next = 1;
+    for (let y = 0; y < h; y++) {
+      for (let x = 0; x < w; x++) {
+        const i = y * w + x;
+        if (!bin[i]) continue;
+        const n = [];
+        if (x > 0 && labels[i - 1]) n.push(labels[i - 1]);
+        if (y > 0) {
+          if (labels[i - w]) n.push(labels[i - w]);
+          if (x > 0 && labels[i - w - 1]) n.push(labels[i - w - 1]);
+          if (x < w - 1 && labels[i - w + 1]) n.push(labels[i - w + 1]);
+        }
+        if (!n.length) { labels[i] = next; parent.push(next); next++; continue; }
+        let m = n[0];
+        for (const l of n) if (l < m) m = l;
+        labels[i] = m;
+        for (const l of n) if (l !== m) union(l, m);
+      }
+    }
+    const boxes = new Map();
+    for (let y = 0; y < h; y++) {
+      for (let x = 0; x < w; x++) {
+        const l = labels[y * w + x];
+        if (!l) continue;
+        const root = find(l);
+        labels[y * w + x] = root;
+        let b = boxes.get(root);
+        if (!b) { b = { id: root, x0: x, y0: y, x1: x, y1: y, n: 0 }; boxes.set(root, b); }
+        if (x < b.x0) b.x0 = x; if (x > b.x1) b.x1 = x;
+        if (y < b.y0) b.y0 = y; if (y > b.y1) b.y1 = y;
+        b.n++;
+      }
+    }
+    return { labels, boxes: [...boxes.values()] };
+  }
+
+  /* Feature vector of one glyph: ink share per grid cell of its bounding box */
+  function gridOf(test, x0, y0, gw, gh) {
+    const f = new Float32Array(GRID * GRID);
+    for (let gy = 0; gy < GRID; gy++) {
+      const ya = y0 + (gy * gh) / GRID, yb = y0 + ((gy + 1) * gh) / GRID;
+      for (let gx = 0; gx < GRID; gx++) {
+        const xa = x0 + (gx * gw) / GRID, xb = x0 + ((gx + 1) * gw) / GRID;
+        let ink = 0, all = 0;
+        for (let y = Math.floor(ya); y < Math.ceil(yb); y++) {
+          const wy = Math.min(yb, y + 1) - Math.max(ya, y);
+          for (let x = Math.floor(xa); x < Math.ceil(xb); x++) {
+            const wx = Math.min(xb, x + 1) - Math.max(xa, x);
+            const a = wx * wy;
+            all += a;
+            if (test(x, y)) ink += a;
+          }
+        }
+        f[gy * GRID + gx] = all ? ink / all : 0;
+      }
+    }
+    return f;
+  }
+
+  /* ---------- Templates ---------- */
+  function buildTemplates() {
+    const size = REF * 2;
+    const c = createCanvas(size, size);
+    const g = c.getContext("2d", { willReadFrequently: true });
+    const base = Math.round(size * 0.7);
+    const out = [];
+    for (const family of FONTS) {
+      for (const weight of ["normal", "bold"]) {
+        g.font = `${weight} ${REF}px ${family}`;
+        const render = (ch) => {
+          g.fillStyle = "#fff";
+          g.fillRect(0, 0, size, size);
+          g.fillStyle = "#000";
+          g.fillText(ch, REF / 4, base);
+          const d = g.getImageData(0, 0, size, size).data;
+          const ink = (x, y) => d[(y * size + x) * 4] < 128;
+          let x0 = size, y0 = size, x1 = -1, y1 = -1;
+          for (let y = 0; y < size; y++) for (let x = 0; x < size; x++) {
+            if (!ink(x, y)) continue;
+            if (x < x0) x0 = x; if (x > x1) x1 = x;
+            if (y < y0) y0 = y; if (y > y1) y1 = y;
+          }
+          return x1 < 0 ? null : { ink, x0, y0, x1, y1 };
+        };
+        const H = render("H");
+        if (!H) continue;
+        const cap = base - H.y0;
+        for (const ch of CHARS) {
+          const r = render(ch);
+          if (!r) continue;
+          const gw = r.x1 - r.x0 + 1, gh = r.y1 - r.y0 + 1;
+          out.push({
+            ch,
+            grid: gridOf(r.ink, r.x0, r.y0, gw, gh),
+            aspect: gw / gh,
+            top: (base - r.y0) / cap,            // height above the baseline, in cap heights
+            bottom: (r.y1 + 1 - base) / cap      // depth below the baseline
+          });
+        }
+      }
+    }
+    return out;
+  }
+
+  function classify(glyph) {
+    let best = null, bestD = Infinity, second = Infinity;
+    for (const t of templates) {
+      let d = 0;
+      for (let i = 0; i < t.grid.length; i++) { const e = t.grid[i] - glyph.grid[i]; d += e * e; }
+      d /= t.grid.length;
+      const da = Math.log((t.aspect + 0.05) / (glyph.aspect + 0.05));
+      d += 0.05 * da * da + 0.12 * (t.top - glyph.top) ** 2 + 0.12 * (t.bottom - glyph.bottom) ** 2;
+      if (d < bestD) {
+        if (!best || t.ch !== best.ch) second = bestD;
+        bestD = d; best = t;
+      } else if (d < second && t.ch !== best.ch) second = d;
+    }
+    return { ch: best.ch, conf: second === Infinity ? 1 : Math.max(0, Math.min(1, 1 - bestD / second)) };
+  }
+
+  /* ---------- Layout ---------- */
+  const median = (arr) => {
+    const s = [...arr].sort((a, b) => a - b);
+    return s.length ? s[s.length >> 1] : 0;
+  };
+  const quantile = (arr, q) => {
+    const s = [...arr].sort((a, b) => a - b);
+    return s.length ? s[Math.min(s.length - 1, Math.floor(q * s.length))] : 0;
+  };
+
+  /* Shapes that look the same in many fonts are decided by their neighbours:
+     O/I/l between digits are 0/1, an I inside a lower-case word is an l. */
+  function tidy(word) {
+    return word.split(/([.,:\-/])/).map(seg => {
+      if (/\d/.test(seg) && /^[\dOoIl]+$/.test(seg)) return seg.replace(/[Oo]/g, "0").replace(/[Il]/g, "1");
+      if (!/\d/.test(seg) && /[a-zäöüß]/.test(seg)) return seg.replace(/(?!^)I/g, "l");
+      return seg;
+    }).join("");
+  }
+
+  function recognize(source, upscaled) {
+    if (!templates) templates = buildTemplates();
+    const img = toGray(source, upscaled ? MAX_EDGE * 2 : MAX_EDGE);
+    const { w, h } = img;
+    const bin = binarize(img);
+    const { labels, boxes } = components(bin, w, h);
+
+    // drop specks, table rules and pictures
+    const maxH = h / 12;
+    const parts = boxes.filter(b => {
+      const bw = b.x1 - b.x0 + 1, bh = b.y1 - b.y0 + 1;
+      if (bh > maxH || bw > w / 6) return false;
+      if (bw > 12 * bh || bh > 12 * bw && bh > 40) return false;
+      return b.n >= 3;
+    });
+
+    // lines: in x order, every part joins the line whose band contains its vertical centre.
+    // Small parts (dots, commas, accents) come second so they cannot start a line of their own.
+    parts.sort((a, b) => a.x0 - b.x0);
+    const typical = median(parts.map(b => b.y1 - b.y0 + 1));
+    // small print from a far-away photo: twice the pixels separate touching letters
+    if (typical && typical < 16 && !upscaled && w * h <= 3e6) {
+      return recognize(scaled(source, w, h, 2), true);
+    }
+    const lines = [];
+    const place = (g, open) => {
+      const cy = (g.y0 + g.y1) / 2, gh = g.y1 - g.y0 + 1;
+      for (const l of lines) {
+        const lh = l.y1 - l.y0 + 1;
+        const slack = open ? lh * 0.1 : lh * 0.35;
+        if (cy < l.y0 - slack || cy > l.y1 + slack) continue;
+        if (g.x0 - l.x1 > lh * 3 || l.x0 - g.x1 > lh * 3) continue;
+        if (gh > lh * 2.5) continue;
+        l.parts.push(g);
+        if (open) {
+          l.x0 = Math.min(l.x0, g.x0); l.x1 = Math.max(l.x1, g.x1);
+          l.y0 = Math.min(l.y0, g.y0); l.y1 = Math.max(l.y1, g.y1);
+        }
+        return;
+      }
+      if (open) lines.push({ x0: g.x0, y0: g.y0, x1: g.x1, y1: g.y1, parts: [g] });
+    };
+    for (const p of parts) if (p.y1 - p.y0 + 1 >= typical * 0.5) place(p, true);
+    for (const p of parts) if (p.y1 - p.y0 + 1 < typical * 0.5) place(p, false);
+
+    const result = [];
+    for (const l of lines) {
+      // glyphs: parts that overlap horizontally are one character (i, j, ä, :, ;)
+      l.parts.sort((a, b) => a.x0 - b.x0);
+      const gl = [];
+      for (const p of l.parts) {
+        const g = gl[gl.length - 1];
+        const overlap = g ? Math.min(g.x1, p.x1) - Math.max(g.x0, p.x0) + 1 : 0;
+        const narrow = g ? Math.min(g.x1 - g.x0, p.x1 - p.x0) + 1 : 1;
+        if (g && overlap >= narrow * 0.5) {
+          g.ids.push(p.id);
+          g.x0 = Math.min(g.x0, p.x0); g.x1 = Math.max(g.x1, p.x1);
+          g.y0 = Math.min(g.y0, p.y0); g.y1 = Math.max(g.y1, p.y1);
+        } else gl.push({ x0: p.x0, y0: p.y0, x1: p.x1, y1: p.y1, ids: [p.id] });
+      }
+      if (gl.length < 2) continue;
+      const bottoms = gl.map(g => g.y1 + 1);
+      const base = median(bottoms);
+      const cap = Math.max(3, quantile(gl.map(g => base - g.y0), 0.85));
+      if (cap < 6) continue;
+
+      const words = [];
+      let word = null;
+      let prev = null;
+      for (const g of gl) {
+        const ids = new Set(g.ids);
+        const gw = g.x1 - g.x0 + 1, gh = g.y1 - g.y0 + 1;
+        const feat = {
+          grid: gridOf((x, y) => ids.has(labels[y * w + x]), g.x0, g.y0, gw, gh),
+          aspect: gw / gh,
+          top: (base - g.y0) / cap,
+          bottom: (g.y1 + 1 - base) / cap
+        };
+        const { ch, conf } = classify(feat);
+        const gap = prev ? g.x0 - prev.x1 - 1 : 0;
+        if (!word || gap > cap * 0.38) {
+          word = { chars: [], x0: g.x0, y0: g.y0, x1: g.x1, y1: g.y1 };
+          words.push(word);
+        }
+        word.chars.push({ ch, conf });
+        word.x1 = Math.max(word.x1, g.x1);
+        word.y0 = Math.min(word.y0, g.y0);
+        word.y1 = Math.max(word.y1, g.y1);
+        prev = g;
+      }
+      const ws = words.map(wd => ({
+        text: tidy(wd.chars.map(c => c.ch).join("")),
+        x: wd.x0, y: wd.y0, w: wd.x1 - wd.x0 + 1, h: wd.y1 - wd.y0 + 1,
+        conf: wd.chars.reduce((n, c) => n + c.conf, 0) / wd.chars.length
+      }));
+      result.push({
+        text: ws.map(x => x.text).join(" "),
+        x: l.x0, y: l.y0, w: l.x1 - l.x0 + 1, h: l.y1 - l.y0 + 1,
+        words: ws
+      });
+    }
+    result.sort((a, b) => (Math.abs(a.y - b.y) < Math.min(a.h, b.h) / 2 ? a.x - b.x : a.y - b.y));
+    return { lines: result, text: result.map(l => l.text).join("\n") };
+  }
+
+  return {
+    recognize,
+    // tests and workers can bring their own canvas implementation
+    setCanvasFactory(fn) { createCanvas = fn; templates = null; }
+  };
+})();
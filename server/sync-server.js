@@ -0,0 +1,179 @@
+/* Lagerverwaltung – Referenz-Sync-Server (Node ≥ 18, ohne externe Abhängigkeiten)
+ *
+ * Lokaler Gegenpart zum Outbox-Sync der App, zum Testen ohne das echte Backend.
+ *
+ *   node server/sync-server.js            → http://localhost:8787
+ *   PORT=9000 SYNC_DATA=/tmp/lv SYNC_TOKEN=geheim node server/sync-server.js
+ *
+ * In der App unter Admin → Sync-Server die Adresse eintragen (z. B. http://192.168.0.10:8787).
+ *
+ * Endpunkte
+ *   POST /push                { device, changes: [{ id, store, key, op: "put"|"delete", record }] }
+ *                             → { results: [{ id, ok, error?, superseded? }] }
+ *   GET  /pull?since=&device=&limit=
+ *                             → { changes: [{ seq, store, key, op, record }], cursor, more }
+ *   HEAD|GET|PUT /blobs/:sha256   Bild- und Zeichnungsdateien, PUT prüft den Hash
+ *   GET  /health
+ *
+ * Pro Datensatz wird nur der letzte Stand gehalten (last writer wins über updated_at/created_at/ts).
+ * Änderungen des anfragenden Geräts werden bei /pull übersprungen.
+ * Ohne SYNC_TOKEN nimmt der Server jede Anfrage an – dann nur in einem vertrauenswürdigen Netz betreiben.
+ */
+"use strict";
+
+const http = require("http");
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+const PORT = Number(process.env.PORT) || 8787;
+const DATA_DIR = path.resolve(process.env.SYNC_DATA || path.join(__dirname, "data"));
+const TOKEN = process.env.SYNC_TOKEN || "";
+const STORES = ["inbound_docs", "inbound_images", "logs", "dnd_items", "purchase_orders", "journal", "zones", "bins", "home_bins", "articles", "users", "suppliers", "doc_states", "drawings"];
+const BLOB_STORES = ["inbound_images", "drawings"];
+const MAX_JSON = 5 * 1024 * 1024;
+const MAX_BLOB = 25 * 1024 * 1024;
+
+const STATE_FILE = path.join(DATA_DIR, "state.json");
+const BLOB_DIR = path.join(DATA_DIR, "blobs");
+fs.mkdirSync(BLOB_DIR, { recursive: true });
+
+/* ---------- State ---------- */
+// records: "store:key" -> { seq, store, key, op, record, device, stamp }
+const state = loadState();
+
+function loadState() {
+  try {
+    const raw = JSON.parse(fs.readFileSync(STATE_FILE, "utf8"));
+    return { seq: raw.seq || 0, records: new Map(Object.entries(raw.records || {})) };
+  } catch {
+    return { seq: 0, records: new Map() };
+  }
+}
+
+function saveState() {
+  const tmp = `${STATE_FILE}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify({ seq: state.seq, records: Object.fromEntries(state.records) }));
+  fs.renameSync(tmp, STATE_FILE);
+}
+
+const stampOf = (r) => (r ? String(r.updated_at || r.created_at || r.ts || "") : "");
+const isSha = (s) => /^[0-9a-f]{64}$/.test(s);
+const blobPath = (sha) => path.join(BLOB_DIR, sha);
+
+/* ---------- HTTP helpers ---------- */
+function send(res, status, body, headers = {}) {
+  const isJson = body !== undefined && !Buffer.isBuffer(body);
+  res.writeHead(status, {
+    "Access-Control-Allow-Origin": "*",
+    "Access-Control-Allow-Headers": "Authorization, Content-Type",
+    "Access-Control-Allow-Methods": "GET, HEAD, POST, PUT, OPTIONS",
+    "Cache-Control": "no-store",
+    ...(isJson ? { "Content-Type": "application/json; charset=utf-8" } : {}),
+    ...headers
+  });
+  res.end(isJson ? JSON.stringify(body) : body);
+}
+
+function readBody(req, limit) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on("data", (c) => {
+      size += c.length;
+      if (size > limit) { reject(Object.assign(new Error("Payload zu groß"), { status: 413 })); req.destroy(); return; }
+      chunks.push(c);
+    });
+    req.on("end", () => resolve(Buffer.concat(chunks)));
+    req.on("error", reject);
+  });
+}
+
+/* ---------- Handlers ---------- */
+function applyChange(device, c) {
+  if (!c || typeof c.id !== "string") return { id: c && c.id, ok: false, error: "Ungültige Änderung" };
+  if (!STORES.includes(c.store)) return { id: c.id, ok: false, error: `Unbekannter Store ${c.store}` };
+  if (typeof c.key !== "string" || !c.key) return { id: c.id, ok: false, error: "Schlüssel fehlt" };
+  if (c.op !== "put" && c.op !== "delete") return { id: c.id, ok: false, error: `Unbekannte Operation ${c.op}` };
+  if (c.op === "put") {
+    if (!c.record || typeof c.record !== "object") return { id: c.id, ok: false, error: "Datensatz fehlt" };
+    if (String(c.record.id) !== c.key) return { id: c.id, ok: false, error: "Schlüssel passt nicht zum Datensatz" };
+    if (BLOB_STORES.includes(c.store) && !(isSha(c.record.sha256) && fs.existsSync(blobPath(c.record.sha256)))) {
+      return { id: c.id, ok: false, error: "Datei fehlt" };
+    }
+  }
+
+  const k = `${c.store}:${c.key}`;
+  const cur = state.records.get(k);
+  const stamp = c.op === "put" ? stampOf(c.record) : new Date().toISOString();
+  if (cur && cur.stamp > stamp) return { id: c.id, ok: true, superseded: true };
+
+  state.seq += 1;
+  state.records.set(k, { seq: state.seq, store: c.store, key: c.key, op: c.op, record: c.op === "put" ? c.record : null, device, stamp });
+  return { id: c.id, ok: true };
+}
+
+async function handlePush(req, res) {
+  const body = JSON.parse((await readBody(req, MAX_JSON)).toString("utf8") || "{}");
+  const device = String(body.device || "");
+  const changes = Array.isArray(body.changes) ? body.changes : [];
+  const results = changes.map((c) => applyChange(device, c));
+  saveState();
+  send(res, 200, { results });
+}
+
+function handlePull(url, res) {
+  const since = Number(url.searchParams.get("since")) || 0;
+  const device = url.searchParams.get("device") || "";
+  const limit = Math.min(1000, Number(url.searchParams.get("limit")) || 200);
+  const newer = [...state.records.values()].filter((r) => r.seq > since).sort((a, b) => a.seq - b.seq);
+
+  const changes = [];
+  let cursor = since;
+  let more = false;
+  for (const r of newer) {
+    if (changes.length >= limit) { more = true; break; }
+    cursor = r.seq;
+    if (r.device === device) continue;
+    changes.push({ seq: r.seq, store: r.store, key: r.key, op: r.op, record: r.record });
+  }
+  send(res, 200, { changes, cursor, more });
+}
+
+async function handleBlob(req, res, sha) {
+  if (!isSha(sha)) return send(res, 400, { error: "Ungültiger Hash" });
+  const file = blobPath(sha);
+  if (req.method === "PUT") {
+    const buf = await readBody(req, MAX_BLOB);
+    const actual = crypto.createHash("sha256").update(buf).digest("hex");
+    if (actual !== sha) return send(res, 400, { error: "Hash stimmt nicht" });
+    fs.writeFileSync(file, buf);
+    return send(res, 201, { ok: true });
+  }
+  if (!fs.existsSync(file)) return send(res, 404, req.method === "HEAD" ? undefined : { error: "Nicht gefunden" });
+  const stat = fs.statSync(file);
+  if (req.method === "HEAD") return send(res, 200, undefined, { "Content-Length": stat.size });
+  send(res, 200, fs.readFileSync(file), { "Content-Type": "application/octet-stream" });
+}
+
+const server = http.createServer(async (req, res) => {
+  try {
+    if (req.method === "OPTIONS") return send(res, 204);
+    if (TOKEN && req.headers.authorization !== `Bearer ${TOKEN}`) return send(res, 401, { error: "Nicht autorisiert" });
+
+    const url = new URL(req.url, "http://localhost");
+    const blob = url.pathname.match(/^\/blobs\/([^/]+)$/);
+    if (req.method === "POST" && url.pathname === "/push") return await handlePush(req, res);
+    if (req.method === "GET" && url.pathname === "/pull") return handlePull(url, res);
+    if (blob && ["GET", "HEAD", "PUT"].includes(req.method)) return await handleBlob(req, res, blob[1]);
+    if (req.method === "GET" && url.pathname === "/health") return send(res, 200, { ok: true, seq: state.seq });
+    send(res, 404, { error: "Nicht gefunden" });
+  } catch (err) {
+    const status = err.status || (err instanceof SyntaxError ? 400 : 500);
+    send(res, status, { error: err.message });
+  }
+});
+
+server.listen(PORT, () => {
+  console.log(`Sync-Server läuft auf http://localhost:${PORT} (Daten: ${DATA_DIR})`);
+});
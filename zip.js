@@ -0,0 +1,139 @@
+/* Lagerverwaltung – ZIP lesen/schreiben (ohne externe Abhängigkeiten)
+ *
+ * Zip.create([{ name, data }]) → Blob      data: Uint8Array | string (UTF-8)
+ * Zip.read(blob)               → Map(name → Uint8Array)
+ *
+ * Geschrieben wird unkomprimiert ("stored"): Fotos sind schon JPEG, JSON ist klein.
+ * Gelesen werden stored und deflate (über DecompressionStream), damit auch
+ * ein am PC neu gepacktes Archiv eingespielt werden kann. Kein ZIP64.
+ */
+const Zip = (() => {
+  const enc = new TextEncoder();
+
+  const CRC_TABLE = (() => {
+    const t = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      t[n] = c >>> 0;
+    }
+    return t;
+  })();
+
+  function crc32(bytes) {
+    let c = 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) c = CRC_TABLE[(c ^ bytes[i]) & 0xff] ^ (c >>> 8);
+    return (c ^ 0xffffffff) >>> 0;
+  }
+
+  // MS-DOS date/time as stored in the headers (local time, 2 s resolution)
+  function dosTime(d) {
+    return {
+      time: (d.getHours() << 11) | (d.getMinutes() << 5) | (d.getSeconds() >> 1),
+      date: ((d.getFullYear() - 1980) << 9) | ((d.getMonth() + 1) << 5) | d.getDate()
+    };
+  }
+
+  function create(entries) {
+    const { time, date } = dosTime(new Date());
+    const chunks = [];
+    const central = [];
+    let offset = 0;
+
+    for (const e of entries) {
+      const name = enc.encode(e.name);
+      const data = typeof e.data === "string" ? enc.encode(e.data) : e.data;
+      const crc = crc32(data);
+
+      const local = new DataView(new ArrayBuffer(30));
+      local.setUint32(0, 0x04034b50, true);
+      local.setUint16(4, 20, true);          // version needed
+      local.setUint16(6, 0x0800, true);      // UTF-8 names
+      local.setUint16(8, 0, true);           // stored
+      local.setUint16(10, time, true);
+      local.setUint16(12, date, true);
+      local.setUint32(14, crc, true);
+      local.setUint32(18, data.length, true);
+      local.setUint32(22, data.length, true);
+      local.setUint16(26, name.length, true);
+      local.setUint16(28, 0, true);
+      chunks.push(local.buffer, name, data);
+
+      const cd = new DataView(new ArrayBuffer(46));
+      cd.setUint32(0, 0x02014b50, true);
+      cd.setUint16(4, 20, true);             // version made by
+      cd.setUint16(6, 20, true);
+      cd.setUint16(8, 0x0800, true);
+      cd.setUint16(10, 0, true);
+      cd.setUint16(12, time, true);
+      cd.setUint16(14, date, true);
+      cd.setUint32(16, crc, true);
+      cd.setUint32(20, data.length, true);
+      cd.setUint32(24, data.length, true);
+      cd.setUint16(28, name.length, true);
+      cd.setUint32(42, offset, true);        // extra, comment, disk, attrs stay 0
+      central.push(cd.buffer, name);
+
+      offset += 30 + name.length + data.length;
+      if (offset > 0xffffffff) throw new Error("Archiv zu groß (über 4 GB).");
+    }
+
+    const cdSize = central.reduce((n, c) => n + c.byteLength, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true);
+    end.setUint16(8, entries.length, true);
+    end.setUint16(10, entries.length, true);
+    end.setUint32(12, cdSize, true);
+    end.setUint32(16, offset, true);
+    return new Blob([...chunks, ...central, end.buffer], { type: "application/zip" });
+  }
+
+  async function inflateRaw(bytes) {
+    if (typeof DecompressionStream === "undefined") throw new Error("Komprimierte ZIP-Einträge werden von diesem Browser nicht unterstützt.");
+    const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream("deflate-raw"));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+  }
+
+  async function read(blob) {
+    const buf = new Uint8Array(await blob.arrayBuffer());
+    const view = new DataView(buf.buffer);
+
+    // end of central directory: last 22 bytes plus up to 64 KB comment
+    let eocd = -1;
+    for (let i = buf.length - 22; i >= Math.max(0, buf.length - 22 - 0xffff); i--) {
+      if (view.getUint32(i, true) === 0x06054b50) { eocd = i; break; }
+    }
+    if (eocd < 0) throw new Error("Keine ZIP-Datei.");
+    const count = view.getUint16(eocd + 10, true);
+    let p = view.getUint32(eocd + 16, true);
+
+    const dec = new TextDecoder();
+    const out = new Map();
+    for (let n = 0; n < count; n++) {
+      if (view.getUint32(p, true) !== 0x02014b50) throw new Error("ZIP-Verzeichnis beschädigt.");
+      const method = view.getUint16(p + 10, true);
+      const crc = view.getUint32(p + 16, true);
+      const size = view.getUint32(p + 20, true);
+      const nameLen = view.getUint16(p + 28, true);
+      const extraLen = view.getUint16(p + 30, true);
+      const commentLen = view.getUint16(p + 32, true);
+      const localOff = view.getUint32(p + 42, true);
+      const name = dec.decode(buf.subarray(p + 46, p + 46 + nameLen));
+      p += 46 + nameLen + extraLen + commentLen;
+      if (name.endsWith("/")) continue;
+
+      if (view.getUint32(localOff, true) !== 0x04034b50) throw new Error(`ZIP-Eintrag ${name} beschädigt.`);
+      const start = localOff + 30 + view.getUint16(localOff + 26, true) + view.getUint16(localOff + 28, true);
+      const raw = buf.subarray(start, start + size);
+      let data;
+      if (method === 0) data = raw.slice();
+      else if (method === 8) data = await inflateRaw(raw);
+      else throw new Error(`ZIP-Eintrag ${name}: Kompressionsverfahren ${method} nicht unterstützt.`);
+      if (crc32(data) !== crc) throw new Error(`ZIP-Eintrag ${name}: Prüfsumme falsch.`);
+      out.set(name, data);
+    }
+    return out;
+  }
+
+  return { create, read, crc32 };
+})();